@@ -0,0 +1,218 @@
+#!/usr/bin/env node
+// bin/subway.mjs
+// Upcoming arrivals at a station, or where the trains of a line are, in the terminal.
+// Uses the same feed decoder, stop loader and position estimates as the map (lib/).
+//
+//   subway arrivals <station> [--feed <url|file.pb>]... [--gtfs <dir|zip>] [--api-key KEY] [--at <epoch s>] [--limit 4]
+//     <station> is a stop_id (127, 127N) or a name ("Times Sq-42 St", or any part of one).
+//   subway positions <line> [same options]
+//
+// Without --feed the live MTA feeds are fetched (for positions, only the feed carrying the line).
+// --feed may be repeated and also takes recorded feeds, e.g. from `node server.js capture`;
+// the clock is then set to the newest feed header timestamp unless --at is given.
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { fileURLToPath } from 'url';
+import protobuf from 'protobufjs';
+import {
+  DEFAULT_BASE_URL, SUBWAY_FEEDS, resolveRouteId, loadFeedSchema, decodeFeed, mergeFeedModels, applyTripModifications,
+  getVehiclesByTrip, loadStops, findStations, getStationStops, getStopDirection, estimateTrainPosition, getVehicleOccupancy,
+  formatTimeString
+} from '../lib/index.mjs';
+
+const require = createRequire(import.meta.url);
+const GtfsStatic = require('../gtfsStatic.js');
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const TIME_ZONE = 'America/New_York';
+const directionLabels = { N: "Uptown", S: "Downtown" };
+const USAGE = `Usage:
+  subway arrivals <station> [options]   upcoming arrivals at a station (stop_id or name)
+  subway positions <line> [options]     where the trains of a line are
+
+Options:
+  --feed <url|file.pb>   feed to read, may be repeated (default: the live MTA feeds)
+  --gtfs <dir|zip|url>   GTFS static feed with stops.txt (default: the map's own stops.txt)
+  --api-key <key>        sent as x-api-key to the live feeds (default: $MTA_API_KEY)
+  --at <epoch seconds>   time to show the feed at (default: now, or the recorded feed's time)
+  --limit <n>            arrivals shown per direction (default: 4)`;
+
+// Parse "<command> <target> --name value ..." (--feed may be repeated).
+function parseArgs(argv) {
+  const options = { command: argv[0], target: argv[1], feeds: [], gtfs: ROOT, apiKey: process.env.MTA_API_KEY || '', at: null, limit: 4 };
+  for (let i = 2; i < argv.length; i += 2) {
+    const name = argv[i].replace(/^--/, '').replace(/-([a-z])/g, (m, c) => c.toUpperCase());
+    const value = argv[i + 1];
+    if (name === 'feed') options.feeds.push(value);
+    else options[name] = typeof options[name] === 'number' ? Number(value) : value;
+  }
+  return options;
+}
+
+// Helper: the feeds to read, either given with --feed or the live feeds (only the line's for positions).
+function getFeedSources(options) {
+  if (options.feeds.length > 0) return options.feeds;
+  let feeds = Object.values(SUBWAY_FEEDS);
+  if (options.command === 'positions') {
+    const routeId = resolveRouteId(options.target);
+    const lineFeeds = feeds.filter(feed => feed.routes.includes(routeId));
+    if (lineFeeds.length > 0) feeds = lineFeeds;
+  }
+  return feeds.map(feed => DEFAULT_BASE_URL + feed.path);
+}
+
+// Read one feed from a URL or a file.
+async function readFeed(source, apiKey) {
+  if (!/^https?:\/\//.test(source)) {
+    return new Uint8Array(await fs.promises.readFile(source));
+  }
+  const response = await fetch(source, { headers: apiKey ? { 'x-api-key': apiKey } : {} });
+  if (!response.ok) throw new Error(`${source}: HTTP ${response.status}`);
+  return new Uint8Array(await response.arrayBuffer());
+}
+
+function formatClock(epochSec) {
+  return new Date(epochSec * 1000).toLocaleTimeString('en-US', { timeZone: TIME_ZONE });
+}
+
+// Helper: name of a stop, or its stop_id when it is not in stops.txt.
+function getStopName(stopsMap, stopId) {
+  return stopsMap[stopId] ? stopsMap[stopId].name : stopId;
+}
+
+// Helper: headsign of a trip, i.e. the name of the last stop it is predicted to reach.
+function getTripHeadsign(stopsMap, trip) {
+  const lastUpdate = trip.updates[trip.updates.length - 1];
+  return lastUpdate ? getStopName(stopsMap, lastUpdate.stopId) : "";
+}
+
+// Helper: direction of a trip from its stops, or else the NYCT trip_id (e.g. "043650_1..N03R").
+function getTripDirection(trip) {
+  for (const u of trip.updates) {
+    const direction = getStopDirection(u.stopId);
+    if (direction) return direction;
+  }
+  const match = /\.\.?([NS])/.exec(trip.tripId || "");
+  return match ? match[1] : null;
+}
+
+// Helper: pad the columns of rows (arrays of strings) to their widest cell.
+function formatRows(rows, indent) {
+  const widths = [];
+  rows.forEach(row => row.forEach((cell, i) => { widths[i] = Math.max(widths[i] || 0, cell.length); }));
+  return rows.map(row => indent + row.map((cell, i) => i < row.length - 1 ? cell.padEnd(widths[i]) : cell).join("  "));
+}
+
+// Lines printed for `subway arrivals`: the next arrivals at a station, by direction.
+// Stations sharing a name (e.g. the four Times Sq-42 St stations) are shown together.
+function formatArrivals(model, stops, query, nowSec, limit) {
+  const stations = findStations(stops.stopsMap, query);
+  if (stations.length === 0) throw new Error(`No station matches "${query}"`);
+  const names = new Set(stations.map(id => stops.stopsMap[id].name));
+  if (names.size > 1) {
+    const candidates = stations.map(id => `  ${id}  ${stops.stopsMap[id].name}`);
+    throw new Error(`Several stations match "${query}", pick one by name or stop_id:\n${candidates.join("\n")}`);
+  }
+  const stopIds = new Set();
+  stations.forEach(station => getStationStops(stops.stationChildren, station).forEach(id => stopIds.add(id)));
+  const byDirection = {};
+  Object.values(model.trips).forEach(trip => {
+    // Stops a detour skips are listed at the time the train would have been there.
+    const notServed = trip.detour ? trip.detour.notServed.filter(stop => stop.arrival) : [];
+    trip.updates.concat(notServed.map(stop => ({ stopId: stop.stopId, arrival: stop.arrival, notServed: true }))).forEach(u => {
+      const time = u.arrival || u.departure;
+      if (!stopIds.has(u.stopId) || time < nowSec) return;
+      const direction = getStopDirection(u.stopId) || getTripDirection(trip) || "";
+      (byDirection[direction] = byDirection[direction] || []).push({
+        routeId: trip.routeId,
+        headsign: getTripHeadsign(stops.stopsMap, trip),
+        time,
+        notServed: !!u.notServed
+      });
+    });
+  });
+  const lines = [`${[...names][0]} (${stations.join(", ")}) at ${formatClock(nowSec)}`];
+  const directions = Object.keys(byDirection).sort();
+  if (directions.length === 0) lines.push("  No upcoming arrivals");
+  // Format every direction's rows together so their columns line up.
+  const groups = directions.map(direction => byDirection[direction].sort((a, b) => a.time - b.time).slice(0, limit));
+  const rows = formatRows([].concat(...groups).map(a => [
+    a.routeId, a.headsign, formatTimeString(a.time - nowSec) + (a.notServed ? " (not served: detour)" : "")
+  ]), "  ");
+  groups.forEach((arrivals, i) => {
+    lines.push(directionLabels[directions[i]] || "Other");
+    lines.push(...rows.splice(0, arrivals.length));
+  });
+  return lines;
+}
+
+// Lines printed for `subway positions`: every train of a line, between which stations it is,
+// and how crowded it is when the feed says.
+function formatPositions(model, stops, line, nowSec) {
+  const routeId = resolveRouteId(line);
+  const vehiclesByTrip = getVehiclesByTrip(model);
+  const trips = Object.values(model.trips)
+    .filter(trip => trip.routeId === routeId)
+    .map(trip => ({ trip, direction: getTripDirection(trip) || "", headsign: getTripHeadsign(stops.stopsMap, trip) }))
+    .sort((a, b) => a.direction.localeCompare(b.direction) || a.headsign.localeCompare(b.headsign)
+      || String(a.trip.tripId).localeCompare(String(b.trip.tripId)));
+  const lines = [`${routeId} trains at ${formatClock(nowSec)}`];
+  if (trips.length === 0) lines.push("  No trains in the feed");
+  const rows = trips.map(({ trip, direction, headsign }) => {
+    const vehicle = vehiclesByTrip[trip.tripId] || null;
+    const position = estimateTrainPosition(trip, nowSec, stops.stopsMap, vehicle);
+    let where;
+    if (position) {
+      where = `${getStopName(stops.stopsMap, position.passedStop.stopId)} -> ${getStopName(stops.stopsMap, position.nextStop.stopId)}`
+        + ` (${Math.round(position.fraction * 100)}%), next stop in ${formatTimeString(position.nextStop.arrival - nowSec)}`;
+    } else {
+      const upcoming = trip.updates.filter(u => u.arrival > nowSec).sort((a, b) => a.arrival - b.arrival);
+      const started = trip.updates.some(u => u.arrival && u.arrival <= nowSec);
+      where = !started && upcoming.length > 0
+        ? `not started, at ${getStopName(stops.stopsMap, upcoming[0].stopId)} in ${formatTimeString(upcoming[0].arrival - nowSec)}`
+        : "position unknown";
+    }
+    const occupancy = getVehicleOccupancy(vehicle);
+    if (occupancy) where += ` · ${occupancy.label.toLowerCase()}`;
+    return [directionLabels[direction] || "", "to " + headsign, trip.tripId || "", where];
+  });
+  lines.push(...formatRows(rows, "  "));
+  return lines;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (!['arrivals', 'positions'].includes(options.command) || !options.target) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+  const sources = getFeedSources(options);
+  const schema = await loadFeedSchema(protobuf, path.join(ROOT, 'gtfs-realtime.proto'));
+  const [stops, feeds] = await Promise.all([
+    loadStops(GtfsStatic, options.gtfs),
+    Promise.all(sources.map(source => readFeed(source, options.apiKey)))
+  ]);
+  const decoded = feeds.map((bytes, i) => {
+    try {
+      return decodeFeed(schema, bytes);
+    } catch (e) {
+      throw new Error(`${sources[i]}: not a GTFS-realtime feed (${e.message})`);
+    }
+  });
+  const model = applyTripModifications(mergeFeedModels(decoded.map(feed => feed.model)));
+  const recorded = sources.some(source => !/^https?:\/\//.test(source));
+  const timestamps = decoded.map(feed => feed.timestamp).filter(Boolean);
+  let nowSec = Date.now() / 1000;
+  if (options.at !== null) nowSec = Number(options.at);
+  else if (recorded && timestamps.length > 0) nowSec = Math.max(...timestamps);
+  const lines = options.command === 'arrivals'
+    ? formatArrivals(model, stops, options.target, nowSec, options.limit)
+    : formatPositions(model, stops, options.target, nowSec);
+  console.log(lines.join("\n"));
+}
+
+main().catch(e => {
+  console.error(`subway: ${e.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,293 @@
+// feedWorker.js
+// Fetches and decodes the GTFS-realtime feeds off the main thread, normalizes them into a
+// compact model (trips, vehicles, alerts, trip modifications and shapes), applies the trip
+// modifications to the trips they detour and posts only what changed back to script.js.
+//
+// Each feed is polled on its own schedule: never two requests to one feed at a time, no sooner
+// than pollInterval, and then at the time its next upstream update is expected (estimated from
+// how often its FeedHeader.timestamp changes). Errors back off exponentially up to maxPollInterval.
+// Responses are skipped without decoding when the server answers 304 Not Modified or the
+// header timestamp is unchanged. If-None-Match and If-Modified-Since are not CORS-safelisted
+// headers, so they are only sent to same-origin or proxied endpoints: a cross-origin feed such as
+// the MTA's is always downloaded in full and only deduplicated by its header timestamp, as the
+// preflight they would force on every poll may not be answered. The map thread pauses polling
+// while the tab is hidden.
+//
+// A module worker (script.js starts it with { type: 'module' }): protobufjs is imported for its
+// side effect of defining self.protobuf, as the page loads it as a classic script.
+import 'https://cdnjs.cloudflare.com/ajax/libs/protobufjs/6.11.2/protobuf.min.js';
+import { FEED_COLLECTIONS, loadFeedSchema, readHeaderTimestamp, decodeFeed, mergeFeedModels } from './lib/feed.mjs';
+import { applyTripModifications } from './lib/detours.mjs';
+
+const UPSTREAM_UPDATE_SLACK = 2000;   // ms to wait after an expected upstream update
+const POST_DELAY = 200;               // ms to gather feeds finishing together into one post
+const UNCHANGED = 'unchanged';        // fetchFeed result when the feed has not changed
+
+let schema = null;            // FeedMessage and FeedHeader types, loaded once
+let endpoints = [];
+let requestHeaders = {};      // e.g. { "x-api-key": "..." } from the map's config
+let proxied = false;          // endpoints go through the map's configured proxy
+let pollInterval = 1000;      // shortest delay between two requests to one feed
+let maxPollInterval = 60000;  // longest delay, reached by backing off after errors
+let paused = false;
+let pollGeneration = 0;       // bumped on start/stop so superseded polls stop rescheduling
+let postTimer = null;
+let modelsChanged = false;    // a feed's model changed since the last post
+
+// Scheduler state per endpoint:
+// { timer, inFlight, etag, lastModified, headerTimestamp, period (s between upstream updates) }
+let feedStates = {};
+
+// Last successfully decoded model per endpoint, so a failed fetch keeps that feed's trips.
+let endpointModels = {};
+// Signatures of the model last posted to the map thread, per collection: key => JSON string.
+let postedSignatures = {};
+// Health of each endpoint, posted with every diff:
+// { status: 'ok' | 'error', error, httpStatus, latency (ms), lastAttempt, lastSuccess (epoch s),
+//   headerTimestamp (epoch s), counts: { trips, vehicles, alerts }, failures, decodeErrors,
+//   unchanged (responses skipped since the feed had not changed), nextPoll (epoch s) }
+let endpointHealth = {};
+
+// Load the schema once for the lifetime of the worker.
+async function loadSchema() {
+  if (!schema) {
+    schema = await loadFeedSchema(protobuf, "gtfs-realtime.proto");
+  }
+  return schema;
+}
+
+// Helper: the health record of an endpoint, created on first use.
+function getEndpointHealth(endpoint) {
+  if (!endpointHealth[endpoint]) {
+    endpointHealth[endpoint] = {
+      status: 'pending',
+      error: null,
+      httpStatus: null,
+      latency: null,
+      lastAttempt: null,
+      lastSuccess: null,
+      headerTimestamp: null,
+      counts: { trips: 0, vehicles: 0, alerts: 0 },
+      failures: 0,
+      decodeErrors: 0,
+      unchanged: 0,
+      nextPoll: null
+    };
+  }
+  return endpointHealth[endpoint];
+}
+
+// Helper: the scheduler state of an endpoint, created on first use.
+function getFeedState(endpoint) {
+  if (!feedStates[endpoint]) {
+    feedStates[endpoint] = { timer: null, inFlight: false, etag: null, lastModified: null, headerTimestamp: null, period: null };
+  }
+  return feedStates[endpoint];
+}
+
+// Helper: true when conditional request headers can be sent to an endpoint without a CORS
+// preflight it may not answer: it is on the worker's own origin, or behind the configured proxy.
+function acceptsConditionalRequests(endpoint) {
+  return proxied || new URL(endpoint, self.location.href).origin === self.location.origin;
+}
+
+// Fetch and decode one endpoint; returns its normalized model, UNCHANGED when the feed has not
+// changed since the last fetch, or null on failure. Every attempt is recorded in endpointHealth.
+async function fetchFeed(endpoint) {
+  const health = getEndpointHealth(endpoint);
+  const state = getFeedState(endpoint);
+  const started = Date.now();
+  health.lastAttempt = started / 1000;
+  const fail = (error) => {
+    health.status = 'error';
+    health.error = error;
+    health.failures++;
+    health.latency = Date.now() - started;
+    return null;
+  };
+  const succeed = () => {
+    health.status = 'ok';
+    health.error = null;
+    health.failures = 0;
+    health.latency = Date.now() - started;
+    health.lastSuccess = Date.now() / 1000;
+  };
+  let bytes;
+  try {
+    const headers = Object.assign({}, requestHeaders);
+    if (acceptsConditionalRequests(endpoint)) {
+      if (state.etag) headers['If-None-Match'] = state.etag;
+      if (state.lastModified) headers['If-Modified-Since'] = state.lastModified;
+    }
+    const response = await fetch(endpoint, { headers });
+    health.httpStatus = response.status;
+    if (response.status === 304) {
+      succeed();
+      health.unchanged++;
+      return UNCHANGED;
+    }
+    if (!response.ok) {
+      return fail(`HTTP ${response.status}`);
+    }
+    state.etag = response.headers.get('ETag');
+    state.lastModified = response.headers.get('Last-Modified');
+    bytes = new Uint8Array(await response.arrayBuffer());
+  } catch (e) {
+    health.httpStatus = null;
+    return fail(e.message || "Network error");
+  }
+  let decoded;
+  try {
+    const headerTimestamp = readHeaderTimestamp(schema, bytes);
+    if (headerTimestamp && headerTimestamp === state.headerTimestamp) {
+      succeed();
+      health.unchanged++;
+      return UNCHANGED;
+    }
+    decoded = decodeFeed(schema, bytes);
+  } catch (e) {
+    health.decodeErrors++;
+    return fail("Decode error: " + e.message);
+  }
+  const model = decoded.model;
+  Object.values(model.trips).forEach(trip => { trip.feed = endpoint; });
+  succeed();
+  const headerTimestamp = decoded.timestamp;
+  // Learn how often the feed updates upstream, to poll just after its next update.
+  if (headerTimestamp && state.headerTimestamp && headerTimestamp > state.headerTimestamp) {
+    const gap = headerTimestamp - state.headerTimestamp;
+    state.period = state.period ? state.period * 0.7 + gap * 0.3 : gap;
+  }
+  state.headerTimestamp = headerTimestamp;
+  health.headerTimestamp = headerTimestamp;
+  health.counts = {
+    trips: Object.keys(model.trips).length,
+    vehicles: Object.keys(model.vehicles).length,
+    alerts: Object.keys(model.alerts).length
+  };
+  return model;
+}
+
+// Compare one collection against what was last posted: { upserts: {key: value}, removed: [key] }.
+function diffCollection(name, current) {
+  const previous = postedSignatures[name] || {};
+  const next = {};
+  const upserts = {};
+  Object.keys(current).forEach(key => {
+    next[key] = JSON.stringify(current[key]);
+    if (previous[key] !== next[key]) upserts[key] = current[key];
+  });
+  const removed = Object.keys(previous).filter(key => !(key in next));
+  postedSignatures[name] = next;
+  return { upserts, removed };
+}
+
+// Merge the models of every endpoint and post the diff to the map thread; when no model
+// changed (or the schema could not be loaded yet) only the health is posted.
+function postUpdate() {
+  postTimer = null;
+  if (!modelsChanged || !schema) {
+    self.postMessage({ type: 'health', health: endpointHealth });
+    return;
+  }
+  modelsChanged = false;
+  const merged = applyTripModifications(
+    mergeFeedModels(endpoints.map(endpoint => endpointModels[endpoint]).filter(Boolean))
+  );
+  const diff = { type: 'diff' };
+  FEED_COLLECTIONS.forEach(name => { diff[name] = diffCollection(name, merged[name]); });
+  diff.health = endpointHealth;
+  self.postMessage(diff);
+}
+
+function schedulePost() {
+  if (!postTimer) postTimer = setTimeout(postUpdate, POST_DELAY);
+}
+
+// Delay in ms before polling a feed again after a fetch that returned result.
+function getNextPollDelay(endpoint, result) {
+  const state = getFeedState(endpoint);
+  if (result === null) {
+    const failures = getEndpointHealth(endpoint).failures;
+    return Math.min(maxPollInterval, pollInterval * Math.pow(2, failures));
+  }
+  if (!state.period || !state.headerTimestamp) return pollInterval;
+  const untilUpdate = (state.headerTimestamp + state.period) * 1000 + UPSTREAM_UPDATE_SLACK - Date.now();
+  return Math.max(pollInterval, Math.min(untilUpdate, state.period * 1000, maxPollInterval));
+}
+
+// Poll one feed, then schedule its next poll.
+async function pollFeed(endpoint, generation) {
+  const state = getFeedState(endpoint);
+  if (state.inFlight || paused) return;
+  clearTimeout(state.timer);
+  state.inFlight = true;
+  let result = null;
+  try {
+    await loadSchema();
+    result = await fetchFeed(endpoint);
+  } catch (e) {
+    // The schema could not be loaded: count it as a failure, so it is retried with backoff like a failed fetch.
+    const health = getEndpointHealth(endpoint);
+    health.status = 'error';
+    health.error = "Schema error: " + (e.message || e);
+    health.failures++;
+  }
+  state.inFlight = false;
+  if (generation !== pollGeneration) {
+    // Superseded by a restart while in flight: its result is dropped and the feed polled anew.
+    if (endpoints.includes(endpoint)) pollFeed(endpoint, pollGeneration);
+    return;
+  }
+  if (result && result !== UNCHANGED) {
+    endpointModels[endpoint] = result;
+    modelsChanged = true;
+  }
+  if (!paused) {
+    const delay = getNextPollDelay(endpoint, result);
+    getEndpointHealth(endpoint).nextPoll = (Date.now() + delay) / 1000;
+    state.timer = setTimeout(() => pollFeed(endpoint, generation), delay);
+  }
+  schedulePost();
+}
+
+// Helper: cancel every scheduled poll (requests in flight finish but do not reschedule).
+function clearFeedTimers() {
+  Object.values(feedStates).forEach(state => clearTimeout(state.timer));
+  clearTimeout(postTimer);
+  postTimer = null;
+}
+
+self.onmessage = (event) => {
+  const message = event.data;
+  if (message.type === 'start') {
+    endpoints = message.endpoints;
+    requestHeaders = message.headers || {};
+    proxied = !!message.proxied;
+    pollInterval = message.interval || pollInterval;
+    maxPollInterval = Math.max(pollInterval, message.maxInterval || maxPollInterval);
+    paused = !!message.paused;
+    // The map thread starts from an empty model, so the first diff carries everything.
+    postedSignatures = {};
+    endpointHealth = {};
+    clearFeedTimers();
+    // Feeds are fetched afresh, but polls still in flight keep their inFlight flag: no second
+    // request to their feed is started, and they poll again for this start when they finish.
+    Object.values(feedStates).forEach(state => {
+      Object.assign(state, { timer: null, etag: null, lastModified: null, headerTimestamp: null, period: null });
+    });
+    modelsChanged = true;
+    pollGeneration++;
+    endpoints.forEach(endpoint => pollFeed(endpoint, pollGeneration));
+  } else if (message.type === 'stop') {
+    pollGeneration++;
+    endpoints = [];
+    clearFeedTimers();
+  } else if (message.type === 'pause') {
+    paused = true;
+    clearFeedTimers();
+  } else if (message.type === 'resume' && paused) {
+    paused = false;
+    endpoints.forEach(endpoint => pollFeed(endpoint, pollGeneration));
+  }
+};
@@ -0,0 +1,513 @@
+// gtfsStatic.js
+// Loads a GTFS static feed (a .zip or a directory of .txt files) into an indexed in-memory model.
+// Works in the browser as a classic <script> (exposes window.GtfsStatic) and in Node:
+//
+//   const { loadGtfs } = require('./gtfsStatic.js');
+//   const gtfs = await loadGtfs('google_transit.zip');   // or a directory, or a URL
+//   gtfs.stopTimes[tripId], gtfs.index.tripsByRoute['A'], ...
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.GtfsStatic = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const isNode = typeof process !== 'undefined' && !!(process.versions && process.versions.node);
+
+  // Files read by default. stops.txt is required, the others are optional.
+  const GTFS_FILES = [
+    'agency.txt', 'stops.txt', 'routes.txt', 'trips.txt', 'shapes.txt', 'transfers.txt', 'stop_times.txt',
+    'calendar.txt', 'calendar_dates.txt'
+  ];
+  const DEFAULT_TIMEZONE = 'America/New_York';
+
+  /**
+   * @typedef {Object} GtfsStop
+   * @property {string} id
+   * @property {string} name
+   * @property {number} lat
+   * @property {number} lon
+   * @property {number} locationType   0 platform/stop, 1 station, ...
+   * @property {string} parentStation  "" when the stop has no parent
+   *
+   * @typedef {Object} GtfsRoute
+   * @property {string} id
+   * @property {string} agencyId
+   * @property {string} shortName
+   * @property {string} longName
+   * @property {number} type
+   * @property {?string} color      "#RRGGBB", or null when routes.txt has none
+   * @property {?string} textColor  "#RRGGBB", or null
+   *
+   * @typedef {Object} GtfsTrip
+   * @property {string} id
+   * @property {string} routeId
+   * @property {string} serviceId
+   * @property {string} headsign
+   * @property {?number} directionId
+   * @property {string} shapeId
+   *
+   * @typedef {Object} GtfsStopTime
+   * @property {string} stopId
+   * @property {number} stopSequence
+   * @property {?number} arrival    seconds after midnight of the service day (may exceed 86400)
+   * @property {?number} departure  seconds after midnight of the service day
+   *
+   * @typedef {Object} GtfsTransfer
+   * @property {string} fromStopId
+   * @property {string} toStopId
+   * @property {number} type
+   * @property {?number} minTransferTime  seconds
+   *
+   * @typedef {Object} GtfsService
+   * @property {Array<boolean>} days  runs on [Monday, ..., Sunday]
+   * @property {string} startDate    "YYYYMMDD"
+   * @property {string} endDate      "YYYYMMDD"
+   *
+   * @typedef {Object} GtfsModel
+   * @property {string} timezone  agency_timezone of the first agency
+   * @property {Object<string, GtfsStop>} stops
+   * @property {Object<string, GtfsRoute>} routes
+   * @property {Object<string, GtfsTrip>} trips
+   * @property {Object<string, Array<[number, number]>>} shapes   shape_id => [[lat, lon], ...]
+   * @property {Array<GtfsTransfer>} transfers
+   * @property {Object<string, Array<GtfsStopTime>>} stopTimes     trip_id => stop times in sequence
+   * @property {Object<string, GtfsService>} calendar                 service_id => weekly service
+   * @property {Object<string, Object<string, number>>} calendarDates service_id => { "YYYYMMDD": 1 added / 2 removed }
+   * @property {{
+   *   childrenByParent: Object<string, Array<string>>,
+   *   tripsByRoute: Object<string, Array<string>>,
+   *   transfersByStop: Object<string, Array<GtfsTransfer>>,
+   *   routesByStop: Object<string, Set<string>>
+   * }} index
+   */
+
+  // --- CSV (RFC 4180) ---
+
+  // Call onRecord(fields) for every record of a CSV text: quoted fields may contain commas,
+  // doubled quotes and line breaks; CRLF and LF line endings and a leading BOM are accepted.
+  function forEachCsvRecord(text, onRecord) {
+    const length = text.length;
+    let i = text.charCodeAt(0) === 0xFEFF ? 1 : 0;
+    let fields = [];
+    let field = "";
+    while (i < length) {
+      const c = text[i];
+      if (c === '"' && field === "") {
+        // Quoted field: read up to the closing quote, unescaping "".
+        i++;
+        while (i < length) {
+          const close = text.indexOf('"', i);
+          if (close === -1) {
+            field += text.slice(i);
+            i = length;
+          } else if (text[close + 1] === '"') {
+            field += text.slice(i, close + 1);
+            i = close + 2;
+          } else {
+            field += text.slice(i, close);
+            i = close + 1;
+            break;
+          }
+        }
+      } else if (c === ',') {
+        fields.push(field);
+        field = "";
+        i++;
+      } else if (c === '\n' || c === '\r') {
+        fields.push(field);
+        onRecord(fields);
+        fields = [];
+        field = "";
+        i += (c === '\r' && text[i + 1] === '\n') ? 2 : 1;
+      } else {
+        // Unquoted run: copy everything up to the next delimiter at once.
+        let end = i;
+        while (end < length && text[end] !== ',' && text[end] !== '\n' && text[end] !== '\r') end++;
+        field += text.slice(i, end);
+        i = end;
+      }
+    }
+    if (field !== "" || fields.length > 0) {
+      fields.push(field);
+      onRecord(fields);
+    }
+  }
+
+  // Parse a CSV text with a header line into row objects keyed by column name.
+  // With onRow, rows are passed one by one instead of being collected (for large files).
+  function parseCsv(text, onRow) {
+    let header = null;
+    let rows = [];
+    forEachCsvRecord(text, fields => {
+      if (!header) {
+        header = fields.map(name => name.trim());
+        return;
+      }
+      if (fields.length === 1 && fields[0] === "") return;  // blank line
+      const row = {};
+      for (let i = 0; i < header.length; i++) {
+        row[header[i]] = fields[i] !== undefined ? fields[i] : "";
+      }
+      if (onRow) onRow(row); else rows.push(row);
+    });
+    return onRow ? undefined : rows;
+  }
+
+  // --- Field helpers ---
+
+  // "25:10:00" => seconds after midnight (GTFS times can run past 24:00). Empty => null.
+  function parseGtfsTime(value) {
+    const match = /^\s*(\d+):(\d{2}):(\d{2})\s*$/.exec(value || "");
+    if (!match) return null;
+    return parseInt(match[1], 10) * 3600 + parseInt(match[2], 10) * 60 + parseInt(match[3], 10);
+  }
+
+  // "0039A6" => "#0039A6". Empty or malformed => null.
+  function parseGtfsColor(value) {
+    const hex = String(value || "").trim().replace(/^#/, "");
+    return /^[0-9a-fA-F]{6}$/.test(hex) ? "#" + hex.toUpperCase() : null;
+  }
+
+  function parseOptionalInt(value) {
+    const number = parseInt(value, 10);
+    return isNaN(number) ? null : number;
+  }
+
+  // --- Zip archives ---
+
+  // Inflate a raw DEFLATE stream (zip compression method 8).
+  async function inflateRaw(bytes) {
+    if (isNode) {
+      return new Uint8Array(require('zlib').inflateRawSync(bytes));
+    }
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+
+  // Read the central directory of a zip: file name (without folders) => { method, offset, compressedSize }.
+  function readZipDirectory(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let eocd = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xFFFF); i--) {
+      if (view.getUint32(i, true) === 0x06054b50) {
+        eocd = i;
+        break;
+      }
+    }
+    if (eocd === -1) throw new Error("Not a zip archive");
+    const entryCount = view.getUint16(eocd + 10, true);
+    let offset = view.getUint32(eocd + 16, true);
+    const decoder = new TextDecoder();
+    const entries = {};
+    for (let n = 0; n < entryCount; n++) {
+      if (view.getUint32(offset, true) !== 0x02014b50) throw new Error("Corrupt zip central directory");
+      const nameLength = view.getUint16(offset + 28, true);
+      const extraLength = view.getUint16(offset + 30, true);
+      const commentLength = view.getUint16(offset + 32, true);
+      const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+      entries[name.split("/").pop()] = {
+        method: view.getUint16(offset + 10, true),
+        compressedSize: view.getUint32(offset + 20, true),
+        offset: view.getUint32(offset + 42, true)
+      };
+      offset += 46 + nameLength + extraLength + commentLength;
+    }
+    return entries;
+  }
+
+  // A source reading files out of zip bytes.
+  function createZipSource(bytes) {
+    const entries = readZipDirectory(bytes);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    return {
+      async readFile(name) {
+        const entry = entries[name];
+        if (!entry) return null;
+        const nameLength = view.getUint16(entry.offset + 26, true);
+        const extraLength = view.getUint16(entry.offset + 28, true);
+        const start = entry.offset + 30 + nameLength + extraLength;
+        const data = bytes.subarray(start, start + entry.compressedSize);
+        if (entry.method === 0) return decodeText(data);
+        if (entry.method === 8) return decodeText(await inflateRaw(data));
+        throw new Error(`Unsupported zip compression method ${entry.method} for ${name}`);
+      }
+    };
+  }
+
+  function decodeText(bytes) {
+    return new TextDecoder().decode(bytes);
+  }
+
+  // --- Sources ---
+
+  // A source reading files from a URL directory (browser, or Node with a http(s) URL).
+  function createUrlDirectorySource(baseUrl) {
+    const prefix = baseUrl && !baseUrl.endsWith("/") ? baseUrl + "/" : (baseUrl || "");
+    return {
+      async readFile(name) {
+        const response = await fetch(prefix + name);
+        if (response.status === 404) return null;
+        if (!response.ok) throw new Error(`Failed to load ${prefix + name}: ${response.status}`);
+        return response.text();
+      }
+    };
+  }
+
+  // A source reading files from a directory on disk (Node).
+  function createFsDirectorySource(dir) {
+    const fs = require('fs');
+    const path = require('path');
+    return {
+      async readFile(name) {
+        try {
+          return await fs.promises.readFile(path.join(dir, name), 'utf8');
+        } catch (error) {
+          if (error.code === 'ENOENT') return null;
+          throw error;
+        }
+      }
+    };
+  }
+
+  // Resolve where a feed comes from:
+  //   zip bytes (ArrayBuffer, Uint8Array, Blob/File), a ".zip" path or URL, or a directory path or URL.
+  async function openSource(location) {
+    if (location instanceof Uint8Array) return createZipSource(location);
+    if (location instanceof ArrayBuffer) return createZipSource(new Uint8Array(location));
+    if (typeof Blob !== 'undefined' && location instanceof Blob) {
+      return createZipSource(new Uint8Array(await location.arrayBuffer()));
+    }
+    const isUrl = !isNode || /^https?:\/\//.test(location);
+    if (/\.zip$/i.test(location)) {
+      if (isUrl) {
+        const response = await fetch(location);
+        if (!response.ok) throw new Error(`Failed to load ${location}: ${response.status}`);
+        return createZipSource(new Uint8Array(await response.arrayBuffer()));
+      }
+      return createZipSource(new Uint8Array(await require('fs').promises.readFile(location)));
+    }
+    return isUrl ? createUrlDirectorySource(location) : createFsDirectorySource(location || ".");
+  }
+
+  // --- Model ---
+
+  // Build the indexed model from the text of each file (missing files are null).
+  function buildModel(files) {
+    if (!files['stops.txt']) throw new Error("stops.txt is missing from the GTFS feed");
+    const model = {
+      timezone: DEFAULT_TIMEZONE,
+      stops: {}, routes: {}, trips: {}, shapes: {}, transfers: [], stopTimes: {},
+      calendar: {}, calendarDates: {}, index: {}
+    };
+
+    if (files['agency.txt']) {
+      const agencies = parseCsv(files['agency.txt']);
+      if (agencies.length > 0 && agencies[0].agency_timezone) model.timezone = agencies[0].agency_timezone;
+    }
+    parseCsv(files['stops.txt'], row => {
+      model.stops[row.stop_id] = {
+        id: row.stop_id,
+        name: row.stop_name,
+        lat: parseFloat(row.stop_lat),
+        lon: parseFloat(row.stop_lon),
+        locationType: parseOptionalInt(row.location_type) || 0,
+        parentStation: row.parent_station || ""
+      };
+    });
+    if (files['routes.txt']) {
+      parseCsv(files['routes.txt'], row => {
+        model.routes[row.route_id] = {
+          id: row.route_id,
+          agencyId: row.agency_id || "",
+          shortName: row.route_short_name || "",
+          longName: row.route_long_name || "",
+          type: parseOptionalInt(row.route_type),
+          color: parseGtfsColor(row.route_color),
+          textColor: parseGtfsColor(row.route_text_color)
+        };
+      });
+    }
+    if (files['trips.txt']) {
+      parseCsv(files['trips.txt'], row => {
+        model.trips[row.trip_id] = {
+          id: row.trip_id,
+          routeId: row.route_id,
+          serviceId: row.service_id,
+          headsign: row.trip_headsign || "",
+          directionId: parseOptionalInt(row.direction_id),
+          shapeId: row.shape_id || ""
+        };
+      });
+    }
+    if (files['shapes.txt']) {
+      const points = {};
+      parseCsv(files['shapes.txt'], row => {
+        if (!points[row.shape_id]) points[row.shape_id] = [];
+        points[row.shape_id].push([parseInt(row.shape_pt_sequence, 10), parseFloat(row.shape_pt_lat), parseFloat(row.shape_pt_lon)]);
+      });
+      Object.keys(points).forEach(shapeId => {
+        model.shapes[shapeId] = points[shapeId].sort((a, b) => a[0] - b[0]).map(p => [p[1], p[2]]);
+      });
+    }
+    if (files['transfers.txt']) {
+      parseCsv(files['transfers.txt'], row => {
+        model.transfers.push({
+          fromStopId: row.from_stop_id,
+          toStopId: row.to_stop_id,
+          type: parseOptionalInt(row.transfer_type) || 0,
+          minTransferTime: parseOptionalInt(row.min_transfer_time)
+        });
+      });
+    }
+    if (files['stop_times.txt']) {
+      parseCsv(files['stop_times.txt'], row => {
+        if (!model.stopTimes[row.trip_id]) model.stopTimes[row.trip_id] = [];
+        model.stopTimes[row.trip_id].push({
+          stopId: row.stop_id,
+          stopSequence: parseInt(row.stop_sequence, 10),
+          arrival: parseGtfsTime(row.arrival_time),
+          departure: parseGtfsTime(row.departure_time)
+        });
+      });
+      Object.values(model.stopTimes).forEach(stopTimes => stopTimes.sort((a, b) => a.stopSequence - b.stopSequence));
+    }
+    if (files['calendar.txt']) {
+      const dayColumns = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+      parseCsv(files['calendar.txt'], row => {
+        model.calendar[row.service_id] = {
+          days: dayColumns.map(day => row[day] === '1'),
+          startDate: row.start_date,
+          endDate: row.end_date
+        };
+      });
+    }
+    if (files['calendar_dates.txt']) {
+      parseCsv(files['calendar_dates.txt'], row => {
+        if (!model.calendarDates[row.service_id]) model.calendarDates[row.service_id] = {};
+        model.calendarDates[row.service_id][row.date] = parseInt(row.exception_type, 10);
+      });
+    }
+    model.index = buildIndexes(model);
+    return model;
+  }
+
+  // --- Service days ---
+
+  // True when service_id runs on date ("YYYYMMDD"). Without any calendar data every service runs.
+  function isServiceActive(model, serviceId, date) {
+    const exception = model.calendarDates[serviceId] && model.calendarDates[serviceId][date];
+    if (exception === 1) return true;
+    if (exception === 2) return false;
+    const service = model.calendar[serviceId];
+    if (!service) {
+      return Object.keys(model.calendar).length === 0 && Object.keys(model.calendarDates).length === 0;
+    }
+    if (date < service.startDate || date > service.endDate) return false;
+    const weekday = new Date(Date.UTC(+date.slice(0, 4), +date.slice(4, 6) - 1, +date.slice(6, 8))).getUTCDay();
+    return service.days[(weekday + 6) % 7];
+  }
+
+  // Offset of a time zone from UTC at epochMs, in milliseconds.
+  function getTimeZoneOffset(epochMs, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone, hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }).formatToParts(new Date(epochMs));
+    const get = type => parseInt(parts.find(part => part.type === type).value, 10);
+    return Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second')) - epochMs;
+  }
+
+  // Epoch seconds that GTFS times of a service day count from ("noon minus 12h" in the agency time zone).
+  function getServiceDayStart(date, timeZone = DEFAULT_TIMEZONE) {
+    const noonUtc = Date.UTC(+date.slice(0, 4), +date.slice(4, 6) - 1, +date.slice(6, 8), 12);
+    const noonLocal = noonUtc - getTimeZoneOffset(noonUtc, timeZone);
+    return Math.round(noonLocal / 1000) - 12 * 3600;
+  }
+
+  // The service date ("YYYYMMDD") of an epoch in the agency time zone.
+  function getServiceDate(epochSec, timeZone = DEFAULT_TIMEZONE) {
+    const local = new Date(epochSec * 1000 + getTimeZoneOffset(epochSec * 1000, timeZone));
+    return local.toISOString().slice(0, 10).replace(/-/g, "");
+  }
+
+  // Lookup tables derived from the model.
+  function buildIndexes(model) {
+    const index = { childrenByParent: {}, tripsByRoute: {}, transfersByStop: {}, routesByStop: {} };
+    Object.values(model.stops).forEach(stop => {
+      if (!stop.parentStation) return;
+      if (!index.childrenByParent[stop.parentStation]) index.childrenByParent[stop.parentStation] = [];
+      index.childrenByParent[stop.parentStation].push(stop.id);
+    });
+    Object.values(model.trips).forEach(trip => {
+      if (!index.tripsByRoute[trip.routeId]) index.tripsByRoute[trip.routeId] = [];
+      index.tripsByRoute[trip.routeId].push(trip.id);
+    });
+    model.transfers.forEach(transfer => {
+      if (!index.transfersByStop[transfer.fromStopId]) index.transfersByStop[transfer.fromStopId] = [];
+      index.transfersByStop[transfer.fromStopId].push(transfer);
+    });
+    // Routes serving each stop (platforms and their parent stations), from the scheduled trips.
+    Object.keys(model.stopTimes).forEach(tripId => {
+      const trip = model.trips[tripId];
+      if (!trip) return;
+      model.stopTimes[tripId].forEach(stopTime => {
+        const stop = model.stops[stopTime.stopId];
+        [stopTime.stopId, stop && stop.parentStation].forEach(stopId => {
+          if (!stopId) return;
+          if (!index.routesByStop[stopId]) index.routesByStop[stopId] = new Set();
+          index.routesByStop[stopId].add(trip.routeId);
+        });
+      });
+    });
+    return index;
+  }
+
+  // GeoJSON LineString features (properties.route_id) for every shape used by a trip,
+  // in the same form as NYC_Line.geojson.
+  function getShapeFeatures(model) {
+    const routeByShape = {};
+    Object.values(model.trips).forEach(trip => {
+      if (trip.shapeId && !routeByShape[trip.shapeId]) routeByShape[trip.shapeId] = trip.routeId;
+    });
+    return Object.keys(model.shapes)
+      .filter(shapeId => routeByShape[shapeId] && model.shapes[shapeId].length >= 2)
+      .map(shapeId => ({
+        type: "Feature",
+        properties: { route_id: routeByShape[shapeId], shape_id: shapeId },
+        geometry: { type: "LineString", coordinates: model.shapes[shapeId].map(([lat, lon]) => [lon, lat]) }
+      }));
+  }
+
+  /**
+   * Load a GTFS static feed.
+   * @param {string|ArrayBuffer|Uint8Array|Blob} location  zip bytes, or a .zip / directory path or URL
+   * @param {{ files?: Array<string> }} [options]  files to read (default GTFS_FILES)
+   * @returns {Promise<GtfsModel>}
+   */
+  async function loadGtfs(location, options = {}) {
+    const source = await openSource(location);
+    const names = options.files || GTFS_FILES;
+    const texts = await Promise.all(names.map(name => source.readFile(name)));
+    const files = {};
+    names.forEach((name, i) => { files[name] = texts[i]; });
+    return buildModel(files);
+  }
+
+  return {
+    GTFS_FILES,
+    forEachCsvRecord,
+    parseCsv,
+    parseGtfsTime,
+    parseGtfsColor,
+    isServiceActive,
+    getServiceDayStart,
+    getServiceDate,
+    openSource,
+    buildModel,
+    getShapeFeatures,
+    loadGtfs
+  };
+});
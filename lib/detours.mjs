@@ -0,0 +1,139 @@
+// lib/detours.mjs
+// Detours from GTFS-realtime TripModifications. A modification replaces a span of an affected
+// trip's stops with replacement stops; the trip may also run on a shape of its own (a Shape
+// entity of the feed, or a shape from shapes.txt).
+//
+//   const model = applyTripModifications(mergeFeedModels(models));
+//   model.trips[tripId].detour  =>  { modificationsId, shapeId, notServed: [{ stopId, arrival }], alertIds: [...] }
+
+// Decode an encoded polyline (https://developers.google.com/maps/documentation/utilities/polylinealgorithm)
+// into [[lat, lon], ...].
+export function decodePolyline(encoded, precision = 5) {
+  const factor = Math.pow(10, precision);
+  const coords = [];
+  let index = 0, lat = 0, lon = 0;
+  // Helper: read one zigzag encoded delta, 5 bits per character.
+  const readDelta = () => {
+    let result = 0, shift = 0, chunk;
+    do {
+      chunk = encoded.charCodeAt(index++) - 63;
+      result |= (chunk & 0x1f) << shift;
+      shift += 5;
+    } while (chunk >= 0x20);
+    return result & 1 ? ~(result >> 1) : result >> 1;
+  };
+  while (index < encoded.length) {
+    lat += readDelta();
+    lon += readDelta();
+    coords.push([lat / factor, lon / factor]);
+  }
+  return coords;
+}
+
+// Helper: true when a trip_id from SelectedTrips names a realtime trip. NYCT realtime trip_ids are
+// the tail of the static ones: "AFA23GEN-1038-Weekday-00_043650_1..S03R" runs as "043650_1..S03R".
+function isSelectedTrip(selectedTripId, tripId) {
+  return selectedTripId === tripId || selectedTripId.endsWith("_" + tripId);
+}
+
+// The TripModifications a trip runs with, and its shape_id: { tripModifications, shapeId }, or null.
+// Trips naming their modifications (TripDescriptor.modified_trip, whose trip_id is then empty)
+// are matched by that id, others by the trip_ids, start times and service dates the modifications select.
+export function findTripModifications(model, trip) {
+  const named = trip.modifiedTrip && model.modifications[trip.modifiedTrip.modificationsId];
+  const tripIds = [trip.tripId, trip.modifiedTrip && trip.modifiedTrip.affectedTripId].filter(Boolean);
+  if (!named && tripIds.length === 0) return null;
+  for (const tripModifications of named ? [named] : Object.values(model.modifications)) {
+    const selected = tripModifications.selectedTrips
+      .find(s => s.tripIds.some(selectedTripId => tripIds.some(tripId => isSelectedTrip(selectedTripId, tripId))));
+    if (!named) {
+      if (!selected) continue;
+      if (trip.startDate && tripModifications.serviceDates.length > 0 && !tripModifications.serviceDates.includes(trip.startDate)) continue;
+      if (trip.startTime && tripModifications.startTimes.length > 0 && !tripModifications.startTimes.includes(trip.startTime)) continue;
+    }
+    return { tripModifications, shapeId: trip.shapeId || (selected && selected.shapeId) || null };
+  }
+  return null;
+}
+
+// Helper: index of the update a StopSelector ({ stopSequence, stopId }) picks, or -1.
+function findSelectedStop(updates, selector) {
+  if (!selector) return -1;
+  return updates.findIndex(u => (selector.stopId ? u.stopId === selector.stopId : u.stopSequence === selector.stopSequence));
+}
+
+// Apply modifications to a trip's stop time updates. Each replaces the span from its start to its
+// end stop (its start stop alone when it has no end stop) with its replacement stops, timed from
+// the stop before the span (or the span's first stop when the feed no longer lists the one
+// before). Returns { updates, notServed }, notServed being the replaced stops with their
+// predicted arrivals.
+//
+// A span already replaced in the feed (its replacement stops are all predicted) is kept, less any
+// of its own stops still listed. When the feed no longer lists the span, its start and end stops
+// are reported as not served with an arrival of null. A span whose start stop is gone (the train
+// is past it) is left alone. Predicted times after a span are kept as they are: unlike scheduled
+// times they already include propagated_modification_delay.
+export function applyModificationsToUpdates(updates, modifications) {
+  let result = updates.slice();
+  const notServed = [];
+  // Helper: report a stop as not served, once.
+  const addNotServed = (stopId, arrival) => {
+    if (!notServed.some(s => s.stopId === stopId)) notServed.push({ stopId, arrival });
+  };
+  modifications.forEach(modification => {
+    const replacementStops = modification.replacementStops;
+    const start = findSelectedStop(result, modification.startStop);
+    const end = modification.endStop ? findSelectedStop(result, modification.endStop) : start;
+    if (replacementStops.length > 0 && replacementStops.every(r => result.some(u => u.stopId === r.stopId))) {
+      const replacementIds = new Set(replacementStops.map(r => r.stopId));
+      if (start >= 0 && end >= start) {
+        const span = result.slice(start, end + 1).filter(u => !replacementIds.has(u.stopId));
+        span.forEach(u => addNotServed(u.stopId, u.arrival || u.departure || null));
+        result = result.filter(u => !span.includes(u));
+        return;
+      }
+      [modification.startStop, modification.endStop].forEach(selector => {
+        if (selector && selector.stopId) addNotServed(selector.stopId, null);
+      });
+      return;
+    }
+    if (start < 0 || end < start) return;
+    const reference = result[start > 0 ? start - 1 : start];
+    const referenceTime = reference.arrival || reference.departure;
+    result.slice(start, end + 1).forEach(u => addNotServed(u.stopId, u.arrival || u.departure || null));
+    const replacements = replacementStops.map(r => {
+      const time = referenceTime ? referenceTime + r.travelTime : 0;
+      return { stopId: r.stopId, arrival: time, departure: time };
+    });
+    result = result.slice(0, start).concat(replacements, result.slice(end + 1));
+  });
+  return { updates: result, notServed };
+}
+
+// The model with its TripModifications applied: every affected trip gets its modified stop time
+// updates and a detour: { modificationsId, shapeId, notServed, alertIds (of the Alerts describing
+// the modifications) }. Trips and models without modifications are returned as they are.
+export function applyTripModifications(model) {
+  if (!model.modifications || Object.keys(model.modifications).length === 0) return model;
+  const trips = {};
+  Object.keys(model.trips).forEach(key => {
+    const trip = model.trips[key];
+    const match = findTripModifications(model, trip);
+    if (!match) {
+      trips[key] = trip;
+      return;
+    }
+    const modifications = match.tripModifications.modifications;
+    const { updates, notServed } = applyModificationsToUpdates(trip.updates, modifications);
+    trips[key] = Object.assign({}, trip, {
+      updates,
+      detour: {
+        modificationsId: match.tripModifications.id,
+        shapeId: match.shapeId,
+        notServed,
+        alertIds: modifications.map(m => m.alertId).filter(Boolean)
+      }
+    });
+  });
+  return Object.assign({}, model, { trips });
+}
@@ -0,0 +1,228 @@
+// lib/feed.mjs
+// Decodes GTFS-realtime feeds into the compact model the map works with:
+//   { trips: {tripId: trip}, vehicles: {entityId: vehicle}, alerts: {entityId: alert},
+//     modifications: {entityId: TripModifications}, shapes: {shapeId: shape} }
+// protobufjs is passed in rather than imported, since the browser loads it as a classic script:
+//
+//   const schema = await loadFeedSchema(protobuf, 'gtfs-realtime.proto');
+//   const { timestamp, model } = decodeFeed(schema, bytes);
+
+import { resolveRouteId } from './routes.mjs';
+import { decodePolyline } from './detours.mjs';
+
+export const DEFAULT_BASE_URL = 'https://api-endpoint.mta.info/Dataservice/mtagtfsfeeds/';
+
+// Subway feeds and the lines each one carries.
+export const SUBWAY_FEEDS = {
+  ace: { path: 'nyct%2Fgtfs-ace', routes: ['A', 'C', 'E', 'H'] },
+  g: { path: 'nyct%2Fgtfs-g', routes: ['G'] },
+  bdfm: { path: 'nyct%2Fgtfs-bdfm', routes: ['B', 'D', 'F', 'FX', 'M', 'FS'] },
+  jz: { path: 'nyct%2Fgtfs-jz', routes: ['J', 'Z'] },
+  nqrw: { path: 'nyct%2Fgtfs-nqrw', routes: ['N', 'Q', 'R', 'W'] },
+  l: { path: 'nyct%2Fgtfs-l', routes: ['L'] },
+  numbered: { path: 'nyct%2Fgtfs', routes: ['1', '2', '3', '4', '5', '5X', '6', '6X', '7', '7X', 'GS'] },
+  si: { path: 'nyct%2Fgtfs-si', routes: ['SI'] }
+};
+
+// The collections of a feed model, each keyed by id.
+export const FEED_COLLECTIONS = ['trips', 'vehicles', 'alerts', 'modifications', 'shapes'];
+
+// An empty feed model.
+export function createFeedModel() {
+  const model = {};
+  FEED_COLLECTIONS.forEach(name => { model[name] = {}; });
+  return model;
+}
+
+// Helper: pick the plain English text out of a GTFS-realtime TranslatedString.
+export function getTranslatedText(translatedString) {
+  if (!translatedString || !translatedString.translation || translatedString.translation.length === 0) return "";
+  const translations = translatedString.translation;
+  const match = translations.find(t => t.language === "en")
+    || translations.find(t => !t.language)
+    || translations[0];
+  return match.text || "";
+}
+
+// Load gtfs-realtime.proto (a URL in the browser, a file path in Node) with the given protobufjs.
+export async function loadFeedSchema(protobuf, protoPath) {
+  const root = await protobuf.load(protoPath);
+  return {
+    Reader: protobuf.Reader,
+    FeedMessage: root.lookupType("transit_realtime.FeedMessage"),
+    FeedHeader: root.lookupType("transit_realtime.FeedHeader")
+  };
+}
+
+// Helper: read FeedHeader.timestamp without decoding the entities, or null when there is none.
+export function readHeaderTimestamp(schema, bytes) {
+  const reader = schema.Reader.create(bytes);
+  while (reader.pos < reader.len) {
+    const tag = reader.uint32();
+    if (tag >>> 3 === 1 && (tag & 7) === 2) {
+      const timestamp = schema.FeedHeader.decode(reader, reader.uint32()).timestamp;
+      return timestamp ? parseInt(timestamp.toString()) || null : null;
+    }
+    reader.skipType(tag & 7);
+  }
+  return null;
+}
+
+// Helper: a StopSelector as { stopSequence, stopId }, or null when it selects nothing.
+function normalizeStopSelector(selector) {
+  if (!selector || (!selector.stopId && !selector.stopSequence)) return null;
+  return { stopSequence: selector.stopSequence || null, stopId: selector.stopId || null };
+}
+
+// Helper: an OccupancyStatus, or null when the feed has no data for it.
+function normalizeOccupancyStatus(status) {
+  return status && status !== "NO_DATA_AVAILABLE" ? status : null;
+}
+
+// Helper: multi_carriage_details as [{ id, label, occupancyStatus, occupancyPercentage }], front
+// carriage first. Details whose carriage_sequence does not run 1, 2, 3... are discarded, as the spec asks.
+function normalizeCarriages(details) {
+  if (!details || details.length === 0) return [];
+  if (details.some((carriage, i) => carriage.carriageSequence !== i + 1)) return [];
+  return details.map(carriage => ({
+    id: carriage.id || null,
+    label: carriage.label || "",
+    occupancyStatus: normalizeOccupancyStatus(carriage.occupancyStatus),
+    occupancyPercentage: carriage.occupancyPercentage >= 0 ? carriage.occupancyPercentage : null
+  }));
+}
+
+// Helper: route of an NYCT trip_id, realtime ("043650_1..S03R") or static
+// ("AFA23GEN-1038-Weekday-00_043650_1..S03R"), or null for other trip_ids.
+function getNyctTripRouteId(tripId) {
+  const match = /(?:^|_)\d{6}_([A-Za-z0-9]+)\.\.?[NS]/.exec(tripId || "");
+  return match ? match[1] : null;
+}
+
+// Turn a decoded FeedMessage into a feed model (see createFeedModel), keyed by trip/entity/shape id.
+export function normalizeFeed(feed) {
+  const model = createFeedModel();
+  (feed.entity || []).forEach(entity => {
+    if (entity.tripUpdate && entity.tripUpdate.stopTimeUpdate) {
+      const trip = entity.tripUpdate.trip || {};
+      const modifiedTrip = trip.modifiedTrip && trip.modifiedTrip.modificationsId ? trip.modifiedTrip : null;
+      // A trip given by its ModifiedTripSelector has no trip_id, route_id or start date of its own:
+      // it is keyed by its modifications and the trip they affect, which also gives the route.
+      const affectedTripId = (modifiedTrip && modifiedTrip.affectedTripId) || null;
+      const tripId = trip.tripId || (modifiedTrip ? `${modifiedTrip.modificationsId}:${affectedTripId || entity.id}` : entity.id);
+      const tripProperties = entity.tripUpdate.tripProperties;
+      model.trips[tripId] = {
+        tripId: trip.tripId || null,
+        routeId: resolveRouteId(trip.routeId || getNyctTripRouteId(affectedTripId) || "Unknown"),
+        startDate: trip.startDate || (modifiedTrip && modifiedTrip.startDate) || "",
+        startTime: trip.startTime || (modifiedTrip && modifiedTrip.startTime) || "",
+        scheduleRelationship: trip.scheduleRelationship || "SCHEDULED",
+        modifiedTrip: modifiedTrip
+          ? { modificationsId: modifiedTrip.modificationsId, affectedTripId }
+          : null,
+        shapeId: (tripProperties && tripProperties.shapeId) || null,
+        updates: entity.tripUpdate.stopTimeUpdate
+          .filter(stu => stu.stopId)
+          .map(stu => Object.assign({
+            stopId: stu.stopId,
+            arrival: stu.arrival && stu.arrival.time ? parseInt(stu.arrival.time) : 0,
+            departure: stu.departure && stu.departure.time ? parseInt(stu.departure.time) : 0
+          }, stu.stopSequence ? { stopSequence: stu.stopSequence } : {}))
+      };
+    }
+    if (entity.vehicle) {
+      const vehicle = entity.vehicle;
+      const trip = vehicle.trip || {};
+      model.vehicles[entity.id] = {
+        tripId: trip.tripId || null,
+        routeId: resolveRouteId(trip.routeId || "Unknown"),
+        stopId: vehicle.stopId || null,
+        currentStatus: vehicle.currentStatus || null,
+        timestamp: parseInt(vehicle.timestamp) || 0,
+        occupancyStatus: normalizeOccupancyStatus(vehicle.occupancyStatus),
+        occupancyPercentage: vehicle.occupancyPercentage === undefined ? null : vehicle.occupancyPercentage,
+        carriages: normalizeCarriages(vehicle.multiCarriageDetails)
+      };
+    }
+    if (entity.alert) {
+      const alert = entity.alert;
+      model.alerts[entity.id] = {
+        id: entity.id,
+        header: getTranslatedText(alert.headerText),
+        description: getTranslatedText(alert.descriptionText),
+        cause: alert.cause || "UNKNOWN_CAUSE",
+        effect: alert.effect || "UNKNOWN_EFFECT",
+        activePeriods: (alert.activePeriod || []).map(period => ({
+          start: parseInt(period.start) || 0,
+          end: parseInt(period.end) || 0
+        })),
+        informedEntity: (alert.informedEntity || []).map(selector => ({
+          routeId: selector.routeId || (selector.trip && selector.trip.routeId) || null,
+          stopId: selector.stopId || null
+        }))
+      };
+    }
+    if (entity.tripModifications) {
+      const tripModifications = entity.tripModifications;
+      model.modifications[entity.id] = {
+        id: entity.id,
+        selectedTrips: (tripModifications.selectedTrips || []).map(selected => ({
+          tripIds: selected.tripIds || [],
+          shapeId: selected.shapeId || null
+        })),
+        startTimes: tripModifications.startTimes || [],
+        serviceDates: tripModifications.serviceDates || [],
+        modifications: (tripModifications.modifications || []).map(modification => ({
+          startStop: normalizeStopSelector(modification.startStopSelector),
+          endStop: normalizeStopSelector(modification.endStopSelector),
+          replacementStops: (modification.replacementStops || [])
+            .filter(r => r.stopId)
+            .map(r => ({ stopId: r.stopId, travelTime: r.travelTimeToStop || 0 })),
+          alertId: modification.serviceAlertId || null
+        }))
+      };
+    }
+    if (entity.shape && entity.shape.shapeId && entity.shape.encodedPolyline) {
+      model.shapes[entity.shape.shapeId] = {
+        shapeId: entity.shape.shapeId,
+        coords: decodePolyline(entity.shape.encodedPolyline)
+      };
+    }
+  });
+  return model;
+}
+
+// Decode a feed's bytes; returns { timestamp (the header's, epoch s, or null), model }.
+// Throws when the bytes are not a FeedMessage. Fields the feed leaves out stay undefined rather
+// than taking their proto defaults, which would e.g. read a missing occupancy_status as EMPTY.
+export function decodeFeed(schema, bytes) {
+  const feed = schema.FeedMessage.toObject(schema.FeedMessage.decode(bytes), {
+    enums: String,
+    longs: String,
+    arrays: true,
+  });
+  return {
+    timestamp: feed.header && parseInt(feed.header.timestamp) || null,
+    model: normalizeFeed(feed)
+  };
+}
+
+// The newest vehicle position of every trip in a feed model: { tripId: vehicle }.
+export function getVehiclesByTrip(model) {
+  const vehiclesByTrip = {};
+  Object.values(model.vehicles).forEach(vehicle => {
+    if (!vehicle.tripId) return;
+    const known = vehiclesByTrip[vehicle.tripId];
+    if (!known || vehicle.timestamp >= known.timestamp) vehiclesByTrip[vehicle.tripId] = vehicle;
+  });
+  return vehiclesByTrip;
+}
+
+// Helper: merge the models of several feeds into one (later feeds win on duplicate ids).
+export function mergeFeedModels(models) {
+  const merged = createFeedModel();
+  models.forEach(model => {
+    FEED_COLLECTIONS.forEach(name => Object.assign(merged[name], model[name]));
+  });
+  return merged;
+}
@@ -0,0 +1,90 @@
+// lib/geometry.mjs
+// Distances and interpolation along polylines of [lat, lon] points, shared by the map and the CLI.
+
+// Compute Haversine distance (in meters) between two [lat, lon] points.
+export function getDistance(coord1, coord2) {
+  const R = 6371000; // Earth's radius in meters
+  const toRad = Math.PI / 180;
+  const dLat = (coord2[0] - coord1[0]) * toRad;
+  const dLon = (coord2[1] - coord1[1]) * toRad;
+  const lat1 = coord1[0] * toRad;
+  const lat2 = coord2[0] * toRad;
+  const a = Math.sin(dLat / 2) ** 2 +
+            Math.cos(lat1) * Math.cos(lat2) *
+            Math.sin(dLon / 2) ** 2;
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  return R * c;
+}
+
+// Compute cumulative distances along an array of [lat, lon] points.
+export function computeCumulativeDistances(coords) {
+  let cumDist = [0];
+  for (let i = 1; i < coords.length; i++) {
+    cumDist.push(cumDist[i - 1] + getDistance(coords[i - 1], coords[i]));
+  }
+  return cumDist;
+}
+
+// Linear interpolation between two [lat, lon] coordinates.
+export function interpolatePoint(coord1, coord2, fraction) {
+  return [
+    coord1[0] + (coord2[0] - coord1[0]) * fraction,
+    coord1[1] + (coord2[1] - coord1[1]) * fraction
+  ];
+}
+
+// Given an array of [lat, lon] coordinates and their cumulative distances,
+// return the interpolated coordinate at targetDistance along the polyline.
+// Binary search over cumDist keeps this O(log n) per call.
+export function getPointAlongPolyline(latLonCoords, cumDist, targetDistance) {
+  const last = cumDist.length - 1;
+  if (targetDistance <= cumDist[0]) return latLonCoords[0];
+  if (targetDistance >= cumDist[last]) return latLonCoords[last];
+  let lo = 0, hi = last;
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (cumDist[mid] <= targetDistance) lo = mid; else hi = mid;
+  }
+  const segLength = cumDist[lo + 1] - cumDist[lo];
+  if (segLength === 0) return latLonCoords[lo];
+  return interpolatePoint(latLonCoords[lo], latLonCoords[lo + 1], (targetDistance - cumDist[lo]) / segLength);
+}
+
+// Project a point onto a line segment; returns the fractional position (0 to 1)
+export function projectPointOnSegment(coord, segStart, segEnd) {
+  const dx = segEnd[0] - segStart[0];
+  const dy = segEnd[1] - segStart[1];
+  const lenSq = dx * dx + dy * dy;
+  if (lenSq === 0) return 0;
+  const t = ((coord[0] - segStart[0]) * dx + (coord[1] - segStart[1]) * dy) / lenSq;
+  return Math.max(0, Math.min(1, t));
+}
+
+// Given a polyline (array of [lat, lon]) and its cumulative distances,
+// find the closest projection of a coordinate onto the polyline and return its cumulative distance.
+export function getClosestDistanceOnPolyline(latLonCoords, cumDist, coord) {
+  let best = { distance: Infinity, projected: 0 };
+  for (let i = 0; i < latLonCoords.length - 1; i++) {
+    const t = projectPointOnSegment(coord, latLonCoords[i], latLonCoords[i + 1]);
+    const proj = interpolatePoint(latLonCoords[i], latLonCoords[i + 1], t);
+    const d = getDistance(coord, proj);
+    if (d < best.distance) {
+      best.distance = d;
+      best.projected = cumDist[i] + t * (cumDist[i + 1] - cumDist[i]);
+    }
+  }
+  return best.projected;
+}
+
+// Initial bearing from one [lat, lon] point to another, in degrees clockwise from north (0-360),
+// or null when the points coincide.
+export function getBearing(coord1, coord2) {
+  const toRad = Math.PI / 180;
+  const lat1 = coord1[0] * toRad;
+  const lat2 = coord2[0] * toRad;
+  const dLon = (coord2[1] - coord1[1]) * toRad;
+  const y = Math.sin(dLon) * Math.cos(lat2);
+  const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLon);
+  if (x === 0 && y === 0) return null;
+  return (Math.atan2(y, x) / toRad + 360) % 360;
+}
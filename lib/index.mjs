@@ -0,0 +1,10 @@
+// lib/index.mjs
+// The map's non-UI code as ES modules, usable from the browser and from Node.
+export * from './geometry.mjs';
+export * from './time.mjs';
+export * from './routes.mjs';
+export * from './feed.mjs';
+export * from './detours.mjs';
+export * from './stops.mjs';
+export * from './position.mjs';
+export * from './occupancy.mjs';
@@ -0,0 +1,63 @@
+// lib/occupancy.mjs
+// How crowded a train is, from the occupancy fields of its VehiclePosition (as normalized by
+// lib/feed.mjs). Statuses and percentages are reduced to a level from 1 (plenty of room) to 4
+// (full) for display; the label keeps the status the feed gave.
+//
+//   getVehicleOccupancy(vehicle)  =>  { level, label, percentage, carriages: [{ label, occupancy }] }
+
+const STATUS_LEVELS = {
+  EMPTY: 1,
+  MANY_SEATS_AVAILABLE: 1,
+  FEW_SEATS_AVAILABLE: 2,
+  STANDING_ROOM_ONLY: 3,
+  CRUSHED_STANDING_ROOM_ONLY: 4,
+  FULL: 4,
+  NOT_ACCEPTING_PASSENGERS: 4
+};
+
+const STATUS_LABELS = {
+  EMPTY: "Empty",
+  MANY_SEATS_AVAILABLE: "Many seats available",
+  FEW_SEATS_AVAILABLE: "Few seats available",
+  STANDING_ROOM_ONLY: "Standing room only",
+  CRUSHED_STANDING_ROOM_ONLY: "Crushed standing room only",
+  FULL: "Full",
+  NOT_ACCEPTING_PASSENGERS: "Not accepting passengers",
+  NOT_BOARDABLE: "Not boardable"
+};
+
+// Helper: level of an occupancy percentage (100 is the vehicle's designed capacity, so it may go over).
+function getPercentageLevel(percentage) {
+  if (percentage < 40) return 1;
+  if (percentage < 70) return 2;
+  if (percentage < 100) return 3;
+  return 4;
+}
+
+// Occupancy of a vehicle or carriage ({ occupancyStatus, occupancyPercentage }): { level, label,
+// percentage }, or null when neither is known. The level is null for carriages that can't be
+// boarded (NOT_BOARDABLE) and for statuses this module doesn't know.
+export function describeOccupancy(source) {
+  const status = source.occupancyStatus || null;
+  const percentage = typeof source.occupancyPercentage === "number" ? source.occupancyPercentage : null;
+  if (!status && percentage === null) return null;
+  if (!status) {
+    return { level: getPercentageLevel(percentage), label: `${percentage}% full`, percentage };
+  }
+  return { level: STATUS_LEVELS[status] || null, label: STATUS_LABELS[status] || status, percentage };
+}
+
+// Occupancy of a train: the vehicle's own, or else that of its fullest carriage, with the
+// carriages front first: { level, label, percentage, carriages: [{ label, occupancy }] }.
+// carriages is empty when the feed has nothing per carriage. Returns null without any data.
+export function getVehicleOccupancy(vehicle) {
+  if (!vehicle) return null;
+  const carriages = (vehicle.carriages || []).map(carriage => ({ label: carriage.label, occupancy: describeOccupancy(carriage) }));
+  const known = carriages.filter(carriage => carriage.occupancy);
+  let occupancy = describeOccupancy(vehicle);
+  if (!occupancy && known.length > 0) {
+    occupancy = known.map(carriage => carriage.occupancy).reduce((a, b) => ((b.level || 0) > (a.level || 0) ? b : a));
+  }
+  if (!occupancy) return null;
+  return Object.assign({}, occupancy, { carriages: known.length > 0 ? carriages : [] });
+}
@@ -0,0 +1,74 @@
+// lib/position.mjs
+// Where a train is, from its trip's stop time updates: the stop it last passed and the next one.
+// Works on the trips of the feed model from lib/feed.mjs and the stopsMap from lib/stops.mjs.
+
+import { interpolatePoint } from './geometry.mjs';
+
+// Helper: the last stop passed (arrival at or before nowSec) and the next stop of a trip.
+export function getTripProgress(updates, nowSec) {
+  let passedStop = null, nextStop = null;
+  updates.forEach(u => {
+    if (u.arrival <= nowSec) {
+      if (!passedStop || u.arrival > passedStop.arrival) {
+        passedStop = u;
+      }
+    } else {
+      if (!nextStop || u.arrival < nextStop.arrival) {
+        nextStop = u;
+      }
+    }
+  });
+  return { passedStop, nextStop };
+}
+
+// The two known stops a trip is between at nowSec: { updates (with an arrival, in order),
+// passedStop, nextStop }, or null when the train is not currently between two known stops.
+export function getTripSegment(trip, nowSec, stopsMap) {
+  const updates = trip.updates.filter(u => u.arrival).sort((a, b) => a.arrival - b.arrival);
+  if (updates.length < 2) return null;
+  const { passedStop, nextStop } = getTripProgress(updates, nowSec);
+  if (!passedStop || !nextStop || !stopsMap[passedStop.stopId] || !stopsMap[nextStop.stopId]) return null;
+  if (nextStop.arrival <= passedStop.arrival) return null;
+  return { updates, passedStop, nextStop };
+}
+
+// How long (s) after its timestamp a VehiclePosition's current_status is trusted.
+export const VEHICLE_STATUS_MAX_AGE = 120;
+// How far between its stops a train INCOMING_AT the next one is drawn at least.
+const INCOMING_FRACTION = 0.9;
+
+// Correct a fraction interpolated between two stops with the current_status the train's vehicle
+// reports: a train STOPPED_AT either stop is held there, one still heading for the stop the
+// predictions have it past is held at that stop, and one INCOMING_AT the next stop is moved up to
+// it. A vehicle without a status, an outdated one, or one at some other stop changes nothing.
+export function correctFractionForVehicle(fraction, passedStopId, nextStopId, vehicle, nowSec) {
+  if (!vehicle || !vehicle.currentStatus || !vehicle.stopId) return fraction;
+  if (vehicle.timestamp && nowSec - vehicle.timestamp > VEHICLE_STATUS_MAX_AGE) return fraction;
+  if (vehicle.stopId === passedStopId) return 0;
+  if (vehicle.stopId === nextStopId) {
+    if (vehicle.currentStatus === "STOPPED_AT") return 1;
+    if (vehicle.currentStatus === "INCOMING_AT") return Math.max(fraction, INCOMING_FRACTION);
+  }
+  return fraction;
+}
+
+// Estimate a train's position at nowSec, on a straight line between its two stops:
+// { tripId, routeId, passedStop, nextStop, fraction (0 to 1), coord ([lat, lon]) }, or null.
+// Given the trip's vehicle, the fraction is corrected with its current_status.
+export function estimateTrainPosition(trip, nowSec, stopsMap, vehicle = null) {
+  const segment = getTripSegment(trip, nowSec, stopsMap);
+  if (!segment) return null;
+  const { passedStop, nextStop } = segment;
+  const fraction = correctFractionForVehicle((nowSec - passedStop.arrival) / (nextStop.arrival - passedStop.arrival),
+    passedStop.stopId, nextStop.stopId, vehicle, nowSec);
+  const passed = stopsMap[passedStop.stopId];
+  const next = stopsMap[nextStop.stopId];
+  return {
+    tripId: trip.tripId,
+    routeId: trip.routeId,
+    passedStop,
+    nextStop,
+    fraction,
+    coord: interpolatePoint([passed.lat, passed.lon], [next.lat, next.lon], fraction)
+  };
+}
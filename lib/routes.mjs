@@ -0,0 +1,105 @@
+// lib/routes.mjs
+// Route registry. Every route_id seen in the realtime feeds, in GTFS static and in
+// NYC_Line.geojson resolves to one canonical route, with the bullet it is drawn with
+// (a diamond for express variants), its colour and the shapes its trains run on.
+//
+//   const registry = createRouteRegistry();
+//   getRoute(registry, ' 6x ')  =>  { id: '6X', bullet: '6', express: true, color: '#00933C', shapes: ['6'], ... }
+
+export const UNKNOWN_ROUTE_COLOR = "#000000";
+
+// Built-in routes in bullet order. shapes are the geojson route_ids whose tracks the route's
+// trains are snapped to (default: the route's own id).
+const ROUTES = [
+  { id: "1", bullet: "1", color: "#EE352E" },
+  { id: "2", bullet: "2", color: "#EE352E" },
+  { id: "3", bullet: "3", color: "#EE352E" },
+  { id: "4", bullet: "4", color: "#00933C" },
+  { id: "5", bullet: "5", color: "#00933C" },
+  { id: "5X", bullet: "5", color: "#00933C", express: true, shapes: ["5"] },
+  { id: "6", bullet: "6", color: "#00933C" },
+  { id: "6X", bullet: "6", color: "#00933C", express: true, shapes: ["6"] },
+  { id: "7", bullet: "7", color: "#B933AD" },
+  { id: "7X", bullet: "7", color: "#B933AD", express: true, shapes: ["7"] },
+  { id: "GS", bullet: "S", color: "#808183" },
+  { id: "A", bullet: "A", color: "#0039A6" },
+  { id: "C", bullet: "C", color: "#0039A6" },
+  { id: "E", bullet: "E", color: "#0039A6" },
+  { id: "H", bullet: "S", color: "#808183" },
+  { id: "B", bullet: "B", color: "#FF6319" },
+  { id: "D", bullet: "D", color: "#FF6319" },
+  { id: "F", bullet: "F", color: "#FF6319" },
+  { id: "FX", bullet: "F", color: "#FF6319", express: true, shapes: ["F"] },
+  { id: "M", bullet: "M", color: "#FF6319" },
+  { id: "FS", bullet: "S", color: "#808183" },
+  { id: "G", bullet: "G", color: "#6CBE45" },
+  { id: "J", bullet: "J", color: "#996633" },
+  { id: "Z", bullet: "Z", color: "#996633" },
+  { id: "L", bullet: "L", color: "#A7A9AC" },
+  { id: "N", bullet: "N", color: "#FCCC0A", textColor: "#000000" },
+  { id: "Q", bullet: "Q", color: "#FCCC0A", textColor: "#000000" },
+  { id: "R", bullet: "R", color: "#FCCC0A", textColor: "#000000" },
+  // The W has no shape of its own; it runs on the Astoria and Broadway tracks of the N and R.
+  { id: "W", bullet: "W", color: "#FCCC0A", textColor: "#000000", shapes: ["N", "R"] },
+  { id: "SI", bullet: "SIR", color: "#6CBE45" },
+  { id: "AIR", bullet: "AT", color: "#808183" }
+];
+
+// Other spellings of route_ids, after normalizeRouteId, mapped to the canonical id.
+const ROUTE_ALIASES = {
+  "S": "GS",
+  "42S": "GS",
+  "SF": "FS",
+  "SR": "H",
+  "SIR": "SI",
+  "SS": "SI",
+  "AIRTRAIN": "AIR"
+};
+
+// Helper: normalize a route_id from any source: trimmed, upper case, without whitespace.
+export function normalizeRouteId(routeId) {
+  return String(routeId || "").trim().toUpperCase().replace(/\s+/g, "");
+}
+
+// The canonical id of a route_id from a feed, GTFS static or the route shapes.
+export function resolveRouteId(routeId) {
+  const id = normalizeRouteId(routeId);
+  return ROUTE_ALIASES[id] || id;
+}
+
+// Helper: add a route to the registry, filling in the defaults.
+function addRoute(registry, route) {
+  registry.routes[route.id] = Object.assign({ express: false, textColor: "#FFFFFF", shapes: [route.id], known: true }, route);
+  registry.order.push(route.id);
+  return registry.routes[route.id];
+}
+
+// A registry holding the built-in routes: { routes: { id: route }, order: [id, ...] }.
+export function createRouteRegistry() {
+  const registry = { routes: {}, order: [] };
+  ROUTES.forEach(route => addRoute(registry, Object.assign({}, route)));
+  return registry;
+}
+
+// The route a route_id resolves to. Unknown ids are added on first use, drawn with their
+// own id as the bullet in UNKNOWN_ROUTE_COLOR, and marked known: false.
+export function getRoute(registry, routeId) {
+  const id = resolveRouteId(routeId);
+  return registry.routes[id] || addRoute(registry, { id, bullet: id, color: UNKNOWN_ROUTE_COLOR, known: false });
+}
+
+// Colours from GTFS static routes.txt ({ id, color, textColor } as loaded by gtfsStatic.js)
+// replace the built-in ones.
+export function applyGtfsRoutes(registry, routes) {
+  Object.values(routes).forEach(gtfsRoute => {
+    const route = getRoute(registry, gtfsRoute.id);
+    if (gtfsRoute.color) route.color = gtfsRoute.color;
+    if (gtfsRoute.textColor) route.textColor = gtfsRoute.textColor;
+  });
+}
+
+// Sort comparator putting route_ids in bullet order (unknown routes last, in order of first use).
+export function compareRoutes(registry, a, b) {
+  const order = registry.order;
+  return order.indexOf(getRoute(registry, a).id) - order.indexOf(getRoute(registry, b).id);
+}
@@ -0,0 +1,50 @@
+// lib/stops.mjs
+// Stops and stations from the GTFS static feed. gtfsStatic.js is passed in rather than imported,
+// since it is a classic script in the browser (window.GtfsStatic) and CommonJS in Node.
+//
+//   const { stopsMap, stationChildren } = await loadStops(GtfsStatic, 'google_transit.zip');
+
+// Build stopsMap (stop_id => { lat, lon, name, parent_station }) and stationChildren
+// (parent stop_id => platform stop_ids) from a GTFS static model.
+export function buildStopsMap(model) {
+  const stopsMap = {};
+  Object.values(model.stops).forEach(stop => {
+    stopsMap[stop.id] = { lat: stop.lat, lon: stop.lon, name: stop.name, parent_station: stop.parentStation };
+  });
+  return { stopsMap, stationChildren: model.index.childrenByParent };
+}
+
+// Load a GTFS static feed (a .zip, a directory or a URL; only stops.txt is required).
+// Returns { model, stopsMap, stationChildren }.
+export async function loadStops(GtfsStatic, source) {
+  const model = await GtfsStatic.loadGtfs(source);
+  return Object.assign({ model }, buildStopsMap(model));
+}
+
+// Helper: direction of a platform stop_id ("N"/"S"), or null for parent stations.
+// NYCT platform stop_ids end in N (northbound, "Uptown") or S (southbound, "Downtown").
+export function getStopDirection(stopId) {
+  const suffix = String(stopId).slice(-1);
+  return suffix === "N" || suffix === "S" ? suffix : null;
+}
+
+// Helper: a station's stop_id and those of its platforms.
+export function getStationStops(stationChildren, stationId) {
+  return [stationId].concat(stationChildren[stationId] || []);
+}
+
+// Find stations by stop_id or name. A stop_id or an exact name (ignoring case) wins;
+// otherwise every station whose name contains the query is returned, sorted by name.
+// Returns parent station stop_ids (or stop_ids of stops without a parent).
+export function findStations(stopsMap, query) {
+  const text = String(query).trim().toLowerCase();
+  if (!text) return [];
+  const toStation = (stopId) => stopsMap[stopId].parent_station || stopId;
+  if (stopsMap[query]) return [toStation(query)];
+  const stations = Object.keys(stopsMap).filter(stopId => !stopsMap[stopId].parent_station);
+  const exact = stations.filter(stopId => String(stopsMap[stopId].name).toLowerCase() === text);
+  if (exact.length > 0) return exact;
+  return stations
+    .filter(stopId => String(stopsMap[stopId].name).toLowerCase().includes(text))
+    .sort((a, b) => String(stopsMap[a].name).localeCompare(String(stopsMap[b].name)));
+}
@@ -0,0 +1,40 @@
+// lib/time.mjs
+// Countdown formatting shared by the map and the CLI.
+
+// Helper: split a number of seconds into whole minutes and seconds.
+function formatTimeComponents(deltaSec) {
+  const minutes = Math.floor(deltaSec / 60);
+  const seconds = Math.floor(deltaSec % 60);
+  return { minutes, seconds };
+}
+
+// Format a number of seconds as "M min SS sec" (negative when in the past).
+export function formatTimeString(deltaSec) {
+  const isPast = deltaSec < 0;
+  const { minutes, seconds } = formatTimeComponents(Math.abs(deltaSec));
+  const minutesStr = isPast ? "-" + minutes : minutes;
+  return `${minutesStr} min ${seconds < 10 ? "0" + seconds : seconds} sec`;
+}
+
+// Format a time difference in milliseconds: hours and minutes when over an hour,
+// minutes and seconds under five minutes, else whole minutes.
+export function formatTimeDetailed(deltaMillis) {
+  const isPast = deltaMillis < 0;
+  const absDelta = Math.abs(deltaMillis);
+  const totalSeconds = Math.floor(absDelta / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  const sign = isPast ? "-" : "";
+  let formatted = "";
+  if (hours > 0) {
+    formatted = hours + " hrs " + sign + minutes + " min";
+  } else {
+    if (minutes < 5) {
+      formatted = sign + minutes + " min " + (seconds < 10 ? "0" + seconds : seconds) + " sec";
+    } else {
+      formatted = sign + minutes + " min";
+    }
+  }
+  return formatted;
+}
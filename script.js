@@ -1,79 +1,18 @@
+import {
+  getDistance, computeCumulativeDistances, interpolatePoint, getPointAlongPolyline, projectPointOnSegment,
+  getClosestDistanceOnPolyline, getBearing
+} from './lib/geometry.mjs';
+import { formatTimeString, formatTimeDetailed } from './lib/time.mjs';
+import { resolveRouteId, createRouteRegistry, getRoute, applyGtfsRoutes, compareRoutes } from './lib/routes.mjs';
+import { FEED_COLLECTIONS, createFeedModel, getVehiclesByTrip } from './lib/feed.mjs';
+import { buildStopsMap, loadStops as loadStaticStops, getStopDirection } from './lib/stops.mjs';
+import { getTripSegment, correctFractionForVehicle } from './lib/position.mjs';
+import { getVehicleOccupancy } from './lib/occupancy.mjs';
+
 document.addEventListener('DOMContentLoaded', async function() {
   // Toggle Turf processing (set to true to disable Turf calculations)
   const disableTurf = true;
 
-  // ===== New Helper Functions for Polyline Interpolation =====
-  // Compute Haversine distance (in meters) between two [lat, lon] points.
-  function getDistance(coord1, coord2) {
-    const R = 6371000; // Earth's radius in meters
-    const toRad = Math.PI / 180;
-    const dLat = (coord2[0] - coord1[0]) * toRad;
-    const dLon = (coord2[1] - coord1[1]) * toRad;
-    const lat1 = coord1[0] * toRad;
-    const lat2 = coord2[0] * toRad;
-    const a = Math.sin(dLat / 2) ** 2 +
-              Math.cos(lat1) * Math.cos(lat2) *
-              Math.sin(dLon / 2) ** 2;
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-    return R * c;
-  }
-
-  // Compute cumulative distances along an array of [lat, lon] points.
-  function computeCumulativeDistances(coords) {
-    let cumDist = [0];
-    for (let i = 1; i < coords.length; i++) {
-      cumDist.push(cumDist[i - 1] + getDistance(coords[i - 1], coords[i]));
-    }
-    return cumDist;
-  }
-
-  // Linear interpolation between two [lat, lon] coordinates.
-  function interpolatePoint(coord1, coord2, fraction) {
-    return [
-      coord1[0] + (coord2[0] - coord1[0]) * fraction,
-      coord1[1] + (coord2[1] - coord1[1]) * fraction
-    ];
-  }
-
-  // Given an array of [lat, lon] coordinates and their cumulative distances,
-  // return the interpolated coordinate at targetDistance along the polyline.
-  function getPointAlongPolyline(latLonCoords, cumDist, targetDistance) {
-    for (let i = 0; i < cumDist.length - 1; i++) {
-      if (targetDistance >= cumDist[i] && targetDistance <= cumDist[i + 1]) {
-        const segFraction = (targetDistance - cumDist[i]) / (cumDist[i + 1] - cumDist[i]);
-        return interpolatePoint(latLonCoords[i], latLonCoords[i + 1], segFraction);
-      }
-    }
-    return latLonCoords[latLonCoords.length - 1];
-  }
-
-  // Project a point onto a line segment; returns the fractional position (0 to 1)
-  function projectPointOnSegment(coord, segStart, segEnd) {
-    const dx = segEnd[0] - segStart[0];
-    const dy = segEnd[1] - segStart[1];
-    const lenSq = dx * dx + dy * dy;
-    if (lenSq === 0) return 0;
-    const t = ((coord[0] - segStart[0]) * dx + (coord[1] - segStart[1]) * dy) / lenSq;
-    return Math.max(0, Math.min(1, t));
-  }
-
-  // Given a polyline (array of [lat, lon]) and its cumulative distances,
-  // find the closest projection of a coordinate onto the polyline and return its cumulative distance.
-  function getClosestDistanceOnPolyline(latLonCoords, cumDist, coord) {
-    let best = { distance: Infinity, projected: 0 };
-    for (let i = 0; i < latLonCoords.length - 1; i++) {
-      const t = projectPointOnSegment(coord, latLonCoords[i], latLonCoords[i + 1]);
-      const proj = interpolatePoint(latLonCoords[i], latLonCoords[i + 1], t);
-      const d = getDistance(coord, proj);
-      if (d < best.distance) {
-        best.distance = d;
-        best.projected = cumDist[i] + t * (cumDist[i + 1] - cumDist[i]);
-      }
-    }
-    return best.projected;
-  }
-  // ===== End of New Helpers =====
-
   // Detect mobile screen width (adjust threshold as needed)
   const isMobile = window.innerWidth < 1068;
 
@@ -90,126 +29,334 @@ document.addEventListener('DOMContentLoaded', async function() {
     maxZoom: 22,
   }).addTo(map);
 
-  // Predefined mapping for line colors
-  const lineColors = {
-    "A": "#0039A6",
-    "C": "#0039A6",
-    "E": "#0039A6",
-    "G": "#6CBE45",
-    "B": "#FF6319",
-    "D": "#FF6319",
-    "F": "#FF6319",
-    "M": "#FF6319",
-    "J": "#996633",
-    "Z": "#996633",
-    "N": "#FCCC0A",
-    "Q": "#FCCC0A",
-    "R": "#FCCC0A",
-    "W": "#FCCC0A",
-    "L": "#A7A9AC",
-    "1": "#EE352E",
-    "2": "#EE352E",
-    "3": "#EE352E",
-    "4": "#00933C",
-    "5": "#00933C",
-    "6": "#00933C",
-    "7": "#B933AD",
-    "SI": "#6CBE45"
-  };
+  // --- Routes ---
+  // Bullets, colours and shapes of every route (lib/routes.mjs). Route ids from the feeds,
+  // GTFS static and the route shapes all resolve to one canonical id; routes.txt colours
+  // replace the built-in ones once loaded.
+  const routeRegistry = createRouteRegistry();
+
+  function getRouteColor(routeId) {
+    return getRoute(routeRegistry, routeId).color;
+  }
+
+  // Helper: how a route is named in text, e.g. "6 Express" for the 6X.
+  function getRouteLabel(routeId) {
+    const route = getRoute(routeRegistry, routeId);
+    return route.express ? `${route.bullet} Express` : route.bullet;
+  }
+
+  // Helper: sort route ids in bullet order.
+  function sortRoutes(routeIds) {
+    return Array.from(routeIds).sort((a, b) => compareRoutes(routeRegistry, a, b));
+  }
+
+  // Helper: an HTML route bullet, a diamond for express routes.
+  // extraClass and attributes (e.g. an onclick) are added to the bullet element.
+  function buildRouteBulletHTML(routeId, extraClass = "", attributes = "") {
+    const route = getRoute(routeRegistry, routeId);
+    const classes = ["line-bullet", route.express ? "express" : "", extraClass].filter(c => c).join(" ");
+    return `<span class="${classes}" style="background:${route.color}; color:${route.textColor};" title="${escapeHtml(route.id)}" ${attributes}><span>${escapeHtml(route.bullet)}</span></span>`;
+  }
+
+  // Helper: an SVG route bullet centred on (cx, cy): the bullet text in the route colour on a
+  // white circle, or a diamond for express routes. Longer bullets (e.g. "SIR") get a smaller font.
+  function buildRouteBulletSvg(routeId, cx, cy, radius, strokeWidth, fontSize) {
+    const route = getRoute(routeRegistry, routeId);
+    const textSize = fontSize * Math.min(1, 1.6 / route.bullet.length);
+    const outline = route.express
+      ? `<polygon points="${cx},${cy - radius} ${cx + radius},${cy} ${cx},${cy + radius} ${cx - radius},${cy}" fill="white" stroke="${route.color}" stroke-width="${strokeWidth}"></polygon>`
+      : `<circle cx="${cx}" cy="${cy}" r="${radius}" fill="white" stroke="${route.color}" stroke-width="${strokeWidth}"></circle>`;
+    return `
+      ${outline}
+      <text x="${cx}" y="${cy}" text-anchor="middle" alignment-baseline="middle" dominant-baseline="middle" fill="${route.color}" font-size="${textSize}" font-family="Arial, sans-serif" font-weight="bold">${escapeHtml(route.bullet)}</text>
+    `;
+  }
+  // --- End of routes ---
 
   // Global objects to store stops data, markers, and arrival times
   let stopsMap = {};    // from stops.txt: { stop_id: { lat, lon, name, parent_station } }
-  let feedTimes = {};   // feedTimes[stopId] = { "A": [arrivalEpoch, ...], ... }
+  let stationChildren = {}; // parent stop_id => [child stop_id, ...] (directional platforms)
+  let gtfsModel = null; // GTFS static model from gtfsStatic.js (routes, trips, shapes, transfers, stop_times)
+  let feedStops = {};   // feedStops[stopId] = Set of lines seen at that stop
+  let feedArrivals = {}; // feedArrivals[stopId] = [{ line, arrival, direction, headsign, tripId, scheduled, scheduleState, stale }, ...]
+                         // (scheduleState 'notServed' marks a stop a detoured trip skips)
+  let vehiclesByTrip = {}; // vehiclesByTrip[tripId] = newest vehicle position of the trip (lib/feed.mjs)
+  // Normalized realtime model kept in sync with feedWorker.js diffs.
+  let feedModel = createFeedModel();
 
   // Global dictionary to keep station markers so we update rather than recreate them.
-  let markerMap = {};   // keys: stopId => marker instance
+  let markerMap = {};   // keys: station complex id => marker instance
 
   // Use a featureGroup for train markers so we can call bringToFront()
   let trainMarkersLayer = L.featureGroup().addTo(map);
-  // Global dictionary for train markers keyed by tripId
+  // Global dictionary for train markers keyed like feedModel.trips (the trip_id, for all but modified trips)
   let trainMarkers = {};
-  // Global set to hold current train IDs during feed update.
-  let currentTrainIds = new Set();
 
-  // Global variable to track the last clicked station id (the "came from" station)
-  let lastClickedStationId = null;
   // Global variable to track the currently highlighted marker
   let highlightedMarker = null;
   // Declare popupTimer only once globally
   let popupTimer = null;
 
-  // Global current time (in seconds) updated every 0.1 seconds.
-  let currentTimeSec = Date.now() / 1000;
-  setInterval(() => { currentTimeSec = Date.now() / 1000; }, 100);
-
-  // Helper: returns the first upcoming train time (as a local time string) for a given station id.
-  function getFirstTrainTime(stopId) {
-    if (!feedTimes[stopId]) return null;
-    let minEpoch = Infinity;
-    Object.keys(feedTimes[stopId]).forEach(line => {
-      feedTimes[stopId][line].forEach(epoch => {
-        const t = epoch * 1000;
-        if (t > Date.now() && t < minEpoch) {
-          minEpoch = t;
-        }
-      });
+  // --- Configuration ---
+  // Feed sources, request headers and polling interval. Defaults below are overridden by an
+  // optional config.json next to index.html (see config.example.json), then by the query string:
+  //   ?base=<url>        base URL feed paths are resolved against (e.g. the local stand-in server)
+  //   ?proxy=<url>       prefix for every feed URL; "{url}" in it is replaced by the encoded feed URL
+  //   ?apiKey=<key>      sent as the x-api-key header
+  //   ?feeds=ace,g,...   only enable these feeds
+  //   ?interval=<ms>     shortest delay between two polls of one feed
+  //   ?alerts=<url>      alerts feed URL (?alerts= disables it)
+  //   ?gtfs=<url>        GTFS static feed: a .zip or a directory (default: the files next to index.html)
+  //   ?renderer=svg      draw trains as SVG elements instead of on a canvas
+  const defaultConfig = {
+    baseUrl: 'https://api-endpoint.mta.info/Dataservice/mtagtfsfeeds/',
+    proxy: '',
+    headers: {},
+    pollInterval: 1000,
+    // Polls back off up to this delay (ms) while a feed keeps failing.
+    maxPollInterval: 60000,
+    // 'canvas' draws every train on one canvas; 'svg' makes each train its own SVG element.
+    trainRenderer: 'canvas',
+    feeds: {
+      ace: { path: 'nyct%2Fgtfs-ace', enabled: true },
+      g: { path: 'nyct%2Fgtfs-g', enabled: true },
+      bdfm: { path: 'nyct%2Fgtfs-bdfm', enabled: true },
+      jz: { path: 'nyct%2Fgtfs-jz', enabled: true },
+      nqrw: { path: 'nyct%2Fgtfs-nqrw', enabled: true },
+      l: { path: 'nyct%2Fgtfs-l', enabled: true },
+      numbered: { path: 'nyct%2Fgtfs', enabled: true },
+      si: { path: 'nyct%2Fgtfs-si', enabled: true },
+      // Dedicated service alerts feed.
+      alerts: { path: 'camsys%2Fsubway-alerts', enabled: true }
+    },
+    // GTFS static feed read by gtfsStatic.js. Only stops.txt is required; with shapes set,
+    // route shapes come from shapes.txt instead of NYC_Line.geojson.
+    gtfs: { source: '', shapes: false }
+  };
+  let config = defaultConfig;
+
+  // Helper: merge a partial config over a base config (feeds and headers are merged per key).
+  function mergeConfig(base, override) {
+    const merged = Object.assign({}, base, override);
+    merged.headers = Object.assign({}, base.headers, override.headers);
+    merged.gtfs = Object.assign({}, base.gtfs, override.gtfs);
+    merged.feeds = {};
+    Object.keys(base.feeds).concat(Object.keys(override.feeds || {})).forEach(name => {
+      merged.feeds[name] = Object.assign({}, base.feeds[name], (override.feeds || {})[name]);
     });
-    return minEpoch === Infinity ? null : new Date(minEpoch).toLocaleTimeString();
+    return merged;
   }
-  window.getFirstTrainTime = getFirstTrainTime;
 
-  // Helper: linear interpolation between two coordinates ([lat, lon])
-  function interpolateCoords(coord1, coord2, fraction) {
-    const lat = coord1[0] + (coord2[0] - coord1[0]) * fraction;
-    const lon = coord1[1] + (coord2[1] - coord1[1]) * fraction;
-    return [lat, lon];
+  // Build the effective config from the defaults, config.json and the query string.
+  async function loadConfig() {
+    let loaded = defaultConfig;
+    try {
+      const response = await fetch('config.json');
+      if (response.ok) {
+        loaded = mergeConfig(loaded, await response.json());
+      }
+    } catch (error) {
+      // No config.json: keep the defaults.
+    }
+    const params = new URLSearchParams(window.location.search);
+    const override = { feeds: {}, gtfs: {} };
+    if (params.has('base')) override.baseUrl = params.get('base');
+    if (params.has('proxy')) override.proxy = params.get('proxy');
+    if (params.has('apiKey')) override.headers = { 'x-api-key': params.get('apiKey') };
+    if (params.has('gtfs')) override.gtfs.source = params.get('gtfs');
+    if (params.has('renderer')) override.trainRenderer = params.get('renderer');
+    if (params.has('interval')) override.pollInterval = parseInt(params.get('interval')) || loaded.pollInterval;
+    if (params.has('feeds')) {
+      const enabled = params.get('feeds').split(',').map(name => name.trim());
+      Object.keys(loaded.feeds).forEach(name => {
+        override.feeds[name] = { enabled: enabled.includes(name) };
+      });
+    }
+    if (params.has('alerts')) {
+      const alertsUrl = params.get('alerts');
+      override.feeds.alerts = alertsUrl ? { url: alertsUrl, enabled: true } : { enabled: false };
+    }
+    return mergeConfig(loaded, override);
   }
 
-  // Helper functions for time formatting
-  function formatTimeComponents(deltaSec) {
-    const minutes = Math.floor(deltaSec / 60);
-    const seconds = Math.floor(deltaSec % 60);
-    return { minutes, seconds };
+  // Helper: full URL of a configured feed, resolved against baseUrl and wrapped by the proxy.
+  function resolveFeedUrl(feed) {
+    const url = feed.url || config.baseUrl + feed.path;
+    if (!config.proxy) return url;
+    return config.proxy.includes('{url}')
+      ? config.proxy.replace('{url}', encodeURIComponent(url))
+      : config.proxy + url;
   }
 
-  function formatTimeString(deltaSec) {
-    const isPast = deltaSec < 0;
-    const { minutes, seconds } = formatTimeComponents(Math.abs(deltaSec));
-    const minutesStr = isPast ? "-" + minutes : minutes;
-    return `${minutesStr} min ${seconds < 10 ? "0" + seconds : seconds} sec`;
+  // Helper: URLs of every enabled feed.
+  function getFeedEndpoints() {
+    return Object.values(config.feeds)
+      .filter(feed => feed.enabled !== false && (feed.url || feed.path))
+      .map(resolveFeedUrl);
   }
-  
+  // --- End of configuration ---
+
+  // Global dictionary of active service alerts keyed by alert id, rebuilt on every feed update.
+  let alertsMap = {};   // alertsMap[alertId] = { header, description, cause, effect, activePeriods, selectors }
+
+  // Global current time (in seconds) updated every 0.1 seconds.
+  // Follows the wall clock when live, or the virtual clock while a recording is replayed.
+  let currentTimeSec = Date.now() / 1000;
+  const virtualClock = { time: currentTimeSec, playing: false, speed: 1 };
+  let lastClockTick = Date.now();
+  setInterval(() => {
+    const nowMs = Date.now();
+    if (replayRecording) {
+      if (virtualClock.playing) {
+        const frames = replayRecording.frames;
+        virtualClock.time += (nowMs - lastClockTick) / 1000 * virtualClock.speed;
+        if (virtualClock.time >= frames[frames.length - 1].t) {
+          virtualClock.time = frames[frames.length - 1].t;
+          virtualClock.playing = false;
+        }
+        syncReplayFrame();
+        updateReplayControls();
+      }
+      currentTimeSec = virtualClock.time;
+    } else {
+      currentTimeSec = nowMs / 1000;
+    }
+    lastClockTick = nowMs;
+  }, 100);
+
   // Helper: returns a formatted remaining time string.
   function getRemainingTime(arrivalTime) {
     const diff = arrivalTime - currentTimeSec;
     return formatTimeString(diff);
   }
   
-  // Function to parse CSV data from stops.txt
-  function parseStopsCsv(csvString) {
-    const lines = csvString.trim().split('\n');
-    for (let i = 1; i < lines.length; i++) {
-      const row = lines[i].split(',');
-      const stop_id = row[0];
-      const stop_name = row[1];
-      const stop_lat = parseFloat(row[2]);
-      const stop_lon = parseFloat(row[3]);
-      const parent_station = row[5] || "";
-      stopsMap[stop_id] = { lat: stop_lat, lon: stop_lon, name: stop_name, parent_station };
-    }
+  // Fill stopsMap, stationChildren and route colors from the GTFS static model.
+  function applyStaticGtfs(model) {
+    const stops = buildStopsMap(model);
+    Object.assign(stopsMap, stops.stopsMap);
+    stationChildren = stops.stationChildren;
+    // Official colors from routes.txt replace the built-in ones where present.
+    applyGtfsRoutes(routeRegistry, model.routes);
   }
 
-  // Load stops.txt and parse it
+  // Load the GTFS static feed (stops.txt and whatever else the source has) with gtfsStatic.js.
   async function loadStops() {
     try {
-      const response = await fetch('stops.txt');
-      if (!response.ok) throw new Error(`Failed to load stops.txt: ${response.status}`);
-      const csvData = await response.text();
-      parseStopsCsv(csvData);
+      gtfsModel = (await loadStaticStops(GtfsStatic, config.gtfs.source)).model;
+      applyStaticGtfs(gtfsModel);
+      buildStationComplexes();
     } catch (error) {
-      // Error handling omitted
+      reportStaticDataError("Stops", error);
+    }
+  }
+
+  // --- Station complexes ---
+  // Platforms are merged into their parent_station, and parent stations connected by
+  // free in-system transfers are merged into one complex (one marker, one board).
+  const transferComplexes = [
+    ["127", "725", "902", "R16", "A27"],   // Times Sq-42 St / 42 St-Port Authority Bus Terminal
+    ["D16", "724"],                        // 42 St-Bryant Pk / 5 Av
+    ["631", "723", "901"],                 // Grand Central-42 St
+    ["635", "L03", "R20"],                 // 14 St-Union Sq
+    ["132", "D19", "L02"],                 // 14 St / 6 Av
+    ["A31", "L01"],                        // 14 St / 8 Av
+    ["D17", "R17"],                        // 34 St-Herald Sq
+    ["125", "A24"],                        // 59 St-Columbus Circle
+    ["629", "R11"],                        // Lexington Av/59 St
+    ["630", "F11"],                        // Lexington Av/53 St / 51 St
+    ["235", "D24", "R31"],                 // Atlantic Av-Barclays Ctr
+    ["229", "418", "A38", "M22", "R25"],   // Fulton St
+    ["228", "A36", "E01"],                 // Chambers St / World Trade Center / Park Place
+    ["640", "M21"],                        // Brooklyn Bridge-City Hall / Chambers St
+    ["639", "M20", "Q01", "R23"],          // Canal St
+    ["232", "423", "R28"],                 // Borough Hall / Court St
+    ["A41", "R29"],                        // Jay St-MetroTech
+    ["637", "D21"],                        // Broadway-Lafayette St / Bleecker St
+    ["F15", "M18"],                        // Delancey St-Essex St
+    ["A32", "D20"],                        // W 4 St-Wash Sq
+    ["A12", "D13"],                        // 145 St
+    ["414", "D11"],                        // 161 St-Yankee Stadium
+    ["222", "415"],                        // 149 St-Grand Concourse
+    ["112", "A09"],                        // 168 St-Washington Hts
+    ["A51", "J27", "L22"],                 // Broadway Junction
+    ["L17", "M08"],                        // Myrtle-Wyckoff Avs
+    ["710", "G14"],                        // 74 St-Broadway / Jackson Hts-Roosevelt Av
+    ["718", "R09"],                        // Queensboro Plaza
+    ["719", "F09", "G22"],                 // Court Sq
+    ["F23", "R33"],                        // 4 Av-9 St
+    ["G29", "L10"],                        // Metropolitan Av / Lorimer St
+    ["A45", "S01"],                        // Franklin Av
+    ["239", "S04"],                        // Franklin Av-Medgar Evers College / Botanic Garden
+    ["D43", "N12"],                        // Coney Island-Stillwell Av
+    ["H04", "H19"],                        // Broad Channel
+    ["B16", "N04"],                        // 62 St / New Utrecht Av
+    ["142", "R27"],                        // South Ferry / Whitehall St
+    ["254", "L26"]                         // Junius St / Livonia Av
+  ];
+  let complexOf = {};     // any stop_id => complex id (the first parent station of the complex)
+  let complexStops = {};  // complex id => [every stop_id in the complex, parents and platforms]
+  let complexInfo = {};   // complex id => { lat, lon, name }
+
+  // Group every stop in stopsMap into its station complex.
+  function buildStationComplexes() {
+    const complexByParent = {};
+    // Put two parent stations in the same complex, keeping the first one's complex id.
+    const linkParents = (parentA, parentB) => {
+      const complexA = complexByParent[parentA] || parentA;
+      const complexB = complexByParent[parentB] || parentB;
+      if (complexA !== complexB) {
+        Object.keys(complexByParent).forEach(parentId => {
+          if (complexByParent[parentId] === complexB) complexByParent[parentId] = complexA;
+        });
+      }
+      complexByParent[parentA] = complexA;
+      complexByParent[parentB] = complexA;
+      complexByParent[complexB] = complexA;
+    };
+    transferComplexes.forEach(parents => {
+      parents.forEach(parentId => linkParents(parents[0], parentId));
+    });
+    // transfers.txt links between different stations extend the table (type 3: no transfer).
+    if (gtfsModel) {
+      gtfsModel.transfers.forEach(transfer => {
+        const from = stopsMap[transfer.fromStopId];
+        const to = stopsMap[transfer.toStopId];
+        if (!from || !to || transfer.type === 3) return;
+        const fromParent = from.parent_station || transfer.fromStopId;
+        const toParent = to.parent_station || transfer.toStopId;
+        if (fromParent !== toParent) linkParents(fromParent, toParent);
+      });
     }
+    complexOf = {};
+    complexStops = {};
+    complexInfo = {};
+    const parentsByComplex = {};
+    Object.keys(stopsMap).forEach(stopId => {
+      const parentId = stopsMap[stopId].parent_station || stopId;
+      const complexId = complexByParent[parentId] || parentId;
+      complexOf[stopId] = complexId;
+      if (!complexStops[complexId]) complexStops[complexId] = [];
+      complexStops[complexId].push(stopId);
+      if (parentId === stopId && stopsMap[stopId]) {
+        if (!parentsByComplex[complexId]) parentsByComplex[complexId] = [];
+        parentsByComplex[complexId].push(stopsMap[stopId]);
+      }
+    });
+    Object.keys(parentsByComplex).forEach(complexId => {
+      const parents = parentsByComplex[complexId];
+      complexInfo[complexId] = {
+        lat: parents.reduce((sum, p) => sum + p.lat, 0) / parents.length,
+        lon: parents.reduce((sum, p) => sum + p.lon, 0) / parents.length,
+        name: Array.from(new Set(parents.map(p => p.name))).join(" / ")
+      };
+    });
+  }
+
+  // Helper: complex id of any stop_id (falls back to the stop itself).
+  function getComplexId(stopId) {
+    return complexOf[stopId] || stopId;
   }
+  // --- End of station complexes ---
 
   // Helper: compute a scale factor based on current zoom level.
   function getScaleForZoom(zoom) {
@@ -224,11 +371,12 @@ document.addEventListener('DOMContentLoaded', async function() {
     if (highlight) {
       scale = scale * 1.5;
     }
+    const hasAlerts = getActiveAlertsForStop(stopId).length > 0;
     if (lines && lines.size > 0) {
-      const linesArray = Array.from(lines).sort();
+      const linesArray = sortRoutes(lines);
       const count = linesArray.length;
       if (scale < 1.5) {
-        const color = lineColors[linesArray[0]] || "#000000";
+        const color = getRouteColor(linesArray[0]);
         const baseRadius = 12;
         const baseStrokeWidth = 4;
         const radius = baseRadius * scale;
@@ -242,6 +390,7 @@ document.addEventListener('DOMContentLoaded', async function() {
         svgHTML = `
           <svg width="${svgWidth}" height="${svgHeight}" viewBox="0 0 ${svgWidth} ${svgHeight}" xmlns="http://www.w3.org/2000/svg" style="overflow: visible;">
             <circle cx="${cx}" cy="${cy}" r="${radius}" fill="white" stroke="${color}" stroke-width="${strokeWidth}"></circle>
+            ${hasAlerts ? createAlertBadgeSvg(cx + radius, cy - radius, 6 * Math.max(scale, 0.6)) : ""}
           </svg>
         `;
         iconSize = [svgWidth, svgHeight];
@@ -259,20 +408,14 @@ document.addEventListener('DOMContentLoaded', async function() {
         const svgHeight = diameter;
         let circlesSVG = "";
         for (let i = 0; i < count; i++) {
-          const lineLetter = linesArray[i];
-          const color = lineColors[lineLetter] || "#000000";
           const cx = i * (diameter + spacing) + radius;
           const cy = radius;
-          circlesSVG += `
-            <circle cx="${cx}" cy="${cy}" r="${radius}" fill="white" stroke="${color}" stroke-width="${strokeWidth}"></circle>
-            <text x="${cx}" y="${cy}" text-anchor="middle" alignment-baseline="middle" dominant-baseline="middle" fill="${color}" font-size="${fontSize}" font-family="Arial, sans-serif" font-weight="bold">
-              ${lineLetter}
-            </text>
-          `;
+          circlesSVG += buildRouteBulletSvg(linesArray[i], cx, cy, radius, strokeWidth, fontSize);
         }
         svgHTML = `
           <svg width="${svgWidth}" height="${svgHeight}" viewBox="0 0 ${svgWidth} ${svgHeight}" xmlns="http://www.w3.org/2000/svg" style="overflow: visible;">
             ${circlesSVG}
+            ${hasAlerts ? createAlertBadgeSvg(svgWidth, 0, 6 * scale) : ""}
           </svg>
         `;
         iconSize = [svgWidth, svgHeight];
@@ -288,60 +431,255 @@ document.addEventListener('DOMContentLoaded', async function() {
   }
   
 
-  // Function to format time difference in detailed format.
-  function formatTimeDetailed(deltaMillis) {
-    const isPast = deltaMillis < 0;
-    const absDelta = Math.abs(deltaMillis);
-    const totalSeconds = Math.floor(absDelta / 1000);
-    const hours = Math.floor(totalSeconds / 3600);
-    const minutes = Math.floor((totalSeconds % 3600) / 60);
-    const seconds = totalSeconds % 60;
-    const sign = isPast ? "-" : "";
-    let formatted = "";
-    if (hours > 0) {
-      formatted = hours + " hrs " + sign + minutes + " min";
-    } else {
-      if (minutes < 5) {
-        formatted = sign + minutes + " min " + (seconds < 10 ? "0" + seconds : seconds) + " sec";
-      } else {
-        formatted = sign + minutes + " min";
+  // Helper: small warning badge drawn on station icons that have active alerts.
+  function createAlertBadgeSvg(cx, cy, radius) {
+    return `
+      <circle cx="${cx}" cy="${cy}" r="${radius}" fill="#f5a623" stroke="white" stroke-width="${radius / 4}"></circle>
+      <text x="${cx}" y="${cy}" text-anchor="middle" alignment-baseline="middle" dominant-baseline="middle" fill="white" font-size="${radius * 1.5}" font-family="Arial, sans-serif" font-weight="bold">!</text>
+    `;
+  }
+
+  // --- Directions ---
+  // NYCT platform stop_ids end in N (northbound, "Uptown") or S (southbound, "Downtown").
+  const directionLabels = { N: "Uptown", S: "Downtown" };
+  const directionArrows = { N: "&#8593;", S: "&#8595;" };
+  // Current station board direction filter: null (both), "N" or "S".
+  let popupDirectionFilter = null;
+
+  // Helper: direction of a trip, from its stops or else the NYCT trip_id (e.g. "043650_1..N03R").
+  function getTripDirection(trip) {
+    for (const u of trip.updates) {
+      const direction = getStopDirection(u.stopId);
+      if (direction) return direction;
+    }
+    const match = /\.\.?([NS])/.exec(trip.tripId || "");
+    return match ? match[1] : null;
+  }
+
+  // Helper: headsign of a trip, i.e. the name of the last stop it is predicted to reach.
+  function getTripHeadsign(trip) {
+    const lastUpdate = trip.updates[trip.updates.length - 1];
+    if (!lastUpdate) return "";
+    return stopsMap[lastUpdate.stopId] ? stopsMap[lastUpdate.stopId].name : lastUpdate.stopId;
+  }
+
+  // Helper: every stop_id of the station complex a stop belongs to (parent stations and platforms).
+  function getStationStopIds(stopId) {
+    return complexStops[getComplexId(stopId)] || [stopId];
+  }
+
+  // Helper: all arrivals at the station a stop belongs to.
+  function getStationArrivals(stopId) {
+    let arrivals = [];
+    getStationStopIds(stopId).forEach(id => {
+      if (feedArrivals[id]) arrivals = arrivals.concat(feedArrivals[id]);
+    });
+    return arrivals;
+  }
+
+  // Set the station board direction filter ("N", "S", or null for both).
+  function setPopupDirection(direction) {
+    popupDirectionFilter = direction || null;
+    if (window.currentPopupStopId && window.currentPopupLines) {
+      const tableEl = document.getElementById('popup-table');
+      if (tableEl) {
+        tableEl.innerHTML = buildPopupTable(window.currentPopupStopId, window.currentPopupLines);
       }
     }
-    return formatted;
   }
 
+  // Build the Both/Uptown/Downtown filter buttons of the station board.
+  function buildDirectionFilterHTML() {
+    const options = [[null, "Both"], ["N", directionLabels.N], ["S", directionLabels.S]];
+    let buttonsHTML = `<div style="display:flex; gap:6px; margin-bottom:8px;">`;
+    options.forEach(([direction, label]) => {
+      const active = popupDirectionFilter === direction;
+      const style = active
+        ? `background:#333; color:#fff; border:1px solid #333;`
+        : `background:#fff; color:#333; border:1px solid #c2c2c2;`;
+      buttonsHTML += `<button data-direction="${direction || ""}" style="${style} padding:4px 10px; border-radius:12px; font-size:0.7em; cursor:pointer;">${label}</button>`;
+    });
+    buttonsHTML += `</div>`;
+    return buttonsHTML;
+  }
+  // --- End of directions ---
+
+  // --- Schedule vs realtime ---
+  // Realtime trips are matched to GTFS static trips (stop_times.txt) on their start_date, by trip_id
+  // or by the NYCT convention: realtime "043650_1..N03R" is the tail of the static trip_id
+  // "AFA23GEN-1038-Weekday-00_043650_1..N03R" (origin time in hundredths of a minute, route,
+  // direction and path). Feeds that leave out the path still match on origin, route and direction.
+  const DELAY_ON_TIME = 60;      // seconds early or late still counted as on time
+  const DELAY_VERY_LATE = 300;
+  const delayColors = { early: "#1565c0", late: "#f9a825", veryLate: "#c62828", unscheduled: "#000000" };
+  let scheduleLoaded = null;     // true when gtfsModel has stop times (checked once)
+  let nyctTripIndex = null;      // { byId: { "043650_1..N03R": [staticTripId] }, byOrigin: { "043650_1..N": [staticTripId] } }
+  let scheduleMatchCache = {};   // "tripId|startDate" => match (see matchScheduledTrip) or null
+
+  // Helper: true when the static feed has stop times to compare against.
+  function hasSchedule() {
+    if (scheduleLoaded === null && gtfsModel) {
+      scheduleLoaded = Object.keys(gtfsModel.stopTimes).length > 0;
+    }
+    return !!scheduleLoaded;
+  }
+
+  // Helper: parse a NYCT trip_id: "043650_1..N03R" => { origin: "043650", route: "1", direction: "N", path: "03R" }.
+  function parseNyctTripId(tripId) {
+    const match = /^(\d{6})_([^.]+)\.+([NS])(.*)$/.exec(tripId || "");
+    return match ? { origin: match[1], route: match[2], direction: match[3], path: match[4] } : null;
+  }
+
+  function buildNyctTripIndex() {
+    nyctTripIndex = { byId: {}, byOrigin: {} };
+    Object.keys(gtfsModel.stopTimes).forEach(staticTripId => {
+      const suffix = staticTripId.slice(staticTripId.indexOf("_") + 1);
+      const parsed = parseNyctTripId(suffix);
+      if (!parsed) return;
+      const originKey = `${parsed.origin}_${parsed.route}..${parsed.direction}`;
+      if (!nyctTripIndex.byId[suffix]) nyctTripIndex.byId[suffix] = [];
+      nyctTripIndex.byId[suffix].push(staticTripId);
+      if (!nyctTripIndex.byOrigin[originKey]) nyctTripIndex.byOrigin[originKey] = [];
+      nyctTripIndex.byOrigin[originKey].push(staticTripId);
+    });
+  }
+
+  // Find the static trip a realtime trip runs, on its start_date (today's service date when missing).
+  // Returns { staticTripId, serviceDayStart, stopTimes: { stopId: GtfsStopTime } } or null.
+  function matchScheduledTrip(trip) {
+    if (!trip.tripId || !hasSchedule()) return null;
+    const date = trip.startDate || GtfsStatic.getServiceDate(currentTimeSec, gtfsModel.timezone);
+    const cacheKey = `${trip.tripId}|${date}`;
+    if (cacheKey in scheduleMatchCache) return scheduleMatchCache[cacheKey];
+    if (!nyctTripIndex) buildNyctTripIndex();
+    const parsed = parseNyctTripId(trip.tripId);
+    const candidates = [trip.tripId]
+      .concat(nyctTripIndex.byId[trip.tripId] || [])
+      .concat(parsed ? nyctTripIndex.byOrigin[`${parsed.origin}_${parsed.route}..${parsed.direction}`] || [] : []);
+    const staticTripId = candidates.find(id => {
+      if (!gtfsModel.stopTimes[id]) return false;
+      const staticTrip = gtfsModel.trips[id];
+      return !staticTrip || GtfsStatic.isServiceActive(gtfsModel, staticTrip.serviceId, date);
+    });
+    let match = null;
+    if (staticTripId) {
+      const stopTimes = {};
+      gtfsModel.stopTimes[staticTripId].forEach(stopTime => { stopTimes[stopTime.stopId] = stopTime; });
+      match = { staticTripId, serviceDayStart: GtfsStatic.getServiceDayStart(date, gtfsModel.timezone), stopTimes };
+    }
+    scheduleMatchCache[cacheKey] = match;
+    return match;
+  }
+
+  // Schedule state of a realtime trip: 'canceled', 'unscheduled' (added, or not found in the
+  // schedule), 'scheduled', or null when there is no schedule to compare with.
+  function getTripScheduleState(trip) {
+    if (trip.scheduleRelationship === "CANCELED") return 'canceled';
+    if (!hasSchedule()) return null;
+    if (trip.scheduleRelationship === "ADDED" || trip.scheduleRelationship === "UNSCHEDULED") return 'unscheduled';
+    return matchScheduledTrip(trip) ? 'scheduled' : 'unscheduled';
+  }
+
+  // Scheduled epoch time of a trip at a stop (arrival, else departure), or null.
+  function getScheduledTime(trip, stopId) {
+    const match = matchScheduledTrip(trip);
+    const stopTime = match && match.stopTimes[stopId];
+    if (!stopTime) return null;
+    const time = stopTime.arrival !== null ? stopTime.arrival : stopTime.departure;
+    return time === null ? null : match.serviceDayStart + time;
+  }
+
+  // Helper: 'early', 'onTime', 'late' or 'veryLate' for a delay in seconds.
+  function classifyDelay(delay) {
+    if (delay < -DELAY_ON_TIME) return 'early';
+    if (delay <= DELAY_ON_TIME) return 'onTime';
+    return delay > DELAY_VERY_LATE ? 'veryLate' : 'late';
+  }
+
+  // Helper: "5 min late", "2 min early" or "on time".
+  function formatDelay(delay) {
+    const state = classifyDelay(delay);
+    if (state === 'onTime') return "on time";
+    const minutes = Math.round(Math.abs(delay) / 60);
+    return `${minutes} min ${state === 'early' ? "early" : "late"}`;
+  }
+
+  // Helper: one line describing a trip against the schedule, e.g. "scheduled 8:42, expected 8:47".
+  function describeScheduleState(scheduleState, scheduled, expected) {
+    if (scheduleState === 'canceled') return "Canceled";
+    if (scheduleState === 'notServed') return "Not served: detour";
+    if (scheduleState === 'unscheduled') return "Not in the schedule";
+    if (scheduled === null || scheduled === undefined) return "";
+    if (classifyDelay(expected - scheduled) === 'onTime') return "on time";
+    return `scheduled ${formatClockTime(scheduled)}, expected ${formatClockTime(expected)}`;
+  }
+
+  // Board entries for a canceled trip, at its scheduled times (or its last predictions).
+  function getCanceledArrivals(trip) {
+    const match = matchScheduledTrip(trip);
+    const stops = match
+      ? Object.values(match.stopTimes).map(stopTime => ({
+          stopId: stopTime.stopId,
+          arrival: match.serviceDayStart + (stopTime.arrival !== null ? stopTime.arrival : stopTime.departure)
+        }))
+      : trip.updates.filter(u => u.arrival).map(u => ({ stopId: u.stopId, arrival: u.arrival }));
+    const lastStop = stops[stops.length - 1];
+    const headsign = getTripHeadsign(trip) || (lastStop && stopsMap[lastStop.stopId] ? stopsMap[lastStop.stopId].name : "");
+    return stops.map(stop => ({ stopId: stop.stopId, arrival: stop.arrival, scheduled: stop.arrival, headsign }));
+  }
+  // --- End of schedule vs realtime ---
+
   // Function to build the popup table content.
+  // Arrivals for the whole station are split by direction, then grouped by line.
   function buildPopupTable(stopId, linesSet) {
-    const linesArray = Array.from(linesSet).sort();
-    let columnsHTML = `<div style="display:flex; gap:10px;">`;
-    linesArray.forEach(line => {
-      const color = lineColors[line] || "#000000";
-      let headerSVG = `
-        <svg width="70" height="70" viewBox="0 0 24 24" style="vertical-align:middle;">
-          <circle cx="12" cy="12" r="10" fill="white" stroke="${color}" stroke-width="3"></circle>
-          <text x="12" y="16" text-anchor="middle" fill="${color}" font-size="14" font-weight="bold" font-family="Arial">${line}</text>
-        </svg>
-      `;
-      let arrivalsHTML = "";
-      if (feedTimes[stopId] && feedTimes[stopId][line]) {
-        let times = feedTimes[stopId][line].slice().sort((a, b) => a - b);
-        times = times.slice(0, 4);
-        times.forEach(arrivalEpoch => {
-          const diff = arrivalEpoch - currentTimeSec;
-          if (diff < -300) return;
-          const formatted = formatTimeString(diff);
-          const style = diff < 0 
-            ? `background: #dadada; color:red; padding:10px; margin:8px; border-radius:20px; font-size:0.8em;`
-            : `background:${color}; color:#fff; padding:10px; margin:8px; border-radius:20px; font-size:0.8em;`;
-          arrivalsHTML += `<div style="${style}">${formatted}</div>`;
-        });
-      } else {
-        arrivalsHTML = `<div style="padding:5px; margin-top:5px; font-size:0.8em;">--</div>`;
-      }
-      columnsHTML += `<div style="flex:1; text-align:center;">${headerSVG}${arrivalsHTML}</div>`;
+    const arrivals = getStationArrivals(stopId);
+    let directions = popupDirectionFilter ? [popupDirectionFilter] : ["N", "S"];
+    if (!popupDirectionFilter && arrivals.some(a => !a.direction)) directions.push(null);
+    let tableHTML = buildDirectionFilterHTML();
+    directions.forEach(direction => {
+      const dirArrivals = arrivals.filter(a => a.direction === direction);
+      const linesArray = sortRoutes(new Set(dirArrivals.map(a => a.line).concat(Array.from(linesSet))));
+      const title = direction ? `${directionArrows[direction]} ${directionLabels[direction]}` : "Other trains";
+      tableHTML += `<div style="font-weight:bold; margin:6px 0 2px;">${title}</div>`;
+      let columnsHTML = `<div style="display:flex; gap:10px;">`;
+      linesArray.forEach(line => {
+        const route = getRoute(routeRegistry, line);
+        const color = route.color;
+        let headerSVG = `
+          <svg width="70" height="70" viewBox="0 0 24 24" style="vertical-align:middle;">
+            ${buildRouteBulletSvg(line, 12, 12, 10, 3, 14)}
+          </svg>
+        `;
+        let arrivalsHTML = "";
+        const lineArrivals = dirArrivals
+          .filter(a => a.line === line && a.arrival - currentTimeSec >= -300)
+          .sort((a, b) => a.arrival - b.arrival)
+          .slice(0, 4);
+        if (lineArrivals.length > 0) {
+          lineArrivals.forEach(a => {
+            const diff = a.arrival - currentTimeSec;
+            const formatted = formatTimeString(diff);
+            const style = diff < 0
+              ? `background: #dadada; color:red; padding:10px; margin:8px; border-radius:20px; font-size:0.8em;`
+              : `background:${color}; color:${route.textColor}; padding:10px; margin:8px; border-radius:20px; font-size:0.8em;`;
+            const canceledStyle = `background:#dadada; color:#555; padding:10px; margin:8px; border-radius:20px; font-size:0.8em;`;
+            const staleStyle = `background:${staleColor}; color:#eee; padding:10px; margin:8px; border-radius:20px; font-size:0.8em;`;
+            const headsignHTML = a.headsign ? `<div style="font-size:0.75em; opacity:0.9;">to ${escapeHtml(a.headsign)}</div>` : "";
+            const schedule = describeScheduleState(a.scheduleState, a.scheduled, a.arrival);
+            const scheduleHTML = schedule ? `<div style="font-size:0.75em; opacity:0.9;">${schedule}</div>` : "";
+            const staleHTML = a.stale ? `<div style="font-size:0.75em; opacity:0.9;">not updated recently</div>` : "";
+            const arrivalStyle = a.scheduleState === 'canceled' || a.scheduleState === 'notServed' ? canceledStyle : a.stale ? staleStyle : style;
+            arrivalsHTML += `<div style="${arrivalStyle}">${formatted}${headsignHTML}${scheduleHTML}${staleHTML}</div>`;
+          });
+        } else {
+          arrivalsHTML = `<div style="padding:5px; margin-top:5px; font-size:0.8em;">--</div>`;
+        }
+        columnsHTML += `<div style="flex:1; text-align:center;">${headerSVG}${arrivalsHTML}</div>`;
+      });
+      columnsHTML += `</div>`;
+      tableHTML += columnsHTML;
     });
-    columnsHTML += `</div>`;
-    return columnsHTML;
+    return tableHTML;
   }
 
   // Function to display the fixed popup.
@@ -351,13 +689,31 @@ document.addEventListener('DOMContentLoaded', async function() {
       popupEl = document.createElement('div');
       popupEl.id = 'fixed-popup';
       document.body.appendChild(popupEl);
+      // The direction and planner buttons carry their values in data attributes.
+      popupEl.addEventListener('click', (e) => {
+        const directionEl = e.target.closest('[data-direction]');
+        const plannerEl = e.target.closest('[data-planner]');
+        if (directionEl) {
+          setPopupDirection(directionEl.dataset.direction);
+        } else if (plannerEl) {
+          setPlannerStation(plannerEl.dataset.planner, plannerEl.dataset.station);
+        }
+      });
     }
     const titleHTML = `<div class="popup-title" style="margin-bottom:10px; font-size:1.2em;"><strong>${name}</strong></div>`;
+    const complexId = getComplexId(stopId);
+    const plannerHTML = `
+      <div class="planner-buttons">
+        <button data-planner="origin" data-station="${escapeHtml(complexId)}">From here</button>
+        <button data-planner="destination" data-station="${escapeHtml(complexId)}">To here</button>
+      </div>`;
     const tableHTML = `<div id="popup-table">${buildPopupTable(stopId, linesSet)}</div>`;
-    const content = titleHTML + tableHTML;
+    const alertsHTML = `<div id="popup-alerts">${buildAlertsHTML(getActiveAlertsForStop(stopId, linesSet))}</div>`;
+    const content = titleHTML + plannerHTML + tableHTML + alertsHTML;
     window.currentPopupStopId = stopId;
     window.currentPopupLines = linesSet;
-    popupEl.innerHTML = content + `<div class="close-btn" onclick="document.getElementById('fixed-popup').style.display='none'; clearInterval(popupTimer);"></div>`;
+    popupDirectionFilter = null;
+    popupEl.innerHTML = content + `<div class="close-btn" onclick="hideFixedPopup()"></div>`;
     popupEl.style.borderColor = borderColor;
     popupEl.style.display = 'block';
 
@@ -369,6 +725,10 @@ document.addEventListener('DOMContentLoaded', async function() {
         if (tableEl) {
           tableEl.innerHTML = newTableHTML;
         }
+        const alertsEl = document.getElementById('popup-alerts');
+        if (alertsEl) {
+          alertsEl.innerHTML = buildAlertsHTML(getActiveAlertsForStop(window.currentPopupStopId, window.currentPopupLines));
+        }
       }
     }, 1000);
   }
@@ -376,6 +736,7 @@ document.addEventListener('DOMContentLoaded', async function() {
   // Function to hide the fixed popup.
   function hideFixedPopup() {
     const popupEl = document.getElementById('fixed-popup');
+    const wasOpen = popupEl && popupEl.style.display === 'block';
     if (popupEl) {
       popupEl.style.display = 'none';
     }
@@ -383,218 +744,3379 @@ document.addEventListener('DOMContentLoaded', async function() {
       clearInterval(popupTimer);
       popupTimer = null;
     }
+    if (wasOpen) {
+      writeViewState();
+    }
   }
+  window.hideFixedPopup = hideFixedPopup;
 
-  window.getFirstTrainTime = getFirstTrainTime;
+  // --- Service alerts ---
+  // Helper: escape text taken from the feed before inserting it into HTML.
+  function escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+  }
 
-  // --- Global dictionary for route polylines and array for polyline layers ---
-  let routeLines = {};
-  let polylineLayers = [];
+  // Helper: expand a stop id to itself, its parent station and its directional platforms.
+  function expandStopId(stopId) {
+    const stopIds = new Set([stopId]);
+    if (stopsMap[stopId] && stopsMap[stopId].parent_station) {
+      stopIds.add(stopsMap[stopId].parent_station);
+    }
+    (stationChildren[stopId] || []).forEach(childId => stopIds.add(childId));
+    return stopIds;
+  }
 
-  // Helper: Calculate polyline weight based on zoom level.
-  function getPolylineWeight(zoom) {
-    const minZoom = 12, maxZoom = 22;
-    const minWeight = 3, maxWeight = 5;
-    if (zoom <= minZoom) return minWeight;
-    if (zoom >= maxZoom) return maxWeight;
-    return minWeight + ((zoom - minZoom) / (maxZoom - minZoom)) * (maxWeight - minWeight);
+  // Resolve an EntitySelector into the routes/stops it refers to.
+  // A selector naming both a route and a stop only applies to that route at that stop.
+  function resolveEntitySelector(selector) {
+    const routeId = selector.routeId ? resolveRouteId(selector.routeId) : null;
+    const stopIds = selector.stopId ? expandStopId(selector.stopId) : null;
+    if (!routeId && !stopIds) return null;
+    return { routeId, stopIds };
   }
 
-  // Helper: Calculate train marker radius based on zoom level.
-  function getTrainMarkerRadius(zoom) {
-    const minZoom = 14, maxZoom = 22;
-    const minRadius = 6, maxRadius = 15;
-    if (zoom <= minZoom) return minRadius;
-    if (zoom >= maxZoom) return maxRadius;
-    return minRadius + ((zoom - minZoom) / (maxZoom - minZoom)) * (maxRadius - minRadius);
+  // Add a normalized alert (as posted by feedWorker.js) to alertsMap.
+  function collectAlert(alert) {
+    const selectors = alert.informedEntity
+      .map(resolveEntitySelector)
+      .filter(selector => selector !== null);
+    if (selectors.length === 0) return;
+    alertsMap[alert.id] = Object.assign({}, alert, { selectors });
   }
 
-  // Load and add the NYC_Line GeoJSON, storing each polyline layer.
-  fetch('NYC_Line.geojson')
-    .then(response => response.json())
-    .then(data => {
-      const offsetFeatures = data.features.map(feature => {
-        const routeId = feature.properties.route_id;
-        let offsetDistance = 0;
-        if (!isNaN(parseFloat(routeId))) {
-          offsetDistance = 0.00005 * (parseInt(routeId) - 1);
-        }
-        if (feature.geometry.type === "LineString") {
-          let lineFeature;
-          if (!disableTurf) {
-            lineFeature = turf.lineOffset(feature, offsetDistance, { units: 'degrees' });
-            lineFeature.properties = feature.properties;
-          } else {
-            // When Turf is disabled, use the original geometry and precompute polyline data.
-            lineFeature = feature;
-            // Convert coordinates from [lon, lat] to [lat, lon]
-            const latLonCoords = lineFeature.geometry.coordinates.map(c => [c[1], c[0]]);
-            lineFeature.latLonCoords = latLonCoords;
-            lineFeature.cumDistances = computeCumulativeDistances(latLonCoords);
+  // An alert without active periods is always active; an end of 0 means open-ended.
+  function isAlertActive(alert, nowSec) {
+    if (alert.activePeriods.length === 0) return true;
+    return alert.activePeriods.some(period =>
+      (!period.start || period.start <= nowSec) && (!period.end || nowSec < period.end)
+    );
+  }
+
+  // Helper: returns the active alerts that name this stop or any stop of its complex
+  // (optionally limited to the given lines).
+  function getActiveAlertsForStop(stopId, linesSet) {
+    const stationStopIds = getStationStopIds(stopId);
+    return Object.values(alertsMap).filter(alert =>
+      isAlertActive(alert, currentTimeSec) &&
+      alert.selectors.some(selector =>
+        selector.stopIds && stationStopIds.some(id => selector.stopIds.has(id)) &&
+        (!selector.routeId || !linesSet || linesSet.has(selector.routeId))
+      )
+    );
+  }
+
+  // Helper: returns the active alerts that affect a route anywhere along it.
+  function getActiveAlertsForRoute(routeId) {
+    const normalized = resolveRouteId(routeId);
+    return Object.values(alertsMap).filter(alert =>
+      isAlertActive(alert, currentTimeSec) &&
+      alert.selectors.some(selector => selector.routeId === normalized)
+    );
+  }
+
+  // Helper: human readable form of a Cause/Effect enum value, e.g. "NO_SERVICE" => "No service".
+  function formatAlertEnum(value) {
+    if (!value || /^UNKNOWN_/.test(value)) return "";
+    const text = String(value).toLowerCase().replace(/_/g, " ");
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  }
+
+  // Build the HTML list of alerts shown in the station popup and the route panel.
+  function buildAlertsHTML(alerts) {
+    if (alerts.length === 0) return "";
+    let alertsHTML = `<div style="display:flex; flex-direction:column; gap:8px; margin-top:10px;">`;
+    alerts.forEach(alert => {
+      const tags = [formatAlertEnum(alert.effect), formatAlertEnum(alert.cause)].filter(Boolean).join(" · ");
+      const routes = Array.from(new Set(alert.selectors.map(s => s.routeId).filter(Boolean))).sort();
+      alertsHTML += `
+        <div style="background:#fff4e5; border-left:6px solid #f5a623; padding:8px 10px; border-radius:6px; font-size:0.8em;">
+          <div style="font-weight:bold;">&#9888; ${escapeHtml(alert.header || "Service alert")}</div>
+          ${tags ? `<div style="color:#8a5a00;">${escapeHtml(tags)}${routes.length ? " — " + escapeHtml(routes.join(", ")) : ""}</div>` : ""}
+          ${alert.description ? `<div style="margin-top:4px; white-space:pre-line;">${escapeHtml(alert.description)}</div>` : ""}
+        </div>
+      `;
+    });
+    alertsHTML += `</div>`;
+    return alertsHTML;
+  }
+
+  // Function to display the active alerts for a route in a dedicated panel.
+  function showRouteAlertsPanel(routeId) {
+    let panelEl = document.getElementById('route-alerts-panel');
+    if (!panelEl) {
+      panelEl = document.createElement('div');
+      panelEl.id = 'route-alerts-panel';
+      document.body.appendChild(panelEl);
+    }
+    routeId = resolveRouteId(routeId);
+    const alerts = getActiveAlertsForRoute(routeId);
+    const bodyHTML = alerts.length > 0
+      ? buildAlertsHTML(alerts)
+      : `<div style="padding:5px; font-size:0.8em;">No active alerts for this line.</div>`;
+    panelEl.innerHTML = `
+      <div class="popup-title" style="margin-bottom:10px; font-size:1.2em;"><strong>${escapeHtml(getRouteLabel(routeId))} line alerts</strong></div>
+      ${bodyHTML}
+      <div class="close-btn" onclick="hideRouteAlertsPanel()">&times;</div>
+    `;
+    panelEl.style.borderColor = getRouteColor(routeId);
+    panelEl.style.display = 'block';
+  }
+
+  // Function to hide the route alerts panel.
+  function hideRouteAlertsPanel() {
+    const panelEl = document.getElementById('route-alerts-panel');
+    if (panelEl) {
+      panelEl.style.display = 'none';
+    }
+  }
+  window.hideRouteAlertsPanel = hideRouteAlertsPanel;
+
+  // Dash the polylines of routes that currently have active alerts.
+  function updateRouteAlertStyles() {
+    polylineLayers.forEach(layer => {
+      const routeId = layer.feature && layer.feature.properties.route_id;
+      const hasAlerts = routeId && getActiveAlertsForRoute(routeId).length > 0;
+      layer.setStyle({ dashArray: hasAlerts ? "8 8" : null });
+    });
+  }
+  // --- End of service alerts ---
+
+  // --- Route shape graph ---
+  // Every NYC_Line.geojson segment of a route becomes an edge between junction nodes,
+  // so trains can be routed along the branch they are actually running on.
+  const JUNCTION_TOLERANCE = 30;   // meters: segment ends closer than this are joined
+  const MAX_STOP_SNAP_DISTANCE = 250; // meters: stops further than this from the track are not snapped
+
+  let routeShapes = {};    // routeShapes[routeId] = { nodes: [{ coord, edges }], edges: [{ from, to, latLonCoords, cumDistances, line, division }] }
+  let trackPathCache = {}; // "routeId|fromStopId|toStopId|shapeId" => directional path (or null)
+  let stopMeasures = {};   // stopMeasures[stopId][routeId] = { edgeIdx, measure, distance }, resolved once per load
+
+  // Spatial index over every track segment: a uniform lat/lon grid of buckets.
+  const TRACK_INDEX_CELL = 0.002; // degrees (~200 m)
+  let trackIndex = {};     // "row:col" => [{ routeId, edgeIdx, vertexIdx }, ...]
+
+  // Split segments at interior vertices where another segment's end joins them (e.g. the Dyre Av branch).
+  function splitSegmentsAtJunctions(segments) {
+    const splitIndices = segments.map(() => new Set());
+    segments.forEach((segment, i) => {
+      [segment.latLonCoords[0], segment.latLonCoords[segment.latLonCoords.length - 1]].forEach(end => {
+        segments.forEach((other, j) => {
+          if (i === j) return;
+          for (let k = 1; k < other.latLonCoords.length - 1; k++) {
+            if (getDistance(end, other.latLonCoords[k]) < JUNCTION_TOLERANCE) {
+              splitIndices[j].add(k);
+              break;
+            }
           }
-          routeLines[routeId] = lineFeature;
-          return lineFeature;
-        }
-        return feature;
+        });
       });
-      const offsetGeoJson = { type: "FeatureCollection", features: offsetFeatures };
-      L.geoJSON(offsetGeoJson, {
-        style: function(feature) {
-          const routeId = feature.properties.route_id;
-          return {
-            color: lineColors[routeId] || "#000000",
-            weight: getPolylineWeight(map.getZoom()),
-            opacity: 0.8
-          };
-        },
-        onEachFeature: function(feature, layer) {
-          polylineLayers.push(layer);
+    });
+    let pieces = [];
+    segments.forEach((segment, i) => {
+      const cuts = Array.from(splitIndices[i]).sort((a, b) => a - b);
+      let start = 0;
+      cuts.concat([segment.latLonCoords.length - 1]).forEach(cut => {
+        if (cut > start) {
+          pieces.push(Object.assign({}, segment, { latLonCoords: segment.latLonCoords.slice(start, cut + 1) }));
         }
-      }).addTo(map);
-    })
-    .catch(() => { /* error handling omitted */ });
+        start = cut;
+      });
+    });
+    return pieces;
+  }
 
-  // --- Asynchronous scheduling helpers ---
-  function scheduleAsync(fn) {
-    if (window.requestIdleCallback) {
-      requestIdleCallback(fn);
-    } else {
-      setTimeout(fn, 50);
+  // Helper: returns the index of the node at coord, creating it if no node is within tolerance.
+  function findOrAddNode(nodes, coord) {
+    for (let i = 0; i < nodes.length; i++) {
+      if (getDistance(nodes[i].coord, coord) < JUNCTION_TOLERANCE) return i;
     }
+    nodes.push({ coord, edges: [] });
+    return nodes.length - 1;
   }
 
-  let updateMarkersScheduled = false;
-  function scheduleUpdateTrainMarkerPositions() {
-    if (!updateMarkersScheduled) {
-      updateMarkersScheduled = true;
-      scheduleAsync(() => {
-        updateTrainMarkerPositions();
-        updateMarkersScheduled = false;
+  // Build the shape graph for one route from all of its LineString/MultiLineString features.
+  function buildRouteShape(features) {
+    let segments = [];
+    features.forEach(feature => {
+      const geometry = feature.geometry;
+      const parts = geometry.type === "LineString" ? [geometry.coordinates]
+        : geometry.type === "MultiLineString" ? geometry.coordinates : [];
+      parts.forEach(part => {
+        if (part.length < 2) return;
+        segments.push({
+          latLonCoords: part.map(c => [c[1], c[0]]),
+          line: feature.properties.Line,
+          division: feature.properties.Division
+        });
       });
-    }
+    });
+    const nodes = [];
+    const edges = [];
+    splitSegmentsAtJunctions(segments).forEach(segment => {
+      const from = findOrAddNode(nodes, segment.latLonCoords[0]);
+      const to = findOrAddNode(nodes, segment.latLonCoords[segment.latLonCoords.length - 1]);
+      const edge = Object.assign(segment, { from, to, cumDistances: computeCumulativeDistances(segment.latLonCoords) });
+      edge.length = edge.cumDistances[edge.cumDistances.length - 1];
+      nodes[from].edges.push(edges.length);
+      nodes[to].edges.push(edges.length);
+      edges.push(edge);
+    });
+    return { nodes, edges };
   }
 
-  // --- Function to update train marker positions (throttled) ---
-  let lastTrainUpdate = 0;
-  function updateTrainMarkerPositions() {
-    const now = performance.now();
-    if (now - lastTrainUpdate < 100) return;
-    lastTrainUpdate = now;
-    const nowSec = currentTimeSec;
-    const currentZoom = map.getZoom();
-    let newRadius = getTrainMarkerRadius(currentZoom);
-    // Increase clickable area on mobile
-    if (isMobile) {
-      newRadius *= 1.5;
-    }
-    trainMarkersLayer.eachLayer(marker => {
-      const td = marker.tripData;
-      if (td && td.arrivalTime > td.departureTime) {
-        let fraction = (nowSec - td.departureTime) / (td.arrivalTime - td.departureTime);
-        fraction = Math.max(0, Math.min(1, fraction));
-        let newCoord;
-        if (disableTurf && routeLines[td.routeId] && routeLines[td.routeId].cumDistances) {
-          const lineFeature = routeLines[td.routeId];
-          const latLonCoords = lineFeature.latLonCoords;
-          const cumDist = lineFeature.cumDistances;
-          const startDistance = getClosestDistanceOnPolyline(latLonCoords, cumDist, td.passedCoord);
-          const endDistance = getClosestDistanceOnPolyline(latLonCoords, cumDist, td.nextCoord);
-          const targetDistance = startDistance + fraction * (endDistance - startDistance);
-          newCoord = getPointAlongPolyline(latLonCoords, cumDist, targetDistance);
-        } else if (!disableTurf && routeLines[td.routeId]) {
-          const line = routeLines[td.routeId];
-          const ptPassed = turf.point([td.passedCoord[1], td.passedCoord[0]]);
-          const ptNext = turf.point([td.nextCoord[1], td.nextCoord[0]]);
-          const snappedPassed = turf.nearestPointOnLine(line, ptPassed, { units: 'kilometers' });
-          const snappedNext = turf.nearestPointOnLine(line, ptNext, { units: 'kilometers' });
-          let d1 = snappedPassed.properties.location;
-          let d2 = snappedNext.properties.location;
-          if (d1 > d2) [d1, d2] = [d2, d1];
-          const dCurrent = d1 + fraction * (d2 - d1);
-          const trainPoint = turf.along(line, dCurrent, { units: 'kilometers' });
-          newCoord = [trainPoint.geometry.coordinates[1], trainPoint.geometry.coordinates[0]];
-        } else {
-          newCoord = interpolateCoords(td.passedCoord, td.nextCoord, fraction);
-        }
-        marker.setLatLng(newCoord);
-        marker.setRadius(newRadius);
-        const timeStr = getRemainingTime(td.arrivalTime);
-        if (td.updates) {
-          const sortedUpdates = td.updates;
-          let currentIdx = sortedUpdates.findIndex(u => parseInt(u.arrival.time) > nowSec) - 1;
-          if (currentIdx < 0) currentIdx = 0;
-          const startIdx = Math.max(0, currentIdx - 2);
-          const endIdx = Math.min(sortedUpdates.length - 1, currentIdx + 2);
-          let stationListHtml = '<div style="display:flex; flex-direction:column; gap:4px;">';
-          for (let i = startIdx; i <= endIdx; i++) {
-            const stopId = sortedUpdates[i].stopId;
-            const stationName = stopsMap[stopId] ? stopsMap[stopId].name : stopId;
-            if (i === currentIdx) {
-              stationListHtml += `<div style="background:#e0f7fa; padding:4px 8px; border-radius:4px; font-weight:bold; color:#00796b;">${stationName}</div>`;
-            } else {
-              stationListHtml += `<div style="padding:4px 8px;">${stationName}</div>`;
+  // Helper: grid cell key for a [lat, lon] coordinate.
+  function getTrackIndexCell(lat, lon) {
+    return [Math.floor(lat / TRACK_INDEX_CELL), Math.floor(lon / TRACK_INDEX_CELL)];
+  }
+
+  // Insert every segment of every route shape into the grid cells its bounding box covers.
+  function buildTrackIndex() {
+    trackIndex = {};
+    Object.keys(routeShapes).forEach(routeId => {
+      routeShapes[routeId].edges.forEach((edge, edgeIdx) => {
+        const coords = edge.latLonCoords;
+        for (let i = 0; i < coords.length - 1; i++) {
+          const [row1, col1] = getTrackIndexCell(Math.min(coords[i][0], coords[i + 1][0]), Math.min(coords[i][1], coords[i + 1][1]));
+          const [row2, col2] = getTrackIndexCell(Math.max(coords[i][0], coords[i + 1][0]), Math.max(coords[i][1], coords[i + 1][1]));
+          for (let row = row1; row <= row2; row++) {
+            for (let col = col1; col <= col2; col++) {
+              const key = row + ":" + col;
+              if (!trackIndex[key]) trackIndex[key] = [];
+              trackIndex[key].push({ routeId, edgeIdx, vertexIdx: i });
             }
           }
-          stationListHtml += '</div>';
-          const newPopupHTML = `
-            <div style="font-family: 'Arial', sans-serif; background:#fdfdfd; padding:12px; width: 450px; border-radius:8px;">
-              <div style="font-size:3em; font-weight:bold; margin-bottom:6px;">Train going to ${td.nextStationName}</div>
-              <div style="font-size:2em; margin-bottom:10px;">Arriving in ${timeStr}</div>
-              <div style="font-size:2em; margin-bottom:10px;">Current Stop: ${stopsMap[td.passedStopId].name}</div>
-              <div style="border-top:1px solid #ddd; margin:8px 0;"></div>
-              <div style="font-size:2em; line-height:1.4;">
-                ${stationListHtml}
-              </div>
-            </div>
-          `;
-          marker.setPopupContent(newPopupHTML);
-        } else {
-          marker.setPopupContent(`<div style="font-size:20px;">Train going to ${td.nextStationName} arriving in ${timeStr}</div>`);
         }
-      }
+      });
     });
-    trainMarkersLayer.bringToFront();
   }
 
-  // --- Interaction and Animation Throttling ---
-  let isMapInteracting = false;
-  map.on('movestart', () => { isMapInteracting = true; });
-  map.on('moveend', () => { 
-    isMapInteracting = false; 
-    const currentZoom = map.getZoom();
-    scheduleAsync(() => {
-      polylineLayers.forEach(layer => {
-        layer.setStyle({ weight: getPolylineWeight(currentZoom) });
-      });
+  // Snap a coordinate to every route whose track lies within maxDistance meters.
+  // Returns { routeId: { edgeIdx, measure, distance } }, keeping the closest segment per route.
+  function snapToTracks(coord, maxDistance, onlyRouteId = null) {
+    const latPad = maxDistance / 111320;
+    const lonPad = maxDistance / (111320 * Math.cos(coord[0] * Math.PI / 180));
+    const [row1, col1] = getTrackIndexCell(coord[0] - latPad, coord[1] - lonPad);
+    const [row2, col2] = getTrackIndexCell(coord[0] + latPad, coord[1] + lonPad);
+    let best = {};
+    for (let row = row1; row <= row2; row++) {
+      for (let col = col1; col <= col2; col++) {
+        (trackIndex[row + ":" + col] || []).forEach(({ routeId, edgeIdx, vertexIdx }) => {
+          if (onlyRouteId && routeId !== onlyRouteId) return;
+          const edge = routeShapes[routeId].edges[edgeIdx];
+          const segStart = edge.latLonCoords[vertexIdx];
+          const segEnd = edge.latLonCoords[vertexIdx + 1];
+          const t = projectPointOnSegment(coord, segStart, segEnd);
+          const distance = getDistance(coord, interpolatePoint(segStart, segEnd, t));
+          if (distance <= maxDistance && (!best[routeId] || distance < best[routeId].distance)) {
+            const measure = edge.cumDistances[vertexIdx] + t * (edge.cumDistances[vertexIdx + 1] - edge.cumDistances[vertexIdx]);
+            best[routeId] = { edgeIdx, measure, distance };
+          }
+        });
+      }
+    }
+    return best;
+  }
+
+  // Resolve every stop's position along each route it sits on (run once stops and shapes are loaded).
+  function buildStopMeasures() {
+    stopMeasures = {};
+    trackPathCache = {};
+    Object.keys(stopsMap).forEach(stopId => {
+      const stop = stopsMap[stopId];
+      if (isNaN(stop.lat) || isNaN(stop.lon)) return;
+      const measures = snapToTracks([stop.lat, stop.lon], MAX_STOP_SNAP_DISTANCE);
+      if (Object.keys(measures).length > 0) stopMeasures[stopId] = measures;
     });
-    scheduleUpdateTrainMarkerPositions();
-  });
+  }
 
-  // Debounce helper for less critical updates
-  function debounce(func, wait) {
-    let timeout;
-    return function(...args) {
-      clearTimeout(timeout);
-      timeout = setTimeout(() => func.apply(this, args), wait);
-    };
+  // Helper: a stop's position along a route, from the precomputed table or an ad-hoc index lookup.
+  function getStopMeasure(stopId, routeId) {
+    if (stopMeasures[stopId]) return stopMeasures[stopId][routeId] || null;
+    const stop = stopsMap[stopId];
+    if (!stop) return null;
+    return snapToTracks([stop.lat, stop.lon], MAX_STOP_SNAP_DISTANCE, routeId)[routeId] || null;
   }
 
-  function animate() {
-    if (!isMapInteracting) {
-      scheduleUpdateTrainMarkerPositions();
+  // Build a shape graph for every route, from the features of the shapes in its shape set
+  // (e.g. the W runs on the N and R shapes, the 6X on the 6's), keyed by canonical route id.
+  function buildRouteShapes(features) {
+    const featuresByShape = {};
+    features.forEach(feature => {
+      const shapeId = resolveRouteId(feature.properties.route_id);
+      if (!featuresByShape[shapeId]) featuresByShape[shapeId] = [];
+      featuresByShape[shapeId].push(feature);
+    });
+    routeShapes = {};
+    trackPathCache = {};
+    const routeIds = new Set(routeRegistry.order.concat(Object.keys(featuresByShape)));
+    routeIds.forEach(routeId => {
+      const shapeFeatures = [].concat(...getRoute(routeRegistry, routeId).shapes.map(shapeId => featuresByShape[shapeId] || []));
+      if (shapeFeatures.length > 0) routeShapes[routeId] = buildRouteShape(shapeFeatures);
+    });
+    buildTrackIndex();
+  }
+
+  // Helper: the part of a polyline between two measures, reversed when fromMeasure > toMeasure.
+  function slicePolyline(latLonCoords, cumDist, fromMeasure, toMeasure) {
+    const lo = Math.min(fromMeasure, toMeasure);
+    const hi = Math.max(fromMeasure, toMeasure);
+    let coords = [getPointAlongPolyline(latLonCoords, cumDist, lo)];
+    for (let i = 0; i < latLonCoords.length; i++) {
+      if (cumDist[i] > lo && cumDist[i] < hi) coords.push(latLonCoords[i]);
     }
-    requestAnimationFrame(animate);
+    coords.push(getPointAlongPolyline(latLonCoords, cumDist, hi));
+    return fromMeasure > toMeasure ? coords.reverse() : coords;
   }
-  requestAnimationFrame(animate);
 
-  // Load stops and update realtime feeds every 10 seconds.
-  await loadStops();
-  updateFeed();
-  setInterval(updateFeed, 1000);
+  // Dijkstra over the route's junction nodes from a snapped start to a snapped end.
+  // Returns the directional list of [lat, lon] coordinates, or null when the points are not connected.
+  function findShapePath(shape, start, end) {
+    const startEdge = shape.edges[start.edgeIdx];
+    const endEdge = shape.edges[end.edgeIdx];
+    if (start.edgeIdx === end.edgeIdx) {
+      return slicePolyline(startEdge.latLonCoords, startEdge.cumDistances, start.measure, end.measure);
+    }
+    const dist = shape.nodes.map(() => Infinity);
+    const prevEdge = shape.nodes.map(() => null);
+    const visited = shape.nodes.map(() => false);
+    dist[startEdge.from] = start.measure;
+    dist[startEdge.to] = Math.min(dist[startEdge.to], startEdge.length - start.measure);
+    while (true) {
+      let current = -1;
+      dist.forEach((d, i) => {
+        if (!visited[i] && d < Infinity && (current === -1 || d < dist[current])) current = i;
+      });
+      if (current === -1) break;
+      visited[current] = true;
+      shape.nodes[current].edges.forEach(edgeIdx => {
+        if (edgeIdx === start.edgeIdx || edgeIdx === end.edgeIdx) return;
+        const edge = shape.edges[edgeIdx];
+        const neighbor = edge.from === current ? edge.to : edge.from;
+        if (dist[current] + edge.length < dist[neighbor]) {
+          dist[neighbor] = dist[current] + edge.length;
+          prevEdge[neighbor] = edgeIdx;
+        }
+      });
+    }
+    const viaFrom = dist[endEdge.from] + end.measure;
+    const viaTo = dist[endEdge.to] + (endEdge.length - end.measure);
+    if (!isFinite(viaFrom) && !isFinite(viaTo)) return null;
+    const entryNode = viaFrom <= viaTo ? endEdge.from : endEdge.to;
 
-  // Adjust station marker sizes when zoom changes.
-  map.on('zoomend', debounce(() => {
-    const currentZoom = map.getZoom();
+    // Walk back from the entry node to the start edge, collecting the traversed edges.
+    let middle = [];
+    let node = entryNode;
+    while (prevEdge[node] !== null) {
+      const edge = shape.edges[prevEdge[node]];
+      const forward = edge.to === node;
+      middle.unshift(forward ? edge.latLonCoords : edge.latLonCoords.slice().reverse());
+      node = forward ? edge.from : edge.to;
+    }
+    const exitMeasure = node === startEdge.from ? 0 : startEdge.length;
+    const entryMeasure = entryNode === endEdge.from ? 0 : endEdge.length;
+    let coords = slicePolyline(startEdge.latLonCoords, startEdge.cumDistances, start.measure, exitMeasure);
+    middle.forEach(part => { coords = coords.concat(part.slice(1)); });
+    coords = coords.concat(slicePolyline(endEdge.latLonCoords, endEdge.cumDistances, entryMeasure, end.measure).slice(1));
+    return coords;
+  }
+
+  // Returns the directional track path a train follows between two stops:
+  // { latLonCoords, cumDistances, length }, or null when the route has no usable shape.
+  // Detoured trains follow their detour's shape (shapeId) where both stops lie on it.
+  function getTrackPath(routeId, fromStopId, toStopId, shapeId = null) {
+    const cacheKey = `${routeId}|${fromStopId}|${toStopId}|${shapeId || ""}`;
+    if (cacheKey in trackPathCache) return trackPathCache[cacheKey];
+    let trackPath = shapeId ? getDetourTrackPath(shapeId, fromStopId, toStopId) : null;
+    const shape = routeShapes[routeId];
+    if (!trackPath && shape && shape.edges.length > 0) {
+      const start = getStopMeasure(fromStopId, routeId);
+      const end = getStopMeasure(toStopId, routeId);
+      if (start && end) {
+        const latLonCoords = findShapePath(shape, start, end);
+        if (latLonCoords && latLonCoords.length >= 2) {
+          const cumDistances = computeCumulativeDistances(latLonCoords);
+          trackPath = { latLonCoords, cumDistances, length: cumDistances[cumDistances.length - 1] };
+        }
+      }
+    }
+    trackPathCache[cacheKey] = trackPath;
+    return trackPath;
+  }
+
+  // Position of a train that has covered `fraction` of the trip between two stops.
+  function computeTrainCoord(routeId, passedStopId, nextStopId, fraction, shapeId = null) {
+    const passedCoord = [stopsMap[passedStopId].lat, stopsMap[passedStopId].lon];
+    const nextCoord = [stopsMap[nextStopId].lat, stopsMap[nextStopId].lon];
+    const trackPath = getTrackPath(routeId, passedStopId, nextStopId, shapeId);
+    if (!trackPath) {
+      return interpolatePoint(passedCoord, nextCoord, fraction);
+    }
+    if (!disableTurf) {
+      const line = turf.lineString(trackPath.latLonCoords.map(c => [c[1], c[0]]));
+      const trainPoint = turf.along(line, fraction * trackPath.length / 1000, { units: 'kilometers' });
+      return [trainPoint.geometry.coordinates[1], trainPoint.geometry.coordinates[0]];
+    }
+    // The path starts at the snapped passed stop and ends at the snapped next stop.
+    return getPointAlongPolyline(trackPath.latLonCoords, trackPath.cumDistances, fraction * trackPath.length);
+  }
+  // Heading of a train in degrees clockwise from north: the bearing of the track over
+  // TRAIN_HEADING_SPAN around the point it has reached, or of the line between its stops.
+  const TRAIN_HEADING_SPAN = 40;  // metres
+  function computeTrainHeading(routeId, passedStopId, nextStopId, fraction, shapeId = null) {
+    const trackPath = getTrackPath(routeId, passedStopId, nextStopId, shapeId);
+    if (trackPath) {
+      const along = fraction * trackPath.length;
+      const from = Math.max(0, Math.min(trackPath.length - TRAIN_HEADING_SPAN, along - TRAIN_HEADING_SPAN / 2));
+      const to = Math.min(trackPath.length, from + TRAIN_HEADING_SPAN);
+      const bearing = getBearing(
+        getPointAlongPolyline(trackPath.latLonCoords, trackPath.cumDistances, from),
+        getPointAlongPolyline(trackPath.latLonCoords, trackPath.cumDistances, to)
+      );
+      if (bearing !== null) return bearing;
+    }
+    return getBearing([stopsMap[passedStopId].lat, stopsMap[passedStopId].lon], [stopsMap[nextStopId].lat, stopsMap[nextStopId].lon]);
+  }
+
+  // When a feed refresh changes a train's predicted position, its marker doesn't jump there:
+  // the gap to where it was drawn is kept as a correction that shrinks to nothing over
+  // TRAIN_CORRECTION_MS. Trains more than TRAIN_MAX_CORRECTION off are moved at once.
+  const TRAIN_CORRECTION_MS = 2000;
+  const TRAIN_MAX_CORRECTION = 1000;  // metres
+  function startTrainCorrection(marker, coord) {
+    const shown = marker.getLatLng();
+    const gap = getDistance([shown.lat, shown.lng], coord);
+    marker.correction = gap > 0 && gap <= TRAIN_MAX_CORRECTION
+      ? { dLat: shown.lat - coord[0], dLon: shown.lng - coord[1], start: performance.now() }
+      : null;
+  }
+
+  // How far a train is from its last stop to its next at nowSec (0 to 1), corrected with the
+  // current_status its vehicle reports, if any.
+  function getTrainFraction(td, nowSec) {
+    const fraction = Math.max(0, Math.min(1, (nowSec - td.departureTime) / (td.arrivalTime - td.departureTime)));
+    return correctFractionForVehicle(fraction, td.passedStopId, td.nextStopId, vehiclesByTrip[td.tripId], nowSec);
+  }
+
+  // Move a train marker to where its trip data puts it `fraction` of the way to its next stop,
+  // pointing along the track.
+  function placeTrainMarker(marker, td, fraction) {
+    let coord = computeTrainCoord(td.routeId, td.passedStopId, td.nextStopId, fraction, td.shapeId);
+    const correction = marker.correction;
+    if (correction) {
+      const progress = (performance.now() - correction.start) / TRAIN_CORRECTION_MS;
+      if (progress >= 1) {
+        marker.correction = null;
+      } else {
+        // Ease out: the correction closes quickly at first, then settles.
+        const remaining = (1 - progress) * (1 - progress);
+        coord = [coord[0] + correction.dLat * remaining, coord[1] + correction.dLon * remaining];
+      }
+    }
+    marker.setLatLng(coord);
+    marker.setHeading(computeTrainHeading(td.routeId, td.passedStopId, td.nextStopId, fraction, td.shapeId));
+  }
+  // Coordinates of a run through several stops, stitched from the track paths between them.
+  // Falls back to straight lines where the route has no usable shape.
+  function getTrackCoordsThroughStops(routeId, stopIds, shapeId = null) {
+    let coords = [];
+    for (let i = 0; i < stopIds.length - 1; i++) {
+      const from = stopsMap[stopIds[i]];
+      const to = stopsMap[stopIds[i + 1]];
+      if (!from || !to) continue;
+      const trackPath = getTrackPath(routeId, stopIds[i], stopIds[i + 1], shapeId);
+      const part = trackPath ? trackPath.latLonCoords : [[from.lat, from.lon], [to.lat, to.lon]];
+      coords = coords.concat(coords.length === 0 ? part : part.slice(1));
+    }
+    return coords;
+  }
+  // --- End of route shape graph ---
+
+  // --- Detours ---
+  // feedWorker.js applies TripModifications to the trips they detour (lib/detours.mjs); such trips
+  // carry a detour: { modificationsId, shapeId, notServed, alertIds }. Their trains follow the
+  // detour's shape between stops lying on it, and every detour in use is drawn as a dashed line.
+  const DETOUR_SNAP_DISTANCE = 200;  // metres a stop may lie off a detour shape
+  let detourLayer = L.featureGroup().addTo(map);
+  let detourShapeCache = {};  // shapeId => { latLonCoords, cumDistances } (or null)
+  let drawnDetours = "";      // keys of the detour lines drawn, to redraw only on changes
+
+  // Helper: shape_id a trip runs on, when it is detoured onto a shape of its own.
+  function getTripShapeId(trip) {
+    return trip && trip.detour ? trip.detour.shapeId : null;
+  }
+
+  // Helper: a detour shape from the feed's Shape entities, else from shapes.txt, or null.
+  function getDetourShape(shapeId) {
+    if (shapeId in detourShapeCache) return detourShapeCache[shapeId];
+    const feedShape = feedModel.shapes[shapeId];
+    const latLonCoords = feedShape ? feedShape.coords : gtfsModel && gtfsModel.shapes[shapeId];
+    const shape = latLonCoords && latLonCoords.length >= 2
+      ? { latLonCoords, cumDistances: computeCumulativeDistances(latLonCoords) }
+      : null;
+    detourShapeCache[shapeId] = shape;
+    return shape;
+  }
+
+  // Helper: measure along a detour shape closest to a stop, or null when the stop is off the shape.
+  function getDetourStopMeasure(shape, stopId) {
+    const coord = [stopsMap[stopId].lat, stopsMap[stopId].lon];
+    const measure = getClosestDistanceOnPolyline(shape.latLonCoords, shape.cumDistances, coord);
+    const snapped = getPointAlongPolyline(shape.latLonCoords, shape.cumDistances, measure);
+    return getDistance(coord, snapped) <= DETOUR_SNAP_DISTANCE ? measure : null;
+  }
+
+  // The path along a detour shape between two stops: { latLonCoords, cumDistances, length }, or null.
+  function getDetourTrackPath(shapeId, fromStopId, toStopId) {
+    const shape = getDetourShape(shapeId);
+    if (!shape || !stopsMap[fromStopId] || !stopsMap[toStopId]) return null;
+    const from = getDetourStopMeasure(shape, fromStopId);
+    const to = getDetourStopMeasure(shape, toStopId);
+    if (from === null || to === null || from === to) return null;
+    const latLonCoords = slicePolyline(shape.latLonCoords, shape.cumDistances, from, to);
+    const cumDistances = computeCumulativeDistances(latLonCoords);
+    return { latLonCoords, cumDistances, length: cumDistances[cumDistances.length - 1] };
+  }
+
+  // Forget paths built from detour shapes, after the feed's shapes changed.
+  function resetDetourPaths() {
+    detourShapeCache = {};
+    trackPathCache = {};
+    drawnDetours = "";
+  }
+
+  // Helper: tooltip of a detour line: the headers of the alerts describing it.
+  function getDetourTooltip(routeId, detour) {
+    const headers = detour.alertIds
+      .map(id => feedModel.alerts[id] && feedModel.alerts[id].header)
+      .filter(Boolean);
+    const title = `${getRouteLabel(routeId)} detour`;
+    return [title].concat(headers).map(escapeHtml).join("<br>");
+  }
+
+  // Draw a dashed line along every detour a trip in the feed is running: its shape, or else the
+  // run through its replacement stops.
+  function updateDetourLayer() {
+    const detours = {};
+    Object.values(feedModel.trips).forEach(trip => {
+      if (!trip.detour || !feedModel.modifications[trip.detour.modificationsId] || !isLineVisible(trip.routeId)) return;
+      detours[`${trip.routeId}|${trip.detour.modificationsId}|${trip.detour.shapeId || ""}`] = { routeId: trip.routeId, detour: trip.detour };
+    });
+    const keys = Object.keys(detours).sort().join(",");
+    if (keys === drawnDetours) return;
+    drawnDetours = keys;
+    detourLayer.clearLayers();
+    Object.values(detours).forEach(({ routeId, detour }) => {
+      const shape = detour.shapeId ? getDetourShape(detour.shapeId) : null;
+      const runs = shape
+        ? [shape.latLonCoords]
+        : feedModel.modifications[detour.modificationsId].modifications
+          .map(modification => getTrackCoordsThroughStops(routeId, modification.replacementStops.map(r => r.stopId)));
+      runs.filter(coords => coords.length >= 2).forEach(coords => {
+        detourLayer.addLayer(L.polyline(coords, {
+          color: getRouteColor(routeId),
+          weight: getPolylineWeight(map.getZoom()),
+          opacity: 0.9,
+          dashArray: "6 8"
+        }).bindTooltip(getDetourTooltip(routeId, detour), { sticky: true }));
+      });
+    });
+    raiseTrainMarkers();
+  }
+  // --- End of detours ---
+
+  // --- Array for polyline layers ---
+  let polylineLayers = [];
+  let routeShapesLayer = null;  // the L.geoJSON group holding polylineLayers
+
+  // Helper: Calculate polyline weight based on zoom level.
+  function getPolylineWeight(zoom) {
+    const minZoom = 12, maxZoom = 22;
+    const minWeight = 3, maxWeight = 5;
+    if (zoom <= minZoom) return minWeight;
+    if (zoom >= maxZoom) return maxWeight;
+    return minWeight + ((zoom - minZoom) / (maxZoom - minZoom)) * (maxWeight - minWeight);
+  }
+
+  // Helper: Calculate train marker radius based on zoom level.
+  function getTrainMarkerRadius(zoom) {
+    const minZoom = 14, maxZoom = 22;
+    const minRadius = 6, maxRadius = 15;
+    if (zoom <= minZoom) return minRadius;
+    if (zoom >= maxZoom) return maxRadius;
+    return minRadius + ((zoom - minZoom) / (maxZoom - minZoom)) * (maxRadius - minRadius);
+  }
+
+  // --- Train rendering ---
+  // With config.trainRenderer 'canvas' (the default) every train is drawn on one canvas in its own
+  // pane, between the route lines and the station markers. Leaflet batches the redraws of a frame
+  // and hit-tests clicks and hovers on it, so trains can move every animation frame. With 'svg'
+  // each train is its own SVG element, moved at most every TRAIN_FRAME_MS_SVG.
+  const TRAIN_FRAME_MS_CANVAS = 16;
+  const TRAIN_FRAME_MS_SVG = 100;
+  let trainRenderer = null;      // the shared L.canvas renderer, or null for SVG
+  let trainMarkerRadius = null;  // radius the train markers were last drawn with
+
+  function createTrainRenderer() {
+    if (config.trainRenderer === 'svg') return null;
+    map.createPane('trainsPane').style.zIndex = 450;
+    return L.canvas({ pane: 'trainsPane', padding: 0.2 });
+  }
+
+  // Keep SVG trains above the route lines and overlays (a canvas pane already is).
+  function raiseTrainMarkers() {
+    if (!trainRenderer) trainMarkersLayer.bringToFront();
+  }
+
+  // Helper: train marker radius at a zoom level, larger on mobile for a bigger tap target.
+  function getTrainTapRadius(zoom) {
+    return getTrainMarkerRadius(zoom) * (isMobile ? 1.5 : 1);
+  }
+
+  // A train is drawn as its route bullet (a diamond for express trains) with an arrow in the ring
+  // colour pointing the way it is heading. options.bullet, textColor and express come from the
+  // route registry. setHeading takes degrees clockwise from north; setOffset shifts the drawing
+  // by a pixel offset, so trains at the same spot can be spread out. setOccupancyLevel (1 to 4,
+  // or null) adds a crowding gauge of TRAIN_OCCUPANCY_BARS bars under the bullet. Clicks, hovers
+  // and popups still use the bullet itself.
+  const TRAIN_DIAMOND_REACH = 1.2;       // half diagonal of an express diamond, in radii
+  const TRAIN_ARROW_BASE = 0.5;          // distance of the arrow's base from the centre, in radii
+  const TRAIN_ARROW_LENGTH = 0.7;        // how far the arrow reaches beyond the bullet, in radii
+  const TRAIN_ARROW_HALF_WIDTH = 0.7;    // in radii
+  const TRAIN_LABEL_MIN_RADIUS = 5;      // smaller bullets are drawn without their letter
+  const TRAIN_LABEL_FONT = "Helvetica, Arial, sans-serif";
+  const TRAIN_OCCUPANCY_BARS = 4;
+  const TRAIN_OCCUPANCY_GAP = 0.25;      // between the bullet and the gauge, in radii
+  const TRAIN_OCCUPANCY_HEIGHT = 0.35;   // in radii
+  const TRAIN_OCCUPANCY_MIN_RADIUS = 4;  // smaller bullets are drawn without their gauge
+  // Colours of the crowding levels 1 to 4, and of the unlit bars of the gauge.
+  const OCCUPANCY_COLORS = { 1: "#43A047", 2: "#C0CA33", 3: "#FB8C00", 4: "#E53935" };
+  const OCCUPANCY_UNLIT_COLOR = "#BDBDBD";
+  const TrainMarker = L.CircleMarker.extend({
+    options: { bullet: "", textColor: "#FFFFFF", express: false, heading: null, occupancyLevel: null },
+
+    setHeading(heading) {
+      if (heading === this.options.heading) return this;
+      this.options.heading = heading;
+      return this.redraw();
+    },
+
+    setOffset(offset) {
+      const x = offset ? offset.x : 0;
+      const y = offset ? offset.y : 0;
+      const current = this._offset || { x: 0, y: 0 };
+      if (current.x === x && current.y === y) return this;
+      this._offset = L.point(x, y);
+      return this.redraw();
+    },
+
+    setOccupancyLevel(level) {
+      if (level === this.options.occupancyLevel) return this;
+      this.options.occupancyLevel = level;
+      return this.redraw();
+    },
+
+    // With the SVG renderer the arrow, the letter and the gauge (its lit and unlit bars) are
+    // elements of their own around the path.
+    onAdd() {
+      L.CircleMarker.prototype.onAdd.call(this);
+      if (this._renderer instanceof L.Canvas) return;
+      this._arrow = L.SVG.create('path');
+      this._arrow.setAttribute('class', 'train-marker-arrow');
+      this._label = L.SVG.create('text');
+      this._label.setAttribute('class', 'train-marker-label');
+      this._gauge = [L.SVG.create('path'), L.SVG.create('path')];
+      this._gauge.forEach(bars => bars.setAttribute('class', 'train-marker-occupancy'));
+      this._path.parentNode.insertBefore(this._arrow, this._path);
+      this._path.parentNode.insertBefore(this._label, this._path.nextSibling);
+      this._gauge.forEach(bars => this._path.parentNode.insertBefore(bars, this._label));
+      this._updatePath();
+    },
+
+    onRemove() {
+      if (this._arrow) L.DomUtil.remove(this._arrow);
+      if (this._label) L.DomUtil.remove(this._label);
+      if (this._gauge) this._gauge.forEach(bars => L.DomUtil.remove(bars));
+      this._arrow = this._label = this._gauge = null;
+      L.CircleMarker.prototype.onRemove.call(this);
+    },
+
+    bringToFront() {
+      L.CircleMarker.prototype.bringToFront.call(this);
+      if (this._arrow) this._path.parentNode.insertBefore(this._arrow, this._path);
+      if (this._gauge) this._gauge.forEach(bars => this._path.parentNode.appendChild(bars));
+      if (this._label) this._path.parentNode.appendChild(this._label);
+      return this;
+    },
+
+    // Helper: centre of the drawn bullet.
+    _getCenter() {
+      return this._offset ? this._point.add(this._offset) : this._point;
+    },
+
+    // Helper: corners of the arrow (tip first) around centre c for radius r, or null without a heading.
+    _getArrowPoints(c, r) {
+      if (this.options.heading === null || this.options.heading === undefined) return null;
+      const angle = this.options.heading * Math.PI / 180;
+      const ux = Math.sin(angle), uy = -Math.cos(angle);  // screen y grows southwards
+      const reach = this.options.express ? TRAIN_DIAMOND_REACH * r / (Math.abs(ux) + Math.abs(uy)) : r;
+      const tip = reach + TRAIN_ARROW_LENGTH * r;
+      const base = TRAIN_ARROW_BASE * r;
+      const half = TRAIN_ARROW_HALF_WIDTH * r;
+      return [
+        L.point(c.x + ux * tip, c.y + uy * tip),
+        L.point(c.x + ux * base - uy * half, c.y + uy * base + ux * half),
+        L.point(c.x + ux * base + uy * half, c.y + uy * base - ux * half)
+      ];
+    },
+
+    // Helper: corners of the express diamond around centre c for radius r.
+    _getDiamondPoints(c, r) {
+      const d = TRAIN_DIAMOND_REACH * r;
+      return [L.point(c.x, c.y - d), L.point(c.x + d, c.y), L.point(c.x, c.y + d), L.point(c.x - d, c.y)];
+    },
+
+    // Helper: the gauge's bars ({ x, y, width, height, lit }, left to right) under centre c for
+    // radius r, or null without a crowding level or when the bullet is too small for them.
+    _getOccupancyBars(c, r) {
+      const level = this.options.occupancyLevel;
+      if (!level || r < TRAIN_OCCUPANCY_MIN_RADIUS) return null;
+      const reach = this.options.express ? TRAIN_DIAMOND_REACH * r : r;
+      const height = Math.max(Math.round(TRAIN_OCCUPANCY_HEIGHT * r), 2);
+      const gap = 1;
+      const width = Math.max(Math.floor((2 * r - gap * (TRAIN_OCCUPANCY_BARS - 1)) / TRAIN_OCCUPANCY_BARS), 1);
+      const left = Math.round(c.x - (width * TRAIN_OCCUPANCY_BARS + gap * (TRAIN_OCCUPANCY_BARS - 1)) / 2);
+      const top = Math.round(c.y + reach + TRAIN_OCCUPANCY_GAP * r);
+      const bars = [];
+      for (let i = 0; i < TRAIN_OCCUPANCY_BARS; i++) {
+        bars.push({ x: left + i * (width + gap), y: top, width, height, lit: i < level });
+      }
+      return bars;
+    },
+
+    // Helper: the letter's size and colour, or null when the bullet is too small for it.
+    _getLabelStyle(r) {
+      const bullet = this.options.bullet;
+      if (!bullet || r < TRAIN_LABEL_MIN_RADIUS) return null;
+      return {
+        fontSize: Math.round(r * Math.min(1.3, 2.2 / bullet.length)),
+        // Hollow trains have no fill to write on.
+        color: this.options.fillOpacity > 0 ? this.options.textColor : this.options.color
+      };
+    },
+
+    _updateBounds() {
+      // Room for the gauge whether or not it is shown, so a new crowding level needs no new bounds.
+      const gaugeReach = this._radius * (TRAIN_DIAMOND_REACH + TRAIN_OCCUPANCY_GAP) + Math.max(TRAIN_OCCUPANCY_HEIGHT * this._radius, 2) + 1;
+      const reach = Math.max(this._radius * (TRAIN_DIAMOND_REACH + TRAIN_ARROW_LENGTH), gaugeReach) + this._clickTolerance();
+      const c = this._getCenter();
+      this._pxBounds = L.bounds(c.subtract([reach, reach]), c.add([reach, reach]));
+    },
+
+    _containsPoint(p) {
+      return p.distanceTo(this._getCenter()) <= this._radius + this._clickTolerance();
+    },
+
+    _updatePath() {
+      const renderer = this._renderer;
+      const c = this._getCenter();
+      const r = Math.max(Math.round(this._radius), 1);
+      const arrow = this._getArrowPoints(c, r);
+      const label = this._getLabelStyle(r);
+      const bars = this._getOccupancyBars(c, r);
+      const barColor = bars ? OCCUPANCY_COLORS[this.options.occupancyLevel] : null;
+      if (renderer instanceof L.Canvas) {
+        if (!renderer._drawing || this._empty()) return;
+        const ctx = renderer._ctx;
+        const tracePolygon = points => {
+          points.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+          ctx.closePath();
+        };
+        if (arrow) {
+          ctx.beginPath();
+          tracePolygon(arrow);
+          ctx.globalAlpha = this.options.opacity;
+          ctx.fillStyle = this.options.color;
+          ctx.fill();
+        }
+        ctx.beginPath();
+        if (this.options.express) {
+          tracePolygon(this._getDiamondPoints(c, r));
+        } else {
+          ctx.arc(c.x, c.y, r, 0, Math.PI * 2, false);
+        }
+        renderer._fillStroke(ctx, this);
+        if (label) {
+          ctx.globalAlpha = this.options.opacity;
+          ctx.fillStyle = label.color;
+          ctx.font = `bold ${label.fontSize}px ${TRAIN_LABEL_FONT}`;
+          ctx.textAlign = 'center';
+          ctx.textBaseline = 'middle';
+          ctx.fillText(this.options.bullet, c.x, c.y);
+        }
+        if (bars) {
+          ctx.globalAlpha = this.options.opacity;
+          bars.forEach(bar => {
+            ctx.fillStyle = bar.lit ? barColor : OCCUPANCY_UNLIT_COLOR;
+            ctx.fillRect(bar.x, bar.y, bar.width, bar.height);
+          });
+        }
+        return;
+      }
+      const polygonPath = points => points.map((p, i) => `${i === 0 ? 'M' : 'L'}${p.x},${p.y}`).join('') + 'z';
+      const empty = this._empty();
+      const body = this.options.express
+        ? polygonPath(this._getDiamondPoints(c.round(), r))
+        : `M${Math.round(c.x) - r},${Math.round(c.y)}a${r},${r} 0 1,0 ${r * 2},0 a${r},${r} 0 1,0 ${-r * 2},0`;
+      renderer._setPath(this, empty ? 'M0 0' : body);
+      if (!this._arrow) return;
+      this._arrow.setAttribute('d', empty || !arrow ? 'M0 0' : polygonPath(arrow.map(p => p.round())));
+      this._arrow.setAttribute('fill', this.options.color);
+      this._arrow.setAttribute('fill-opacity', this.options.opacity);
+      [true, false].forEach((lit, i) => {
+        const shown = empty || !bars ? [] : bars.filter(bar => bar.lit === lit);
+        this._gauge[i].setAttribute('d', shown.map(bar => `M${bar.x},${bar.y}h${bar.width}v${bar.height}h${-bar.width}z`).join('') || 'M0 0');
+        this._gauge[i].setAttribute('fill', lit ? barColor || OCCUPANCY_UNLIT_COLOR : OCCUPANCY_UNLIT_COLOR);
+        this._gauge[i].setAttribute('fill-opacity', this.options.opacity);
+      });
+      this._label.textContent = label ? this.options.bullet : "";
+      if (!label) return;
+      this._label.setAttribute('x', Math.round(c.x));
+      this._label.setAttribute('y', Math.round(c.y));
+      this._label.setAttribute('font-size', label.fontSize);
+      this._label.setAttribute('fill', label.color);
+      this._label.setAttribute('fill-opacity', this.options.opacity);
+    }
+  });
+
+  // Options of a new train marker: its size, renderer, style and the route's bullet.
+  function getTrainMarkerOptions(td) {
+    const route = getRoute(routeRegistry, td.routeId);
+    return Object.assign({
+      radius: getTrainTapRadius(map.getZoom()),
+      renderer: trainRenderer || undefined,
+      bullet: route.bullet,
+      textColor: route.textColor,
+      express: route.express,
+      occupancyLevel: getTrainOccupancyLevel(td.tripId)
+    }, getTrainMarkerStyle(td));
+  }
+
+  // Helper: crowding of a trip's train from its vehicle position (lib/occupancy.mjs), or null.
+  function getTrainOccupancy(tripId) {
+    return getVehicleOccupancy(vehiclesByTrip[tripId] || null);
+  }
+
+  // Helper: crowding level (1 to 4) drawn under a trip's train, or null when unknown.
+  function getTrainOccupancyLevel(tripId) {
+    const occupancy = getTrainOccupancy(tripId);
+    return occupancy ? occupancy.level : null;
+  }
+
+  // Bring a train up to date with a new position report for its trip: its crowding, and where
+  // the reported current_status puts it (eased like any other correction).
+  function updateTrainVehicle(marker) {
+    const td = marker.tripData;
+    marker.setOccupancyLevel(getTrainOccupancyLevel(td.tripId));
+    if (td.fadeStart || isTripStale(td) || !(td.arrivalTime > td.departureTime)) return;
+    const fraction = getTrainFraction(td, currentTimeSec);
+    startTrainCorrection(marker, computeTrainCoord(td.routeId, td.passedStopId, td.nextStopId, fraction, td.shapeId));
+    placeTrainMarker(marker, td, fraction);
+    if (marker.isPopupOpen()) marker.getPopup().update();
+  }
+
+  // Trains whose bullets would overlap on screen are spread on a small circle around the first
+  // of them, in trip order so each keeps its place from frame to frame.
+  function spreadOverlappingTrains(radius) {
+    const cellSize = radius * 2;
+    const cells = {};
+    const clusters = [];
+    const markers = [];
+    trainMarkersLayer.eachLayer(marker => markers.push(marker));
+    markers.sort((a, b) => String(a.tripData.key).localeCompare(String(b.tripData.key)));
+    markers.forEach(marker => {
+      const p = map.latLngToLayerPoint(marker.getLatLng());
+      const cx = Math.floor(p.x / cellSize), cy = Math.floor(p.y / cellSize);
+      let cluster = null;
+      for (let dx = -1; dx <= 1 && !cluster; dx++) {
+        for (let dy = -1; dy <= 1 && !cluster; dy++) {
+          cluster = (cells[`${cx + dx},${cy + dy}`] || []).find(c => c.point.distanceTo(p) < cellSize) || null;
+        }
+      }
+      if (!cluster) {
+        cluster = { point: p, markers: [] };
+        clusters.push(cluster);
+        const key = `${cx},${cy}`;
+        (cells[key] = cells[key] || []).push(cluster);
+      }
+      cluster.markers.push({ marker, point: p });
+    });
+    clusters.forEach(cluster => {
+      const n = cluster.markers.length;
+      // Neighbours on the circle end up 2.2 radii apart.
+      const spread = n > 1 ? radius * 1.1 / Math.sin(Math.PI / n) : 0;
+      cluster.markers.forEach(({ marker, point }, i) => {
+        if (n === 1) {
+          marker.setOffset(null);
+          return;
+        }
+        const angle = 2 * Math.PI * i / n - Math.PI / 2;
+        marker.setOffset(L.point(
+          Math.round(cluster.point.x + spread * Math.cos(angle) - point.x),
+          Math.round(cluster.point.y + spread * Math.sin(angle) - point.y)
+        ));
+      });
+    });
+  }
+  // --- End of train rendering ---
+
+  // Route shapes come from shapes.txt when config.gtfs.shapes is set and the feed has them,
+  // otherwise from NYC_Line.geojson.
+  async function loadRouteFeatures() {
+    if (config.gtfs.shapes && gtfsModel) {
+      const features = GtfsStatic.getShapeFeatures(gtfsModel);
+      if (features.length > 0) return features;
+    }
+    const response = await fetch('NYC_Line.geojson');
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return (await response.json()).features;
+  }
+
+  // Load and add the route shapes, storing each polyline layer.
+  function loadRouteShapes() {
+    return loadRouteFeatures()
+      .then(features => {
+        buildRouteShapes(features);
+        const offsetFeatures = features.map(feature => {
+          const routeId = feature.properties.route_id;
+          let offsetDistance = 0;
+          if (!isNaN(parseFloat(routeId))) {
+            offsetDistance = 0.00005 * (parseInt(routeId) - 1);
+          }
+          if (feature.geometry.type === "LineString" && !disableTurf) {
+            const lineFeature = turf.lineOffset(feature, offsetDistance, { units: 'degrees' });
+            lineFeature.properties = feature.properties;
+            return lineFeature;
+          }
+          return feature;
+        });
+        const offsetGeoJson = { type: "FeatureCollection", features: offsetFeatures };
+        routeShapesLayer = L.geoJSON(offsetGeoJson, {
+          style: function(feature) {
+            return {
+              color: getRouteColor(feature.properties.route_id),
+              weight: getPolylineWeight(map.getZoom()),
+              opacity: 0.8
+            };
+          },
+          onEachFeature: function(feature, layer) {
+            polylineLayers.push(layer);
+            // Clicking a route shows its active service alerts.
+            layer.on('click', (e) => {
+              L.DomEvent.stopPropagation(e);
+              showRouteAlertsPanel(feature.properties.route_id);
+            });
+          }
+        }).addTo(map);
+        updateRouteAlertStyles();
+        applyLineFilter();
+      })
+      .catch(error => reportStaticDataError("Route shapes", error));
+  }
+
+  // Helper: the top-right column holding the map's toggle buttons and their small panels.
+  function getMapButtons() {
+    let containerEl = document.getElementById('map-buttons');
+    if (!containerEl) {
+      containerEl = document.createElement('div');
+      containerEl.id = 'map-buttons';
+      document.body.appendChild(containerEl);
+      L.DomEvent.disableClickPropagation(containerEl);
+      L.DomEvent.disableScrollPropagation(containerEl);
+    }
+    return containerEl;
+  }
+
+  // --- Trip planner ---
+  // Earliest-arrival routing over the live trip updates (Connection Scan Algorithm).
+  // Nodes are parent stations; each pair of consecutive stops of a trip is a connection,
+  // and parent stations of the same complex are linked by walking transfers.
+  const PLANNER_TRANSFER_SLACK = 60;   // seconds needed to change trains on the same platform/station
+  const PLANNER_WALK_SPEED = 1.2;      // meters per second inside a complex
+  const PLANNER_MIN_WALK = 120;        // seconds: minimum walking transfer between platforms
+  const PLANNER_MAX_ITINERARIES = 3;
+  let plannerOrigin = null;            // complex id
+  let plannerDestination = null;       // complex id
+  let plannerItineraries = [];
+  let plannerSelectedIdx = 0;
+  let plannerLayer = L.featureGroup().addTo(map);
+
+  // Helper: parent station of any stop_id.
+  function getParentStation(stopId) {
+    return (stopsMap[stopId] && stopsMap[stopId].parent_station) || stopId;
+  }
+
+  // Build the sorted list of connections from every trip in the feed model.
+  function buildConnections() {
+    let connections = [];
+    Object.values(feedModel.trips).forEach(trip => {
+      if (!trip.tripId || trip.scheduleRelationship === "CANCELED") return;
+      const updates = trip.updates
+        .filter(u => (u.arrival || u.departure) && stopsMap[u.stopId])
+        .sort((a, b) => (a.arrival || a.departure) - (b.arrival || b.departure));
+      for (let i = 0; i < updates.length - 1; i++) {
+        const from = updates[i];
+        const to = updates[i + 1];
+        const dep = from.departure || from.arrival;
+        const arr = to.arrival || to.departure;
+        if (arr < dep || getParentStation(from.stopId) === getParentStation(to.stopId)) continue;
+        connections.push({
+          tripId: trip.tripId,
+          routeId: trip.routeId,
+          headsign: getTripHeadsign(trip),
+          fromStopId: from.stopId,
+          toStopId: to.stopId,
+          from: getParentStation(from.stopId),
+          to: getParentStation(to.stopId),
+          dep,
+          arr
+        });
+      }
+    });
+    return connections.sort((a, b) => a.dep - b.dep || a.arr - b.arr);
+  }
+
+  // Walking transfers between the parent stations of a complex: { station: [{ to, duration }] }.
+  // Uses min_transfer_time from transfers.txt when the feed has one, else a walking estimate.
+  function getComplexFootpaths(station) {
+    const complexId = getComplexId(station);
+    const transfers = (gtfsModel && gtfsModel.index.transfersByStop[station]) || [];
+    return (complexStops[complexId] || [])
+      .filter(stopId => !stopsMap[stopId].parent_station && stopId !== station)
+      .map(stopId => {
+        const transfer = transfers.find(t => t.toStopId === stopId && t.minTransferTime !== null);
+        return {
+          to: stopId,
+          duration: transfer ? transfer.minTransferTime : Math.max(PLANNER_MIN_WALK, getDistance(
+            [stopsMap[station].lat, stopsMap[station].lon],
+            [stopsMap[stopId].lat, stopsMap[stopId].lon]
+          ) / PLANNER_WALK_SPEED + 60)
+        };
+      });
+  }
+
+  // Helper: parent stations of a complex.
+  function getComplexStations(complexId) {
+    return (complexStops[complexId] || []).filter(stopId => !stopsMap[stopId].parent_station);
+  }
+
+  // Connection Scan from originComplex at departTime to destinationComplex.
+  // Returns { arrival, legs } for the earliest arrival, or null when unreachable.
+  function planEarliestArrival(connections, originComplex, destinationComplex, departTime) {
+    const earliest = {};
+    const pointer = {};        // station => { type: 'ride', enter, exit } or { type: 'walk', from, duration }
+    const tripBoarded = {};    // tripId => connection where it was boarded
+    const originStations = new Set(getComplexStations(originComplex));
+    const destinationStations = getComplexStations(destinationComplex);
+    originStations.forEach(station => { earliest[station] = departTime; });
+    const getEarliest = station => (station in earliest ? earliest[station] : Infinity);
+    let bestArrival = Infinity;
+
+    for (const c of connections) {
+      if (c.dep < departTime) continue;
+      if (c.dep > bestArrival) break;
+      if (!tripBoarded[c.tripId]) {
+        const slack = originStations.has(c.from) && !pointer[c.from] ? 0 : PLANNER_TRANSFER_SLACK;
+        if (getEarliest(c.from) + slack > c.dep) continue;
+        tripBoarded[c.tripId] = c;
+      }
+      if (c.arr < getEarliest(c.to)) {
+        earliest[c.to] = c.arr;
+        pointer[c.to] = { type: 'ride', enter: tripBoarded[c.tripId], exit: c };
+        getComplexFootpaths(c.to).forEach(footpath => {
+          if (c.arr + footpath.duration < getEarliest(footpath.to)) {
+            earliest[footpath.to] = c.arr + footpath.duration;
+            pointer[footpath.to] = { type: 'walk', from: c.to, duration: footpath.duration };
+          }
+        });
+        destinationStations.forEach(station => {
+          bestArrival = Math.min(bestArrival, getEarliest(station));
+        });
+      }
+    }
+
+    let target = null;
+    destinationStations.forEach(station => {
+      if (pointer[station] && (!target || earliest[station] < earliest[target])) target = station;
+    });
+    if (!target) return null;
+
+    // Walk the pointers back to the origin to collect the legs.
+    let legs = [];
+    let station = target;
+    while (pointer[station]) {
+      const p = pointer[station];
+      if (p.type === 'walk') {
+        legs.unshift({ type: 'walk', from: p.from, to: station, duration: p.duration, arr: earliest[station] });
+        station = p.from;
+      } else {
+        legs.unshift({
+          type: 'ride',
+          tripId: p.exit.tripId,
+          routeId: p.exit.routeId,
+          headsign: p.exit.headsign,
+          fromStopId: p.enter.fromStopId,
+          toStopId: p.exit.toStopId,
+          dep: p.enter.dep,
+          arr: p.exit.arr
+        });
+        station = p.enter.from;
+      }
+    }
+    return { arrival: earliest[target], legs };
+  }
+
+  // Compute up to PLANNER_MAX_ITINERARIES itineraries, each departing after the previous one's first train.
+  function planItineraries(originComplex, destinationComplex, departTime) {
+    const connections = buildConnections();
+    let itineraries = [];
+    let fromTime = departTime;
+    while (itineraries.length < PLANNER_MAX_ITINERARIES) {
+      const itinerary = planEarliestArrival(connections, originComplex, destinationComplex, fromTime);
+      if (!itinerary) break;
+      const firstRide = itinerary.legs.find(leg => leg.type === 'ride');
+      if (!firstRide) break;
+      const key = itinerary.legs.map(leg => leg.tripId || leg.to).join("|");
+      if (!itineraries.some(other => other.key === key)) {
+        itineraries.push(Object.assign(itinerary, { key, departure: firstRide.dep }));
+      }
+      fromTime = firstRide.dep + 1;
+    }
+    return itineraries;
+  }
+
+  // Helper: clock time for an epoch in seconds, e.g. "8:42 AM".
+  function formatClockTime(epochSec) {
+    return new Date(epochSec * 1000).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+  }
+
+  // Helper: station name for a stop_id.
+  function getStopName(stopId) {
+    return stopsMap[stopId] ? stopsMap[stopId].name : stopId;
+  }
+
+  // Build the HTML of one itinerary: summary line plus its legs.
+  function buildItineraryHTML(itinerary, idx) {
+    const rides = itinerary.legs.filter(leg => leg.type === 'ride');
+    const transfers = Math.max(0, rides.length - 1);
+    const minutes = Math.round((itinerary.arrival - currentTimeSec) / 60);
+    const selected = idx === plannerSelectedIdx;
+    let legsHTML = "";
+    itinerary.legs.forEach((leg, legIdx) => {
+      if (leg.type === 'walk') {
+        const nextLeg = itinerary.legs[legIdx + 1];
+        const platform = nextLeg && nextLeg.type === 'ride' ? `the ${getRouteLabel(nextLeg.routeId)} platform at ` : "";
+        legsHTML += `<div style="padding:2px 0; color:#666;">&#128694; Walk to ${platform}${escapeHtml(getStopName(leg.to))} (${Math.round(leg.duration / 60)} min)</div>`;
+      } else {
+        legsHTML += `
+          <div style="padding:2px 0;">
+            ${buildRouteBulletHTML(leg.routeId)}
+            ${formatClockTime(leg.dep)} ${escapeHtml(getStopName(leg.fromStopId))} &rarr; ${formatClockTime(leg.arr)} ${escapeHtml(getStopName(leg.toStopId))}
+            <span style="color:#666;">(to ${escapeHtml(leg.headsign)})</span>
+          </div>`;
+      }
+    });
+    return `
+      <div data-itinerary="${idx}" style="cursor:pointer; padding:8px; margin:6px 0; border-radius:6px; border:2px solid ${selected ? "#333" : "#ddd"};">
+        <div style="font-weight:bold;">
+          ${formatClockTime(itinerary.departure)} &rarr; ${formatClockTime(itinerary.arrival)}
+          · arrives in ${minutes} min · ${transfers === 0 ? "no transfers" : transfers + (transfers === 1 ? " transfer" : " transfers")}
+        </div>
+        ${legsHTML}
+      </div>`;
+  }
+
+  // Draw the selected itinerary over the route shapes.
+  function drawPlannerItinerary() {
+    plannerLayer.clearLayers();
+    const itinerary = plannerItineraries[plannerSelectedIdx];
+    if (!itinerary) return;
+    itinerary.legs.forEach(leg => {
+      if (leg.type === 'walk') {
+        const from = stopsMap[leg.from];
+        const to = stopsMap[leg.to];
+        plannerLayer.addLayer(L.polyline([[from.lat, from.lon], [to.lat, to.lon]], { color: "#555", weight: 5, dashArray: "4 8" }));
+        return;
+      }
+      const trip = feedModel.trips[leg.tripId];
+      const stopIds = trip ? trip.updates.map(u => u.stopId) : [leg.fromStopId, leg.toStopId];
+      const startIdx = Math.max(0, stopIds.indexOf(leg.fromStopId));
+      const endIdx = stopIds.indexOf(leg.toStopId);
+      const legStops = endIdx > startIdx ? stopIds.slice(startIdx, endIdx + 1) : [leg.fromStopId, leg.toStopId];
+      const coords = getTrackCoordsThroughStops(leg.routeId, legStops, getTripShapeId(trip));
+      const color = getRouteColor(leg.routeId);
+      plannerLayer.addLayer(L.polyline(coords, { color: "#fff", weight: 12, opacity: 0.9 }));
+      plannerLayer.addLayer(L.polyline(coords, { color, weight: 7, opacity: 1 }));
+    });
+    plannerLayer.bringToFront();
+    raiseTrainMarkers();
+  }
+
+  // Select one of the listed itineraries.
+  function selectPlannerItinerary(idx) {
+    plannerSelectedIdx = idx;
+    renderPlannerResults();
+    drawPlannerItinerary();
+  }
+
+  // Re-plan with the current feed and show the results.
+  function runPlanner() {
+    if (!plannerOrigin || !plannerDestination) return;
+    plannerItineraries = plannerOrigin === plannerDestination
+      ? []
+      : planItineraries(plannerOrigin, plannerDestination, currentTimeSec);
+    if (plannerSelectedIdx >= plannerItineraries.length) plannerSelectedIdx = 0;
+    renderPlannerResults();
+    drawPlannerItinerary();
+  }
+
+  function renderPlannerResults() {
+    const resultsEl = document.getElementById('planner-results');
+    if (!resultsEl) return;
+    if (!plannerOrigin || !plannerDestination) {
+      resultsEl.innerHTML = `<div style="color:#666;">Choose an origin and a destination.</div>`;
+    } else if (plannerItineraries.length === 0) {
+      resultsEl.innerHTML = `<div style="color:#666;">No trip found with the trains currently in the feed.</div>`;
+    } else {
+      resultsEl.innerHTML = plannerItineraries.map(buildItineraryHTML).join("");
+    }
+  }
+
+  // Helper: find a complex by its display name (as typed in the planner inputs).
+  function findComplexByName(name) {
+    const wanted = String(name).trim().toLowerCase();
+    return Object.keys(complexInfo).find(complexId => complexInfo[complexId].name.toLowerCase() === wanted) || null;
+  }
+
+  // Set the planner origin or destination to the complex of stopId (also used by the station board buttons).
+  function setPlannerStation(which, stopId) {
+    const complexId = getComplexId(stopId);
+    if (which === 'origin') plannerOrigin = complexId; else plannerDestination = complexId;
+    showPlannerPanel();
+    const inputEl = document.getElementById(which === 'origin' ? 'planner-origin' : 'planner-destination');
+    if (inputEl && complexInfo[complexId]) inputEl.value = complexInfo[complexId].name;
+    runPlanner();
+  }
+
+  // Function to display the planner panel.
+  function showPlannerPanel() {
+    if (followedTripId) stopFollowing();
+    let panelEl = document.getElementById('planner-panel');
+    if (!panelEl) {
+      panelEl = document.createElement('div');
+      panelEl.id = 'planner-panel';
+      const optionsHTML = Object.keys(complexInfo)
+        .map(complexId => complexInfo[complexId].name)
+        .sort()
+        .map(name => `<option value="${escapeHtml(name)}"></option>`)
+        .join("");
+      panelEl.innerHTML = `
+        <div class="popup-title" style="margin-bottom:10px; font-size:1.2em;"><strong>Plan a trip</strong></div>
+        <datalist id="planner-stations">${optionsHTML}</datalist>
+        <input id="planner-origin" list="planner-stations" placeholder="From station" autocomplete="off">
+        <input id="planner-destination" list="planner-stations" placeholder="To station" autocomplete="off">
+        <div id="planner-results"></div>
+        <div class="close-btn" onclick="hidePlannerPanel()">&times;</div>
+      `;
+      document.body.appendChild(panelEl);
+      L.DomEvent.disableClickPropagation(panelEl);
+      ['origin', 'destination'].forEach(which => {
+        document.getElementById('planner-' + which).addEventListener('change', (e) => {
+          const complexId = findComplexByName(e.target.value);
+          if (complexId) setPlannerStation(which, complexId);
+        });
+      });
+      document.getElementById('planner-results').addEventListener('click', (e) => {
+        const itineraryEl = e.target.closest('[data-itinerary]');
+        if (itineraryEl) selectPlannerItinerary(parseInt(itineraryEl.dataset.itinerary, 10));
+      });
+    }
+    panelEl.style.display = 'block';
+    document.getElementById('planner-toggle').style.display = 'none';
+    renderPlannerResults();
+  }
+
+  // Function to hide the planner panel and its route.
+  function hidePlannerPanel() {
+    const panelEl = document.getElementById('planner-panel');
+    if (panelEl) {
+      panelEl.style.display = 'none';
+    }
+    document.getElementById('planner-toggle').style.display = '';
+    plannerItineraries = [];
+    plannerLayer.clearLayers();
+  }
+  window.hidePlannerPanel = hidePlannerPanel;
+
+  // Add the button that opens the planner panel.
+  function createPlannerControls() {
+    const toggleEl = document.createElement('button');
+    toggleEl.id = 'planner-toggle';
+    toggleEl.className = 'map-button';
+    toggleEl.textContent = 'Plan a trip';
+    toggleEl.addEventListener('click', showPlannerPanel);
+    getMapButtons().appendChild(toggleEl);
+  }
+
+  // Helper: true when the planner panel is open.
+  function isPlannerOpen() {
+    const panelEl = document.getElementById('planner-panel');
+    return !!panelEl && panelEl.style.display !== 'none';
+  }
+  // --- End of trip planner ---
+
+  // --- Station search ---
+  // Station names are normalized into tokens ("W 86th Street" => ["w", "86", "st"]) so queries
+  // match regardless of abbreviations; tokens that are line ids ("Q") match the lines serving a station.
+  const SEARCH_MAX_RESULTS = 8;
+  const searchSynonyms = {
+    street: "st", str: "st", avenue: "av", ave: "av", road: "rd", boulevard: "blvd",
+    parkway: "pkwy", square: "sq", place: "pl", plaza: "plz", center: "ctr", centre: "ctr",
+    heights: "hts", junction: "jct", highway: "hwy", terminal: "term", park: "pk",
+    east: "e", west: "w", north: "n", south: "s", saint: "st", fort: "ft", mount: "mt",
+    first: "1", second: "2", third: "3", fourth: "4", fifth: "5", sixth: "6", seventh: "7",
+    eighth: "8", ninth: "9", tenth: "10", and: "&"
+  };
+  let stationSearchIndex = null;  // [{ complexId, name, tokens }], built on first use
+  let searchResults = [];
+  let searchActiveIdx = -1;
+
+  // Helper: split a station name or query into normalized tokens.
+  function normalizeSearchTokens(text) {
+    return String(text)
+      .toLowerCase()
+      .replace(/[-/,.()']/g, " ")
+      .split(/\s+/)
+      .filter(token => token)
+      .map(token => token.replace(/^(\d+)(st|nd|rd|th)$/, "$1"))
+      .map(token => searchSynonyms[token] || token);
+  }
+
+  // Helper: Levenshtein distance, giving up once it exceeds maxDistance.
+  function getEditDistance(a, b, maxDistance) {
+    if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      let rowMin = i;
+      for (let j = 1; j <= b.length; j++) {
+        current[j] = Math.min(
+          previous[j] + 1,
+          current[j - 1] + 1,
+          previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+        );
+        rowMin = Math.min(rowMin, current[j]);
+      }
+      if (rowMin > maxDistance) return maxDistance + 1;
+      previous = current;
+    }
+    return previous[b.length];
+  }
+
+  // Helper: how well one query token matches one name token (0 = no match).
+  // Numbers must match exactly so "8" does not find "86 St".
+  function scoreSearchToken(queryToken, nameToken) {
+    if (queryToken === nameToken) return 3;
+    if (/^\d+$/.test(queryToken) || /^\d+$/.test(nameToken)) return 0;
+    if (nameToken.startsWith(queryToken)) return 2;
+    if (queryToken.length >= 4) {
+      const maxDistance = queryToken.length >= 7 ? 2 : 1;
+      if (getEditDistance(queryToken, nameToken, maxDistance) <= maxDistance) return 1;
+    }
+    return 0;
+  }
+
+  function buildStationSearchIndex() {
+    stationSearchIndex = Object.keys(complexInfo).map(complexId => ({
+      complexId,
+      name: complexInfo[complexId].name,
+      tokens: normalizeSearchTokens(complexInfo[complexId].name)
+    }));
+  }
+
+  // Rank station complexes against a query; every query token has to match the name or a line.
+  // Returns [{ complexId, name, lines }] best first.
+  function searchStations(query) {
+    const queryTokens = normalizeSearchTokens(query);
+    if (queryTokens.length === 0) return [];
+    if (!stationSearchIndex) buildStationSearchIndex();
+    const complexLines = getComplexLines();
+    const normalizedQuery = queryTokens.join(" ");
+    let matches = [];
+    stationSearchIndex.forEach(entry => {
+      const lines = complexLines[entry.complexId] || getScheduledLines(entry.complexId);
+      let score = 0;
+      const matched = queryTokens.every(queryToken => {
+        const nameScore = Math.max(0, ...entry.tokens.map(nameToken => scoreSearchToken(queryToken, nameToken)));
+        const lineScore = lines.has(queryToken.toUpperCase()) ? 3 : 0;
+        score += Math.max(nameScore, lineScore);
+        return nameScore > 0 || lineScore > 0;
+      });
+      if (!matched) return;
+      if (entry.tokens.join(" ").startsWith(normalizedQuery)) score += 2;
+      matches.push({ complexId: entry.complexId, name: entry.name, lines, score });
+    });
+    return matches
+      .sort((a, b) => b.score - a.score || a.name.length - b.name.length || a.name.localeCompare(b.name))
+      .slice(0, SEARCH_MAX_RESULTS);
+  }
+
+  // Helper: lines scheduled at a station complex in stop_times.txt (empty without a full GTFS feed).
+  function getScheduledLines(complexId) {
+    const lines = new Set();
+    if (!gtfsModel) return lines;
+    (complexStops[complexId] || []).forEach(stopId => {
+      (gtfsModel.index.routesByStop[stopId] || []).forEach(routeId => lines.add(resolveRouteId(routeId)));
+    });
+    return lines;
+  }
+
+  // Helper: small round route bullets for a set of lines.
+  function buildLineBulletsHTML(lines) {
+    return sortRoutes(lines).map(line => buildRouteBulletHTML(line)).join("");
+  }
+
+  function renderSearchResults() {
+    const listEl = document.getElementById('station-search-results');
+    listEl.innerHTML = searchResults.map((result, idx) => `
+      <div class="station-search-result${idx === searchActiveIdx ? " active" : ""}" data-idx="${idx}">
+        <span>${escapeHtml(result.name)}</span>
+        <span>${buildLineBulletsHTML(result.lines)}</span>
+      </div>`).join("");
+    listEl.style.display = searchResults.length > 0 ? 'block' : 'none';
+  }
+
+  // Fly to a station complex and open its board once the map has arrived.
+  function flyToStation(complexId) {
+    const info = complexInfo[complexId];
+    if (!info) return;
+    map.once('moveend', () => {
+      updateStationMarkers();
+      selectStation(complexId);
+    });
+    map.flyTo([info.lat, info.lon], Math.max(map.getZoom(), 16));
+  }
+
+  function chooseSearchResult(idx) {
+    const result = searchResults[idx];
+    if (!result) return;
+    const inputEl = document.getElementById('station-search-input');
+    inputEl.value = result.name;
+    inputEl.blur();
+    searchResults = [];
+    searchActiveIdx = -1;
+    renderSearchResults();
+    flyToStation(result.complexId);
+  }
+
+  // Build the search box.
+  function createStationSearch() {
+    const searchEl = document.createElement('div');
+    searchEl.id = 'station-search';
+    searchEl.innerHTML = `
+      <input id="station-search-input" type="search" placeholder="Search stations" autocomplete="off">
+      <div id="station-search-results"></div>
+    `;
+    document.body.appendChild(searchEl);
+    L.DomEvent.disableClickPropagation(searchEl);
+    L.DomEvent.disableScrollPropagation(searchEl);
+
+    const inputEl = document.getElementById('station-search-input');
+    const listEl = document.getElementById('station-search-results');
+    inputEl.addEventListener('input', () => {
+      searchResults = searchStations(inputEl.value);
+      searchActiveIdx = searchResults.length > 0 ? 0 : -1;
+      renderSearchResults();
+    });
+    inputEl.addEventListener('keydown', (e) => {
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        if (searchResults.length === 0) return;
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        searchActiveIdx = (searchActiveIdx + step + searchResults.length) % searchResults.length;
+        renderSearchResults();
+      } else if (e.key === 'Enter') {
+        chooseSearchResult(searchActiveIdx);
+      } else if (e.key === 'Escape') {
+        searchResults = [];
+        renderSearchResults();
+      }
+    });
+    listEl.addEventListener('mousedown', (e) => {
+      const resultEl = e.target.closest('.station-search-result');
+      if (resultEl) {
+        e.preventDefault();
+        chooseSearchResult(parseInt(resultEl.dataset.idx, 10));
+      }
+    });
+    inputEl.addEventListener('blur', () => {
+      listEl.style.display = 'none';
+    });
+    inputEl.addEventListener('focus', () => {
+      if (searchResults.length > 0) listEl.style.display = 'block';
+    });
+  }
+  // --- End of station search ---
+
+  // --- Line filter and shareable view state ---
+  // Lines can be hidden per line (route shapes, trains and stations served only by hidden lines).
+  // The view is mirrored in the URL hash so a link reopens it:
+  //   #map=16/40.71280/-74.00600&lines=A,C,E&station=127&trip=043650_1..N03R
+  let enabledLines = null;     // Set of visible lines, or null when every line is shown
+  let selectedTripId = null;   // trip whose popup is open
+  let pendingTripId = null;    // trip from the URL, opened once it appears in the feed
+
+  // Helper: true when a line is shown.
+  function isLineVisible(line) {
+    return !enabledLines || enabledLines.has(line);
+  }
+
+  // Helper: true when a station serves at least one visible line (stations without lines stay visible).
+  function isStationVisible(linesSet) {
+    return !enabledLines || !linesSet || linesSet.size === 0 || Array.from(linesSet).some(isLineVisible);
+  }
+
+  // Helper: every line known from the route registry, the route shapes and the feed.
+  function getKnownLines() {
+    const lines = new Set(routeRegistry.order.filter(id => routeRegistry.routes[id].known));
+    Object.keys(routeShapes).forEach(line => lines.add(line));
+    Object.values(feedModel.trips).forEach(trip => lines.add(trip.routeId));
+    return lines;
+  }
+
+  // Group the known lines by trunk colour, in bullet order: [{ color, lines: [...] }].
+  function getLineGroups() {
+    let groups = [];
+    sortRoutes(getKnownLines()).forEach(line => {
+      const color = getRouteColor(line);
+      let group = groups.find(g => g.color === color);
+      if (!group) {
+        group = { color, lines: [] };
+        groups.push(group);
+      }
+      group.lines.push(line);
+    });
+    return groups;
+  }
+
+  // Show or hide a set of lines.
+  function setLinesEnabled(lines, enabled) {
+    if (!enabledLines) enabledLines = getKnownLines();
+    lines.forEach(line => {
+      if (enabled) enabledLines.add(line); else enabledLines.delete(line);
+    });
+    if (Array.from(getKnownLines()).every(line => enabledLines.has(line))) enabledLines = null;
+    applyLineFilter();
+    writeViewState();
+  }
+
+  // Helper: show or hide one station marker according to the filter (only drawn at zoom >= 14).
+  function syncStationMarkerVisibility(marker) {
+    const visible = map.getZoom() >= 14 && isStationVisible(marker.linesSet);
+    if (visible && !map.hasLayer(marker)) marker.addTo(map);
+    if (!visible && map.hasLayer(marker)) map.removeLayer(marker);
+  }
+
+  // Helper: show or hide one train marker according to the filter.
+  function syncTrainMarkerVisibility(marker) {
+    const visible = isLineVisible(marker.tripData.routeId);
+    if (visible && !trainMarkersLayer.hasLayer(marker)) {
+      // Hidden trains miss the radius updates of zoom changes.
+      marker.setRadius(getTrainTapRadius(map.getZoom()));
+      trainMarkersLayer.addLayer(marker);
+    }
+    if (!visible && trainMarkersLayer.hasLayer(marker)) trainMarkersLayer.removeLayer(marker);
+  }
+
+  // Apply the line filter to route shapes, trains and station markers.
+  function applyLineFilter() {
+    if (routeShapesLayer) {
+      polylineLayers.forEach(layer => {
+        const visible = isLineVisible(resolveRouteId(layer.feature.properties.route_id));
+        if (visible && !routeShapesLayer.hasLayer(layer)) routeShapesLayer.addLayer(layer);
+        if (!visible && routeShapesLayer.hasLayer(layer)) routeShapesLayer.removeLayer(layer);
+      });
+    }
+    Object.values(trainMarkers).forEach(syncTrainMarkerVisibility);
+    Object.values(markerMap).forEach(syncStationMarkerVisibility);
+    updateDetourLayer();
+    renderLineFilterPanel();
+    drawHeadwayOverlay();
+    renderHeadwayPanel();
+  }
+
+  function renderLineFilterPanel() {
+    const groupsEl = document.getElementById('line-filter-groups');
+    if (!groupsEl) return;
+    // Clicks are handled on the panel (see createLineFilterControls), by data-line and data-group.
+    groupsEl.innerHTML = getLineGroups().map((group, idx) => {
+      const groupEnabled = group.lines.some(isLineVisible);
+      const bulletsHTML = group.lines.map(line =>
+        buildRouteBulletHTML(line, isLineVisible(line) ? "" : "disabled", `data-line="${escapeHtml(line)}"`)).join("");
+      return `
+        <div class="line-filter-group">
+          <input type="checkbox" ${groupEnabled ? "checked" : ""} data-group="${idx}">
+          ${bulletsHTML}
+        </div>`;
+    }).join("");
+  }
+
+  // Build the line filter button and panel.
+  function createLineFilterControls() {
+    const toggleEl = document.createElement('button');
+    toggleEl.id = 'line-filter-toggle';
+    toggleEl.className = 'map-button';
+    toggleEl.textContent = 'Lines';
+    getMapButtons().appendChild(toggleEl);
+
+    const panelEl = document.createElement('div');
+    panelEl.id = 'line-filter-panel';
+    panelEl.innerHTML = `
+      <div id="line-filter-groups"></div>
+      <div class="line-filter-actions">
+        <button id="line-filter-all">All</button>
+        <button id="line-filter-none">None</button>
+      </div>
+    `;
+    getMapButtons().appendChild(panelEl);
+
+    toggleEl.addEventListener('click', () => {
+      panelEl.style.display = panelEl.style.display === 'block' ? 'none' : 'block';
+      renderLineFilterPanel();
+    });
+    // Toggle one line, or show or hide a whole trunk with its checkbox.
+    document.getElementById('line-filter-groups').addEventListener('click', (e) => {
+      const lineEl = e.target.closest('[data-line]');
+      const groupEl = e.target.closest('[data-group]');
+      if (lineEl) {
+        const line = lineEl.dataset.line;
+        setLinesEnabled([line], !isLineVisible(line));
+      } else if (groupEl) {
+        const group = getLineGroups()[parseInt(groupEl.dataset.group, 10)];
+        if (group) setLinesEnabled(group.lines, groupEl.checked);
+      }
+    });
+    document.getElementById('line-filter-all').addEventListener('click', () => {
+      setLinesEnabled(Array.from(getKnownLines()), true);
+    });
+    document.getElementById('line-filter-none').addEventListener('click', () => {
+      setLinesEnabled(Array.from(getKnownLines()), false);
+    });
+  }
+
+  // Helper: encode a hash value, keeping "," and "/" readable.
+  function encodeHashValue(value) {
+    return encodeURIComponent(value).replace(/%2C/g, ",").replace(/%2F/g, "/");
+  }
+
+  // Parse the view state from the URL hash; missing fields are null.
+  function readViewState() {
+    const params = new URLSearchParams(window.location.hash.replace(/^#/, ""));
+    let view = null;
+    if (params.has('map')) {
+      const [zoom, lat, lon] = params.get('map').split("/").map(Number);
+      if (!isNaN(zoom) && !isNaN(lat) && !isNaN(lon)) view = { zoom, lat, lon };
+    }
+    return {
+      view,
+      lines: params.has('lines') ? params.get('lines').split(",").filter(line => line).map(resolveRouteId) : null,
+      station: params.get('station'),
+      trip: params.get('trip')
+    };
+  }
+
+  // Write the current view into the URL hash without adding a history entry.
+  function writeViewState() {
+    const center = map.getCenter();
+    let parts = [`map=${map.getZoom()}/${center.lat.toFixed(5)}/${center.lng.toFixed(5)}`];
+    if (enabledLines) parts.push(`lines=${encodeHashValue(Array.from(enabledLines).sort().join(","))}`);
+    const popupEl = document.getElementById('fixed-popup');
+    if (popupEl && popupEl.style.display === 'block' && window.currentPopupStopId) {
+      parts.push(`station=${encodeHashValue(window.currentPopupStopId)}`);
+    }
+    if (selectedTripId) parts.push(`trip=${encodeHashValue(selectedTripId)}`);
+    history.replaceState(null, "", "#" + parts.join("&"));
+  }
+
+  // Restore the view from the URL hash (on startup and when the hash is edited).
+  function restoreViewState() {
+    const state = readViewState();
+    if (state.view) {
+      map.setView([state.view.lat, state.view.lon], state.view.zoom);
+    }
+    enabledLines = state.lines ? new Set(state.lines) : null;
+    applyLineFilter();
+    if (state.station && complexInfo[getComplexId(state.station)]) {
+      updateStationMarkers();
+      selectStation(getComplexId(state.station));
+    }
+    pendingTripId = state.trip;
+    if (pendingTripId && trainMarkers[pendingTripId]) {
+      openPendingTrip(trainMarkers[pendingTripId]);
+    }
+  }
+
+  // Open the popup of the trip named in the URL once its marker exists.
+  function openPendingTrip(marker) {
+    pendingTripId = null;
+    if (!isLineVisible(marker.tripData.routeId)) return;
+    marker.openPopup();
+  }
+  // --- End of line filter and shareable view state ---
+
+  // --- Follow a train ---
+  // The followed trip is looked up by tripId in feedModel on every refresh, so it keeps working as
+  // the worker replaces the trip object with each update. When the tripId leaves the feed the
+  // panel keeps the last known timeline and says so.
+  const FOLLOW_RECENTER_FRACTION = 0.25;  // re-center once the train is this far from the middle of the map
+  let followedTripId = null;
+  let followedTripSnapshot = null;  // last version of the trip seen in the feed
+  let followLostAt = null;          // currentTimeSec when the trip disappeared, or null
+  let followLocked = true;          // false once the user drags the map away
+  let followTimer = null;
+  let followLayer = L.featureGroup().addTo(map);
+
+  // Start following a trip: lock the camera on its train and open the timeline panel.
+  function followTrain(tripId) {
+    if (!feedModel.trips[tripId]) return;
+    followedTripId = tripId;
+    followedTripSnapshot = feedModel.trips[tripId];
+    followLostAt = null;
+    followLocked = true;
+    if (trainMarkers[tripId]) {
+      trainMarkers[tripId].closePopup();
+      map.panTo(trainMarkers[tripId].getLatLng());
+    }
+    if (isPlannerOpen()) hidePlannerPanel();
+    drawFollowedTrip();
+    showFollowPanel();
+  }
+  // The train popups' "Follow this train" buttons carry the trip key in data-trip-key.
+  map.getContainer().addEventListener('click', (e) => {
+    const buttonEl = e.target.closest('[data-trip-key]');
+    if (buttonEl) followTrain(buttonEl.dataset.tripKey);
+  });
+
+  // Stop following and close the panel.
+  function stopFollowing() {
+    followedTripId = null;
+    followedTripSnapshot = null;
+    followLostAt = null;
+    followLayer.clearLayers();
+    const panelEl = document.getElementById('follow-panel');
+    if (panelEl) {
+      panelEl.style.display = 'none';
+    }
+    if (followTimer) {
+      clearInterval(followTimer);
+      followTimer = null;
+    }
+  }
+  window.stopFollowing = stopFollowing;
+
+  // Lock the camera back onto the followed train.
+  function recenterFollowedTrain() {
+    followLocked = true;
+    const marker = trainMarkers[followedTripId];
+    if (marker) map.panTo(marker.getLatLng());
+    renderFollowPanel();
+  }
+  window.recenterFollowedTrain = recenterFollowedTrain;
+
+  // Helper: a trip's stop time updates in travel order, with each stop's own time.
+  function getTimelineStops(trip) {
+    return trip.updates
+      .filter(u => u.arrival || u.departure)
+      .map(u => ({ stopId: u.stopId, arrival: u.arrival, departure: u.departure, time: u.arrival || u.departure }))
+      .sort((a, b) => a.time - b.time);
+  }
+
+  // Highlight the trip's whole run on its route polyline.
+  function drawFollowedTrip() {
+    followLayer.clearLayers();
+    const trip = followedTripSnapshot;
+    if (!trip) return;
+    const coords = getTrackCoordsThroughStops(trip.routeId, getTimelineStops(trip).map(stop => stop.stopId), getTripShapeId(trip));
+    if (coords.length < 2) return;
+    const color = getRouteColor(trip.routeId);
+    followLayer.addLayer(L.polyline(coords, { color: "#fff", weight: 14, opacity: followLostAt ? 0.5 : 0.9 }));
+    followLayer.addLayer(L.polyline(coords, { color, weight: 8, opacity: followLostAt ? 0.4 : 1 }));
+    followLayer.bringToFront();
+    raiseTrainMarkers();
+  }
+
+  // Build the timeline: every stop with predicted arrival/departure, stops already passed greyed out.
+  // Countdowns are left out for a trip that is no longer in the feed.
+  function buildFollowTimelineHTML(trip, nowSec, showCountdowns) {
+    const stops = getTimelineStops(trip);
+    const nextIdx = stops.findIndex(stop => (stop.departure || stop.arrival) > nowSec);
+    return stops.map((stop, idx) => {
+      const passed = nextIdx === -1 || idx < nextIdx;
+      const stateClass = passed ? " passed" : (idx === nextIdx ? " next" : "");
+      let timesHTML = stop.arrival ? `arr ${formatClockTime(stop.arrival)}` : "";
+      if (stop.departure && stop.departure !== stop.arrival) {
+        timesHTML += `${timesHTML ? " · " : ""}dep ${formatClockTime(stop.departure)}`;
+      }
+      const countdown = passed || !showCountdowns ? "" : `<span class="follow-countdown">${getRemainingTime(stop.time)}</span>`;
+      return `
+        <div class="follow-stop${stateClass}">
+          <div><strong>${escapeHtml(getStopName(stop.stopId))}</strong>${countdown}</div>
+          <div class="follow-times">${timesHTML}</div>
+        </div>`;
+    }).join("");
+  }
+
+  function renderFollowPanel() {
+    const panelEl = document.getElementById('follow-panel');
+    if (!panelEl || !followedTripSnapshot) return;
+    const trip = followedTripSnapshot;
+    const color = getRouteColor(trip.routeId);
+    const direction = getTripDirection(trip);
+    const directionHTML = direction ? `${directionArrows[direction]} ${directionLabels[direction]}` : "";
+    let noticeHTML = "";
+    if (followLostAt) {
+      noticeHTML = `<div class="follow-notice">This trip disappeared from the feed at ${formatClockTime(followLostAt)}. The times below are the last ones received.</div>`;
+    } else if (!trainMarkers[followedTripId]) {
+      noticeHTML = `<div class="follow-notice">This train is not between two stations right now.</div>`;
+    } else if (!followLocked) {
+      noticeHTML = `<button class="follow-btn" onclick="recenterFollowedTrain()">Re-center on train</button>`;
+    }
+    panelEl.style.borderColor = color;
+    panelEl.innerHTML = `
+      <div class="popup-title" style="margin-bottom:6px; font-size:1.2em;">
+        <strong>${escapeHtml(getRouteLabel(trip.routeId))} train to ${escapeHtml(getTripHeadsign(trip))}</strong>
+      </div>
+      <div style="color:#666; margin-bottom:8px;">${directionHTML}</div>
+      ${noticeHTML}
+      <div id="follow-timeline">${buildFollowTimelineHTML(trip, currentTimeSec, !followLostAt)}</div>
+      <div class="close-btn" onclick="stopFollowing()">&times;</div>
+    `;
+  }
+
+  // Function to display the follow panel (refreshed every second like the station board).
+  function showFollowPanel() {
+    let panelEl = document.getElementById('follow-panel');
+    if (!panelEl) {
+      panelEl = document.createElement('div');
+      panelEl.id = 'follow-panel';
+      document.body.appendChild(panelEl);
+      L.DomEvent.disableClickPropagation(panelEl);
+      L.DomEvent.disableScrollPropagation(panelEl);
+    }
+    panelEl.style.display = 'block';
+    renderFollowPanel();
+    if (followTimer) clearInterval(followTimer);
+    followTimer = setInterval(renderFollowPanel, 1000);
+  }
+
+  // Called after each feed diff: pick up the new version of the trip, or notice that it is gone.
+  function updateFollowedTrip() {
+    if (!followedTripId) return;
+    const trip = feedModel.trips[followedTripId];
+    if (trip) {
+      const changed = trip !== followedTripSnapshot || followLostAt;
+      followedTripSnapshot = trip;
+      followLostAt = null;
+      if (changed) drawFollowedTrip();
+    } else if (!followLostAt) {
+      followLostAt = currentTimeSec;
+      drawFollowedTrip();
+    }
+    renderFollowPanel();
+  }
+
+  // Pan the map when the followed train drifts away from the middle of the view.
+  function keepFollowedTrainInView() {
+    const marker = trainMarkers[followedTripId];
+    if (!followLocked || followLostAt || !marker) return;
+    const size = map.getSize();
+    const point = map.latLngToContainerPoint(marker.getLatLng());
+    const offsetX = Math.abs(point.x - size.x / 2) / (size.x / 2);
+    const offsetY = Math.abs(point.y - size.y / 2) / (size.y / 2);
+    if (offsetX > FOLLOW_RECENTER_FRACTION || offsetY > FOLLOW_RECENTER_FRACTION) {
+      map.panTo(marker.getLatLng(), { animate: true, duration: 0.5 });
+    }
+  }
+
+  // Dragging the map releases the camera lock (the panel offers to re-center).
+  map.on('dragstart', () => {
+    if (followedTripId && followLocked) {
+      followLocked = false;
+      renderFollowPanel();
+    }
+  });
+  // --- End of follow a train ---
+
+  // --- Headways and bunching ---
+  // Headways are the gaps between consecutive predicted arrivals of a line in one direction at
+  // one stop. Each gap is compared with the median gap of that line and direction: well below
+  // it the trains are bunched, well above it there is a gap in service.
+  const HEADWAY_BUNCHING_RATIO = 0.5;
+  const HEADWAY_GAP_RATIO = 2;
+  const HEADWAY_REFRESH_MS = 10000;  // the map overlay is redrawn at most this often
+  const HEADWAY_BIN_SECONDS = 120;   // width of a bar in the distribution panel
+  const HEADWAY_BIN_COUNT = 10;      // the last bar collects everything above
+  const headwayColors = { normal: "#2e7d32", bunched: "#ef6c00", gap: "#c62828" };
+  let headwayMode = false;           // color route shapes and trains by headway
+  let headwayStats = null;
+  let lastHeadwayUpdate = 0;
+  let headwayLayer = L.featureGroup().addTo(map);
+
+  // Helper: median of a list of numbers (null when empty).
+  function getMedian(values) {
+    if (values.length === 0) return null;
+    const sorted = values.slice().sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  }
+
+  // Helper: 'bunched', 'gap' or 'normal' for a gap against its line's median.
+  function classifyHeadway(gap, median) {
+    if (!median) return 'normal';
+    if (gap < median * HEADWAY_BUNCHING_RATIO) return 'bunched';
+    if (gap > median * HEADWAY_GAP_RATIO) return 'gap';
+    return 'normal';
+  }
+
+  // Compute headways from feedArrivals at nowSec:
+  // {
+  //   medians: { "A|N": seconds },
+  //   stopStatus: { "A|N|A27N": status of the gap between the next two trains },
+  //   trainHeadways: { tripId: { gap, status } } (gap to the train ahead at the train's next stop),
+  //   lineHeadways: { "A|N": [gap, ...] } (one per train, for the distribution panel)
+  // }
+  function computeHeadways(nowSec) {
+    const stopGaps = {};
+    const allGaps = {};
+    Object.keys(feedArrivals).forEach(stopId => {
+      const byLine = {};
+      feedArrivals[stopId].forEach(a => {
+        if (a.arrival < nowSec || !a.direction || a.scheduleState === 'canceled' || a.scheduleState === 'notServed') return;
+        const key = `${a.line}|${a.direction}`;
+        if (!byLine[key]) byLine[key] = [];
+        byLine[key].push(a);
+      });
+      Object.keys(byLine).forEach(key => {
+        const arrivals = byLine[key].sort((a, b) => a.arrival - b.arrival);
+        const gaps = [];
+        for (let i = 1; i < arrivals.length; i++) {
+          gaps.push({ tripId: arrivals[i].tripId, gap: arrivals[i].arrival - arrivals[i - 1].arrival });
+        }
+        if (gaps.length === 0) return;
+        stopGaps[`${key}|${stopId}`] = gaps;
+        if (!allGaps[key]) allGaps[key] = [];
+        gaps.forEach(g => allGaps[key].push(g.gap));
+      });
+    });
+
+    const medians = {};
+    Object.keys(allGaps).forEach(key => { medians[key] = getMedian(allGaps[key]); });
+    const stopStatus = {};
+    Object.keys(stopGaps).forEach(stopKey => {
+      const key = stopKey.split("|").slice(0, 2).join("|");
+      stopStatus[stopKey] = classifyHeadway(stopGaps[stopKey][0].gap, medians[key]);
+    });
+
+    const trainHeadways = {};
+    const lineHeadways = {};
+    Object.values(feedModel.trips).forEach(trip => {
+      const direction = getTripDirection(trip);
+      if (!trip.tripId || !direction || trip.scheduleRelationship === "CANCELED") return;
+      const key = `${trip.routeId}|${direction}`;
+      const next = trip.updates
+        .filter(u => u.arrival >= nowSec)
+        .sort((a, b) => a.arrival - b.arrival)[0];
+      if (!next) return;
+      const found = (stopGaps[`${key}|${next.stopId}`] || []).find(g => g.tripId === trip.tripId);
+      if (!found) return;
+      trainHeadways[trip.tripId] = { gap: found.gap, status: classifyHeadway(found.gap, medians[key]) };
+      if (!lineHeadways[key]) lineHeadways[key] = [];
+      lineHeadways[key].push(found.gap);
+    });
+    return { medians, stopStatus, trainHeadways, lineHeadways };
+  }
+
+  // Helper: fill color of a train marker (its line color, or its headway status in headway mode;
+  // grey when its feed is stale).
+  function getTrainFillColor(td) {
+    if (isTripStale(td)) return staleColor;
+    if (headwayMode && headwayStats && headwayStats.trainHeadways[td.tripId]) {
+      return headwayColors[headwayStats.trainHeadways[td.tripId].status];
+    }
+    return td.trainColor;
+  }
+
+  // Draw every stop-to-stop run of the feed's trips in the color of the headway at the stop it leads to.
+  function drawHeadwayOverlay() {
+    headwayLayer.clearLayers();
+    if (!headwayMode || !headwayStats) return;
+    const drawn = new Set();
+    Object.values(feedModel.trips).forEach(trip => {
+      const direction = getTripDirection(trip);
+      if (!direction || !isLineVisible(trip.routeId)) return;
+      const stops = trip.updates.filter(u => u.arrival || u.departure);
+      for (let i = 0; i < stops.length - 1; i++) {
+        const segmentKey = `${trip.routeId}|${stops[i].stopId}|${stops[i + 1].stopId}`;
+        if (drawn.has(segmentKey)) continue;
+        drawn.add(segmentKey);
+        const status = headwayStats.stopStatus[`${trip.routeId}|${direction}|${stops[i + 1].stopId}`];
+        if (!status) continue;
+        const coords = getTrackCoordsThroughStops(trip.routeId, [stops[i].stopId, stops[i + 1].stopId], getTripShapeId(trip));
+        if (coords.length < 2) continue;
+        headwayLayer.addLayer(L.polyline(coords, {
+          color: headwayColors[status],
+          weight: getPolylineWeight(map.getZoom()) + 2,
+          opacity: 0.9,
+          interactive: false
+        }));
+      }
+    });
+    headwayLayer.bringToFront();
+    raiseTrainMarkers();
+  }
+
+  // Recompute headways and restyle the map and panel.
+  function updateHeadways() {
+    lastHeadwayUpdate = Date.now();
+    headwayStats = computeHeadways(currentTimeSec);
+    Object.values(trainMarkers).forEach(marker => {
+      marker.setStyle(getTrainMarkerStyle(marker.tripData));
+    });
+    polylineLayers.forEach(layer => {
+      layer.setStyle({ opacity: headwayMode ? 0.25 : 0.8 });
+    });
+    drawHeadwayOverlay();
+    renderHeadwayPanel();
+  }
+
+  // Called after each feed diff; the full refresh is throttled to HEADWAY_REFRESH_MS.
+  function scheduleHeadwayUpdate() {
+    if (!headwayMode && !isHeadwayPanelOpen()) return;
+    if (Date.now() - lastHeadwayUpdate >= HEADWAY_REFRESH_MS) {
+      updateHeadways();
+    }
+  }
+
+  // Turn headway coloring of the map on or off.
+  function setHeadwayMode(enabled) {
+    headwayMode = enabled;
+    updateHeadways();
+  }
+  window.setHeadwayMode = setHeadwayMode;
+
+  // Helper: the distribution of one line/direction as a row of small bars.
+  function buildHeadwayHistogramHTML(gaps) {
+    let bins = new Array(HEADWAY_BIN_COUNT).fill(0);
+    gaps.forEach(gap => {
+      bins[Math.min(HEADWAY_BIN_COUNT - 1, Math.floor(gap / HEADWAY_BIN_SECONDS))]++;
+    });
+    const max = Math.max(...bins);
+    return `<div class="headway-histogram">${bins.map((count, idx) => {
+      const from = idx * HEADWAY_BIN_SECONDS / 60;
+      const label = idx === HEADWAY_BIN_COUNT - 1 ? `${from}+ min` : `${from}-${from + HEADWAY_BIN_SECONDS / 60} min`;
+      const height = max ? Math.round(count / max * 100) : 0;
+      return `<span title="${label}: ${count}" style="height:${height}%;"></span>`;
+    }).join("")}</div>`;
+  }
+
+  function renderHeadwayPanel() {
+    const listEl = document.getElementById('headway-lines');
+    if (!listEl || !headwayStats) return;
+    const keys = Object.keys(headwayStats.lineHeadways)
+      .filter(key => isLineVisible(key.split("|")[0]))
+      .sort();
+    if (keys.length === 0) {
+      listEl.innerHTML = `<div style="color:#666;">No headways to show yet.</div>`;
+      return;
+    }
+    listEl.innerHTML = keys.map(key => {
+      const [line, direction] = key.split("|");
+      const gaps = headwayStats.lineHeadways[key];
+      const median = headwayStats.medians[key];
+      const bunched = gaps.filter(gap => classifyHeadway(gap, median) === 'bunched').length;
+      const gapCount = gaps.filter(gap => classifyHeadway(gap, median) === 'gap').length;
+      return `
+        <div class="headway-row">
+          ${buildRouteBulletHTML(line)}
+          <span class="headway-direction">${directionArrows[direction]}</span>
+          ${buildHeadwayHistogramHTML(gaps)}
+          <span class="headway-summary">
+            ${Math.round(median / 60)} min median
+            ${bunched ? `· <span style="color:${headwayColors.bunched};">${bunched} bunched</span>` : ""}
+            ${gapCount ? `· <span style="color:${headwayColors.gap};">${gapCount} gaps</span>` : ""}
+          </span>
+        </div>`;
+    }).join("");
+  }
+
+  // Helper: true when the headway panel is open.
+  function isHeadwayPanelOpen() {
+    const panelEl = document.getElementById('headway-panel');
+    return !!panelEl && panelEl.style.display === 'block';
+  }
+
+  // Build the headway button and panel.
+  function createHeadwayControls() {
+    const toggleEl = document.createElement('button');
+    toggleEl.id = 'headway-toggle';
+    toggleEl.className = 'map-button';
+    toggleEl.textContent = 'Headways';
+    getMapButtons().appendChild(toggleEl);
+
+    const panelEl = document.createElement('div');
+    panelEl.id = 'headway-panel';
+    panelEl.innerHTML = `
+      <label><input type="checkbox" id="headway-mode"> Color the map by headway</label>
+      <div class="headway-legend">
+        <span style="color:${headwayColors.normal};">&#9632; regular</span>
+        <span style="color:${headwayColors.bunched};">&#9632; bunched</span>
+        <span style="color:${headwayColors.gap};">&#9632; gap</span>
+      </div>
+      <div id="headway-lines"></div>
+    `;
+    getMapButtons().appendChild(panelEl);
+
+    toggleEl.addEventListener('click', () => {
+      panelEl.style.display = panelEl.style.display === 'block' ? 'none' : 'block';
+      if (isHeadwayPanelOpen()) updateHeadways();
+    });
+    document.getElementById('headway-mode').addEventListener('change', (e) => {
+      setHeadwayMode(e.target.checked);
+    });
+  }
+  // --- End of headways and bunching ---
+
+  // --- Prediction accuracy ---
+  // Every live refresh logs, per trip and stop, the predicted arrival whenever it changes. When the
+  // stop becomes the trip's passedStop (or drops out of the trip's updates, or the trip leaves the
+  // feed after its predicted arrival there) the train is taken as observed there, at the arrival
+  // last reported for the stop, and the log is stored in IndexedDB as one observation:
+  //   { tripId, routeId, stopId, direction, passedAt, predictions: [{ at, arrival }, ...] }
+  // Errors are measured for the prediction in effect at fixed lead times before passedAt;
+  // a positive error means the train came later than predicted (an optimistic countdown).
+  const PREDICTIONS_DB_NAME = 'nys-subway-predictions';
+  const PREDICTION_HISTORY_DAYS = 14;
+  const PREDICTION_LEAD_TIMES = [60, 120, 300, 600, 900, 1200, 1800];   // seconds before the train passed
+  let pendingPredictions = {};   // pendingPredictions[key][stopId] = observation still waiting for the train (key as in feedModel.trips)
+  let sessionObservations = [];  // observations IndexedDB could not store, kept for this session only
+  let predictionsDbPromise = null;  // the open database, shared by every transaction
+  let accuracyGroupBy = 'line';
+
+  // Open (and create on first use) the IndexedDB database holding prediction history. The
+  // connection is opened once and reused; it is opened again after it closes or fails to open.
+  function openPredictionsDb() {
+    if (predictionsDbPromise) return predictionsDbPromise;
+    predictionsDbPromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error("IndexedDB is not available"));
+        return;
+      }
+      const request = indexedDB.open(PREDICTIONS_DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore('observations', { autoIncrement: true });
+        store.createIndex('passedAt', 'passedAt');
+      };
+      request.onsuccess = () => {
+        const db = request.result;
+        // Step aside when another tab upgrades the database.
+        db.onversionchange = () => {
+          db.close();
+          predictionsDbPromise = null;
+        };
+        db.onclose = () => { predictionsDbPromise = null; };
+        resolve(db);
+      };
+      request.onerror = () => reject(request.error);
+    });
+    predictionsDbPromise.catch(() => { predictionsDbPromise = null; });
+    return predictionsDbPromise;
+  }
+
+  // Helper: run one IndexedDB transaction on the observations store and resolve with the request's result.
+  async function withObservationsStore(mode, fn) {
+    const db = await openPredictionsDb();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction('observations', mode);
+      const request = fn(tx.objectStore('observations'));
+      tx.oncomplete = () => resolve(request ? request.result : undefined);
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  // Helper: the session observations not older than PREDICTION_HISTORY_DAYS.
+  function getRecentSessionObservations() {
+    const cutoff = Date.now() / 1000 - PREDICTION_HISTORY_DAYS * 86400;
+    return sessionObservations.filter(o => o.passedAt > cutoff);
+  }
+
+  // Store an observation, or keep it in memory for this session when IndexedDB can't.
+  function saveObservation(observation) {
+    withObservationsStore('readwrite', store => store.add(observation))
+      .catch(() => {
+        sessionObservations = getRecentSessionObservations();
+        sessionObservations.push(observation);
+      });
+  }
+
+  // Load stored observations and those kept in memory, dropping those older than PREDICTION_HISTORY_DAYS.
+  async function loadObservations() {
+    const cutoff = Date.now() / 1000 - PREDICTION_HISTORY_DAYS * 86400;
+    sessionObservations = getRecentSessionObservations();
+    let stored = [];
+    try {
+      await withObservationsStore('readwrite', store => {
+        store.index('passedAt').openCursor(IDBKeyRange.upperBound(cutoff)).onsuccess = (e) => {
+          const cursor = e.target.result;
+          if (cursor) {
+            cursor.delete();
+            cursor.continue();
+          }
+        };
+      });
+      stored = await withObservationsStore('readonly', store => store.getAll());
+    } catch (e) {
+      // Only the session observations are available.
+    }
+    return stored.concat(sessionObservations);
+  }
+
+  // Forget the prediction history. Throws, keeping every observation, when IndexedDB holds it
+  // and could not be cleared.
+  async function clearObservations() {
+    if (window.indexedDB) await withObservationsStore('readwrite', store => store.clear());
+    sessionObservations = [];
+  }
+
+  // Helper: store a pending observation as passed at the arrival last reported for its stop: the
+  // passed stop's own update when the trip still lists it, else the last prediction logged.
+  function closeObservation(observation, update) {
+    const last = observation.predictions[observation.predictions.length - 1];
+    observation.passedAt = (update && (update.arrival || update.departure)) || last.arrival;
+    saveObservation(observation);
+  }
+
+  // Called after each live diff: log changed predictions and close the observations of passed stops.
+  function recordPredictions(diff) {
+    const nowSec = currentTimeSec;
+    Object.keys(diff.trips.upserts).forEach(key => {
+      const trip = feedModel.trips[key];
+      if (!trip.tripId || trip.scheduleRelationship === "CANCELED") return;
+      if (!pendingPredictions[key]) pendingPredictions[key] = {};
+      const pending = pendingPredictions[key];
+      // Stops still ahead of the train; every other stop is at or before its passedStop.
+      const upcoming = trip.updates.filter(u => u.arrival > nowSec);
+      upcoming.forEach(u => {
+        if (!pending[u.stopId]) {
+          pending[u.stopId] = {
+            tripId: trip.tripId,
+            routeId: trip.routeId,
+            stopId: u.stopId,
+            direction: getTripDirection(trip),
+            passedAt: null,
+            predictions: []
+          };
+        }
+        const predictions = pending[u.stopId].predictions;
+        if (predictions.length === 0 || predictions[predictions.length - 1].arrival !== u.arrival) {
+          predictions.push({ at: nowSec, arrival: u.arrival });
+        }
+      });
+      const upcomingStops = new Set(upcoming.map(u => u.stopId));
+      Object.keys(pending).forEach(stopId => {
+        if (upcomingStops.has(stopId)) return;
+        closeObservation(pending[stopId], trip.updates.find(u => u.stopId === stopId));
+        delete pending[stopId];
+      });
+    });
+    // Trips that left the feed passed the stops they were last predicted to have reached; the
+    // others were not seen passed.
+    diff.trips.removed.forEach(key => {
+      Object.values(pendingPredictions[key] || {}).forEach(observation => {
+        const last = observation.predictions[observation.predictions.length - 1];
+        if (last.arrival <= nowSec) closeObservation(observation, null);
+      });
+      delete pendingPredictions[key];
+    });
+  }
+
+  // Helper: the prediction that was on screen at time t, or null when there was none yet.
+  function getPredictionAt(predictions, t) {
+    let found = null;
+    predictions.forEach(p => {
+      if (p.at <= t) found = p;
+    });
+    return found;
+  }
+
+  // Flatten observations into samples: { observation, lead, predictedAt, arrival, error }.
+  function getPredictionSamples(observations) {
+    const samples = [];
+    observations.forEach(observation => {
+      PREDICTION_LEAD_TIMES.forEach(lead => {
+        const prediction = getPredictionAt(observation.predictions, observation.passedAt - lead);
+        if (!prediction) return;
+        samples.push({
+          observation,
+          lead,
+          predictedAt: prediction.at,
+          arrival: prediction.arrival,
+          error: observation.passedAt - prediction.arrival
+        });
+      });
+    });
+    return samples;
+  }
+
+  // Helper: group label of a sample for the accuracy table.
+  function getAccuracyGroup(sample) {
+    if (accuracyGroupBy === 'station') {
+      const complexId = stopsMap[sample.observation.stopId] ? getComplexId(sample.observation.stopId) : sample.observation.stopId;
+      return complexInfo[complexId] ? complexInfo[complexId].name : getStopName(sample.observation.stopId);
+    }
+    if (accuracyGroupBy === 'lead') return `${sample.lead / 60} min ahead`;
+    return sample.observation.routeId;
+  }
+
+  // Helper: "+1:20" / "-0:35" for an error in seconds.
+  function formatPredictionError(seconds) {
+    const sign = seconds < 0 ? "-" : "+";
+    const abs = Math.round(Math.abs(seconds));
+    return `${sign}${Math.floor(abs / 60)}:${String(abs % 60).padStart(2, '0')}`;
+  }
+
+  async function renderAccuracyPanel() {
+    const tableEl = document.getElementById('accuracy-table');
+    if (!tableEl) return;
+    const observations = await loadObservations();
+    const samples = getPredictionSamples(observations);
+    document.getElementById('accuracy-count').textContent =
+      `${observations.length} trains observed over the last ${PREDICTION_HISTORY_DAYS} days`;
+    if (samples.length === 0) {
+      tableEl.innerHTML = `<div style="color:#666;">No predictions have been checked yet.</div>`;
+      return;
+    }
+    const groups = {};
+    samples.forEach(sample => {
+      const group = getAccuracyGroup(sample);
+      if (!groups[group]) groups[group] = [];
+      groups[group].push(sample.error);
+    });
+    const keys = Object.keys(groups).sort((a, b) =>
+      accuracyGroupBy === 'lead' ? parseFloat(a) - parseFloat(b) : a.localeCompare(b, undefined, { numeric: true })
+    );
+    tableEl.innerHTML = `
+      <table>
+        <tr><th></th><th>Samples</th><th title="Positive: trains came later than predicted">Mean error</th><th>Median |error|</th></tr>
+        ${keys.map(key => {
+          const errors = groups[key];
+          const mean = errors.reduce((sum, e) => sum + e, 0) / errors.length;
+          const label = accuracyGroupBy === 'line'
+            ? buildRouteBulletHTML(key)
+            : escapeHtml(key);
+          return `<tr><td>${label}</td><td>${errors.length}</td><td>${formatPredictionError(mean)}</td><td>${formatPredictionError(getMedian(errors.map(Math.abs))).slice(1)}</td></tr>`;
+        }).join("")}
+      </table>`;
+  }
+
+  // Helper: quote one CSV field when needed.
+  function toCsvField(value) {
+    const text = value === null || value === undefined ? "" : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  // Helper: save a blob as a file download. The object URL is revoked only once the click has been
+  // handled, since revoking it right away cancels the download in some browsers.
+  function downloadBlob(blob, filename) {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+  }
+
+  // Download every sample as a CSV file.
+  async function exportPredictionsCsv() {
+    const samples = getPredictionSamples(await loadObservations());
+    const header = ["trip_id", "route_id", "stop_id", "station", "direction", "lead_seconds", "predicted_at", "predicted_arrival", "observed_arrival", "error_seconds"];
+    const rows = samples.map(s => [
+      s.observation.tripId, s.observation.routeId, s.observation.stopId, getStopName(s.observation.stopId),
+      s.observation.direction || "", s.lead, s.predictedAt, s.arrival, s.observation.passedAt, s.error
+    ]);
+    const csv = [header].concat(rows).map(row => row.map(toCsvField).join(",")).join("\n") + "\n";
+    downloadBlob(new Blob([csv], { type: 'text/csv' }), `subway-predictions-${new Date().toISOString().slice(0, 10)}.csv`);
+  }
+
+  // Build the accuracy button and panel.
+  function createAccuracyControls() {
+    const toggleEl = document.createElement('button');
+    toggleEl.id = 'accuracy-toggle';
+    toggleEl.className = 'map-button';
+    toggleEl.textContent = 'Accuracy';
+    getMapButtons().appendChild(toggleEl);
+
+    const panelEl = document.createElement('div');
+    panelEl.id = 'accuracy-panel';
+    panelEl.innerHTML = `
+      <div class="accuracy-actions">
+        <select id="accuracy-group">
+          <option value="line">By line</option>
+          <option value="station">By station</option>
+          <option value="lead">By lead time</option>
+        </select>
+        <button id="accuracy-export">Export CSV</button>
+        <button id="accuracy-clear">Clear</button>
+      </div>
+      <div id="accuracy-count" class="accuracy-count"></div>
+      <div id="accuracy-table"></div>
+    `;
+    getMapButtons().appendChild(panelEl);
+
+    toggleEl.addEventListener('click', () => {
+      panelEl.style.display = panelEl.style.display === 'block' ? 'none' : 'block';
+      if (panelEl.style.display === 'block') renderAccuracyPanel();
+    });
+    document.getElementById('accuracy-group').addEventListener('change', (e) => {
+      accuracyGroupBy = e.target.value;
+      renderAccuracyPanel();
+    });
+    document.getElementById('accuracy-export').addEventListener('click', exportPredictionsCsv);
+    document.getElementById('accuracy-clear').addEventListener('click', async () => {
+      try {
+        await clearObservations();
+      } catch (err) {
+        alert("Could not clear the prediction history: " + err.message);
+      }
+      renderAccuracyPanel();
+    });
+  }
+  // --- End of prediction accuracy ---
+
+  // --- Feed health ---
+  // feedWorker.js posts the health of every endpoint with each diff (see endpointHealth there).
+  // A feed is stale once its header timestamp, or its last successful fetch, is older than
+  // FEED_STALE_SECONDS; its trains and arrivals are then greyed out. Static data that failed to
+  // load (stops, route shapes) is reported there too, since the map is empty without it.
+  const FEED_STALE_SECONDS = 120;
+  const staleColor = "#9e9e9e";
+  let feedHealth = {};         // endpoint => health record from the worker
+  let staleFeeds = new Set();  // endpoints currently stale
+  let staticDataErrors = {};   // static data that failed to load ("Stops", "Route shapes") => error message
+
+  // Helper: short name of a feed endpoint, e.g. "gtfs-ace".
+  function getFeedName(endpoint) {
+    const path = decodeURIComponent(String(endpoint).split("?")[0]);
+    return path.slice(path.lastIndexOf("/") + 1) || endpoint;
+  }
+
+  // Helper: age in seconds of an endpoint's data (header timestamp, else last success), or null.
+  function getFeedAge(health) {
+    if (!health.lastSuccess) return null;
+    const dataTime = Math.min(health.headerTimestamp || health.lastSuccess, health.lastSuccess);
+    return Math.max(0, currentTimeSec - dataTime);
+  }
+
+  // Helper: 'ok', 'stale', 'error' (failing but its data is still fresh) or 'pending'.
+  function getFeedStatus(health) {
+    const age = getFeedAge(health);
+    if (age !== null && age > FEED_STALE_SECONDS) return 'stale';
+    if (health.status === 'error') return 'error';
+    return age === null ? 'pending' : 'ok';
+  }
+
+  // Helper: true when a trip (or tripData) comes from a stale feed. Recordings are never stale.
+  function isTripStale(trip) {
+    return !replayRecording && !!trip.feed && staleFeeds.has(trip.feed);
+  }
+
+  // Recompute which feeds are stale; restyle trains and redraw the panel when that changed.
+  function refreshFeedStaleness() {
+    const nextStale = new Set(Object.keys(feedHealth).filter(endpoint => getFeedStatus(feedHealth[endpoint]) === 'stale'));
+    const changed = nextStale.size !== staleFeeds.size || [...nextStale].some(endpoint => !staleFeeds.has(endpoint));
+    staleFeeds = nextStale;
+    if (changed) {
+      Object.values(trainMarkers).forEach(marker => {
+        marker.setStyle(getTrainMarkerStyle(marker.tripData));
+      });
+      rebuildFeedIndexes();
+    }
+    renderFeedHealth();
+  }
+
+  // Report static data the map could not load.
+  function reportStaticDataError(name, error) {
+    staticDataErrors[name] = (error && error.message) || String(error);
+    renderFeedHealth();
+  }
+
+  // Called with the health posted by the worker.
+  function updateFeedHealth(health) {
+    feedHealth = health;
+    refreshFeedStaleness();
+  }
+
+  // Helper: "12 s", "4 min" or "2 h" for an age in seconds.
+  function formatAge(seconds) {
+    if (seconds < 90) return `${Math.round(seconds)} s`;
+    if (seconds < 5400) return `${Math.round(seconds / 60)} min`;
+    return `${Math.round(seconds / 3600)} h`;
+  }
+
+  // Update the status pill and, when open, the detail panel.
+  function renderFeedHealth() {
+    const statusEl = document.getElementById('feed-health-status');
+    if (!statusEl) return;
+    const statuses = Object.values(feedHealth).map(getFeedStatus);
+    const stale = statuses.filter(s => s === 'stale').length;
+    const failing = statuses.filter(s => s === 'error').length;
+    const failedStatic = Object.keys(staticDataErrors);
+    let state = 'ok', label = "Live";
+    if (failedStatic.length > 0) {
+      state = 'error'; label = `${failedStatic.join(" and ")} failed to load`;
+    } else if (replayRecording) {
+      state = 'pending'; label = "Replay";
+    } else if (statuses.length === 0 || statuses.every(s => s === 'pending')) {
+      state = 'pending'; label = "Connecting";
+    } else if (stale > 0) {
+      state = 'stale'; label = `${stale} stale feed${stale > 1 ? "s" : ""}`;
+    } else if (failing > 0) {
+      state = 'error'; label = `${failing} feed${failing > 1 ? "s" : ""} failing`;
+    }
+    statusEl.className = `feed-health-${state}`;
+    statusEl.innerHTML = `<span class="feed-health-dot"></span>${label}`;
+
+    const panelEl = document.getElementById('feed-health-panel');
+    if (!panelEl || panelEl.style.display !== 'block') return;
+    const staticRows = failedStatic.map(name => `
+        <tr class="feed-health-error">
+          <td><span class="feed-health-dot"></span>${escapeHtml(name)}</td>
+          <td>${escapeHtml(staticDataErrors[name])}</td>
+          <td colspan="5">--</td>
+        </tr>`).join("");
+    const rows = Object.keys(feedHealth).sort().map(endpoint => {
+      const health = feedHealth[endpoint];
+      const status = getFeedStatus(health);
+      const age = getFeedAge(health);
+      const counts = health.counts;
+      return `
+        <tr class="feed-health-${status}">
+          <td><span class="feed-health-dot"></span>${escapeHtml(getFeedName(endpoint))}</td>
+          <td>${health.error ? escapeHtml(health.error) : status}</td>
+          <td>${age !== null ? formatAge(age) : "--"}</td>
+          <td>${health.latency !== null ? `${health.latency} ms` : "--"}</td>
+          <td>${counts.trips} / ${counts.vehicles} / ${counts.alerts}</td>
+          <td>${health.decodeErrors}</td>
+          <td>${health.nextPoll ? formatAge(Math.max(0, health.nextPoll - Date.now() / 1000)) : "--"}</td>
+        </tr>`;
+    }).join("");
+    panelEl.innerHTML = `
+      <table>
+        <tr><th>Feed</th><th>Status</th><th>Age</th><th>Latency</th><th title="Trips / vehicles / alerts">Entities</th><th>Decode errors</th><th>Next poll</th></tr>
+        ${staticRows}${rows}
+      </table>`;
+  }
+
+  // Build the status pill and its detail panel.
+  function createFeedHealthIndicator() {
+    const containerEl = document.createElement('div');
+    containerEl.id = 'feed-health';
+    containerEl.innerHTML = `
+      <div id="feed-health-panel"></div>
+      <div id="feed-health-status" class="feed-health-pending" title="Feed status"></div>
+    `;
+    document.body.appendChild(containerEl);
+    L.DomEvent.disableClickPropagation(containerEl);
+    document.getElementById('feed-health-status').addEventListener('click', () => {
+      const panelEl = document.getElementById('feed-health-panel');
+      panelEl.style.display = panelEl.style.display === 'block' ? 'none' : 'block';
+      renderFeedHealth();
+    });
+    renderFeedHealth();
+    // Feeds also go stale when the worker stops posting altogether.
+    setInterval(refreshFeedStaleness, 5000);
+  }
+  // --- End of feed health ---
+
+  // --- Feed recording and replay ---
+  // Recordings are a list of frames: { t, keyframe } holding a full copy of feedModel, or
+  // { t, diff } holding a worker diff. Every RECORDING_KEYFRAME_EVERY-th frame is a keyframe
+  // so any moment can be rebuilt without replaying the whole recording.
+  const RECORDING_KEYFRAME_EVERY = 60;
+  const RECORDINGS_DB_NAME = 'nys-subway-recordings';
+  let activeRecording = null;   // { id, name, startedAt, frames } while recording
+  let replayRecording = null;   // the recording being replayed, or null when live
+  let replayFrameIdx = -1;      // index of the frame currently applied during replay
+  let recordingsDbPromise = null;  // the open database, shared by every transaction
+
+  // Helper: compute a worker-style diff between two feed models.
+  function diffFeedModels(fromModel, toModel) {
+    const diff = {};
+    FEED_COLLECTIONS.forEach(name => {
+      const upserts = {};
+      Object.keys(toModel[name]).forEach(key => {
+        if (JSON.stringify(fromModel[name][key]) !== JSON.stringify(toModel[name][key])) {
+          upserts[key] = toModel[name][key];
+        }
+      });
+      const removed = Object.keys(fromModel[name]).filter(key => !(key in toModel[name]));
+      diff[name] = { upserts, removed };
+    });
+    return diff;
+  }
+
+  // Helper: true when a diff changes nothing.
+  function isEmptyDiff(diff) {
+    return FEED_COLLECTIONS.every(name =>
+      Object.keys(diff[name].upserts).length === 0 && diff[name].removed.length === 0
+    );
+  }
+
+  // Open (and create on first use) the IndexedDB database holding recordings. The connection is
+  // opened once and reused; it is opened again after it closes or fails to open.
+  function openRecordingsDb() {
+    if (recordingsDbPromise) return recordingsDbPromise;
+    recordingsDbPromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error("IndexedDB is not available"));
+        return;
+      }
+      const request = indexedDB.open(RECORDINGS_DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore('recordings', { keyPath: 'id' });
+        const frames = db.createObjectStore('frames', { autoIncrement: true });
+        frames.createIndex('recordingId', 'recordingId');
+      };
+      request.onsuccess = () => {
+        const db = request.result;
+        // Step aside when another tab upgrades the database.
+        db.onversionchange = () => {
+          db.close();
+          recordingsDbPromise = null;
+        };
+        db.onclose = () => { recordingsDbPromise = null; };
+        resolve(db);
+      };
+      request.onerror = () => reject(request.error);
+    });
+    recordingsDbPromise.catch(() => { recordingsDbPromise = null; });
+    return recordingsDbPromise;
+  }
+
+  // Helper: run one IndexedDB transaction and resolve with the request's result.
+  async function withRecordingsStore(storeName, mode, fn) {
+    const db = await openRecordingsDb();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      const request = fn(tx.objectStore(storeName));
+      tx.oncomplete = () => resolve(request ? request.result : undefined);
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  // Persist a frame of the active recording (recordings also live in memory for export).
+  function saveRecordingFrame(recording, frame) {
+    withRecordingsStore('frames', 'readwrite', store => store.add(Object.assign({ recordingId: recording.id }, frame)))
+      .catch(() => { /* keep recording in memory only */ });
+  }
+
+  function saveRecordingMeta(recording) {
+    const meta = { id: recording.id, name: recording.name, startedAt: recording.startedAt, endedAt: recording.endedAt || null };
+    return withRecordingsStore('recordings', 'readwrite', store => store.put(meta))
+      .catch(() => { /* keep recording in memory only */ });
+  }
+
+  // List stored recordings (metadata only), newest first.
+  async function listRecordings() {
+    try {
+      const recordings = await withRecordingsStore('recordings', 'readonly', store => store.getAll());
+      return recordings.sort((a, b) => b.startedAt - a.startedAt);
+    } catch (e) {
+      return [];
+    }
+  }
+
+  // Load a stored recording with all of its frames.
+  async function loadRecording(id) {
+    const meta = await withRecordingsStore('recordings', 'readonly', store => store.get(id));
+    const frames = await withRecordingsStore('frames', 'readonly', store => store.index('recordingId').getAll(id));
+    frames.forEach(frame => { delete frame.recordingId; });
+    return Object.assign({}, meta, { frames: frames.sort((a, b) => a.t - b.t) });
+  }
+
+  // Start recording every feed update from now on.
+  function startRecording() {
+    const startedAt = Date.now() / 1000;
+    activeRecording = {
+      id: Math.floor(startedAt * 1000),
+      name: "Recording " + new Date(startedAt * 1000).toLocaleString(),
+      startedAt,
+      frames: []
+    };
+    saveRecordingMeta(activeRecording);
+  }
+
+  // Stop recording; returns the finished recording.
+  function stopRecording() {
+    const recording = activeRecording;
+    if (recording) {
+      recording.endedAt = Date.now() / 1000;
+      saveRecordingMeta(recording);
+    }
+    activeRecording = null;
+    return recording;
+  }
+
+  // Called after each live diff is applied: append a keyframe or the diff itself.
+  function recordFeedDiff(diff) {
+    if (!activeRecording) return;
+    const t = Date.now() / 1000;
+    let frame;
+    if (activeRecording.frames.length % RECORDING_KEYFRAME_EVERY === 0) {
+      frame = { t, keyframe: JSON.parse(JSON.stringify(feedModel)) };
+    } else {
+      if (isEmptyDiff(diff)) return;
+      frame = { t, diff: {} };
+      FEED_COLLECTIONS.forEach(name => { frame.diff[name] = diff[name]; });
+    }
+    activeRecording.frames.push(frame);
+    saveRecordingFrame(activeRecording, frame);
+  }
+
+  // Download a recording as a JSON file.
+  function exportRecording(recording) {
+    const blob = new Blob([JSON.stringify({
+      version: 1,
+      name: recording.name,
+      startedAt: recording.startedAt,
+      endedAt: recording.endedAt || null,
+      frames: recording.frames
+    })], { type: 'application/json' });
+    downloadBlob(blob, `subway-recording-${recording.id || Math.floor(recording.startedAt)}.json`);
+  }
+
+  // Parse an exported recording file.
+  function parseRecordingFile(text) {
+    const data = JSON.parse(text);
+    if (!data || !Array.isArray(data.frames) || data.frames.length === 0 || !data.frames[0].keyframe) {
+      throw new Error("Not a recording file");
+    }
+    return {
+      id: null,
+      name: data.name || "Imported recording",
+      startedAt: data.startedAt,
+      endedAt: data.endedAt,
+      frames: data.frames.sort((a, b) => a.t - b.t)
+    };
+  }
+
+  // Helper: index of the last frame at or before time t (-1 when t is before the first frame).
+  function findFrameIndex(frames, t) {
+    let lo = 0, hi = frames.length - 1, found = -1;
+    while (lo <= hi) {
+      const mid = (lo + hi) >> 1;
+      if (frames[mid].t <= t) { found = mid; lo = mid + 1; } else { hi = mid - 1; }
+    }
+    return found;
+  }
+
+  // Rebuild the feed model as it was at frame idx: nearest keyframe, then the diffs after it.
+  function getRecordedModel(frames, idx) {
+    if (idx < 0) return createFeedModel();
+    let k = idx;
+    while (k > 0 && !frames[k].keyframe) k--;
+    // Recordings made before trip modifications were decoded lack those collections.
+    const model = Object.assign(createFeedModel(), frames[k].keyframe ? JSON.parse(JSON.stringify(frames[k].keyframe)) : {});
+    for (let i = k + 1; i <= idx; i++) {
+      const diff = frames[i].diff;
+      if (!diff) continue;
+      FEED_COLLECTIONS.forEach(name => {
+        if (!diff[name]) return;
+        Object.assign(model[name], diff[name].upserts);
+        diff[name].removed.forEach(key => { delete model[name][key]; });
+      });
+    }
+    return model;
+  }
+
+  // Show the recorded state at the virtual clock's current time.
+  function syncReplayFrame(force = false) {
+    if (!replayRecording) return;
+    const idx = findFrameIndex(replayRecording.frames, virtualClock.time);
+    if (!force && idx === replayFrameIdx) return;
+    const diff = diffFeedModels(feedModel, getRecordedModel(replayRecording.frames, idx));
+    replayFrameIdx = idx;
+    applyFeedDiff(diff);
+  }
+
+  // Switch from live data to a recording, paused at its first frame.
+  function startReplay(recording) {
+    if (activeRecording) stopRecording();
+    stopFeedWorker();
+    replayRecording = recording;
+    replayFrameIdx = -1;
+    virtualClock.time = recording.frames[0].t;
+    virtualClock.playing = false;
+    syncReplayFrame(true);
+    updateReplayControls();
+  }
+
+  // Leave replay and go back to live feeds.
+  function stopReplay() {
+    replayRecording = null;
+    replayFrameIdx = -1;
+    virtualClock.playing = false;
+    applyFeedDiff(diffFeedModels(feedModel, createFeedModel()));
+    startFeedWorker();
+    updateReplayControls();
+  }
+
+  // Build the recording/replay control bar.
+  function createReplayControls() {
+    const barEl = document.createElement('div');
+    barEl.id = 'replay-bar';
+    barEl.innerHTML = `
+      <div class="replay-row">
+        <button id="replay-record" title="Record live feeds">&#9679; Rec</button>
+        <button id="replay-export" title="Export the last recording">Export</button>
+        <select id="replay-select" title="Stored recordings"><option value="">Recordings…</option></select>
+        <label class="replay-file" title="Load a recording file">Load file<input id="replay-file" type="file" accept=".json,application/json"></label>
+        <button id="replay-live" title="Back to live data">Live</button>
+      </div>
+      <div class="replay-row" id="replay-transport">
+        <button id="replay-play">&#9654;</button>
+        <select id="replay-speed">
+          <option value="1">1×</option><option value="2">2×</option><option value="5">5×</option>
+          <option value="10">10×</option><option value="30">30×</option><option value="60">60×</option>
+        </select>
+        <input id="replay-scrubber" type="range" min="0" max="1" step="1" value="0">
+        <span id="replay-time"></span>
+      </div>
+    `;
+    document.body.appendChild(barEl);
+    L.DomEvent.disableClickPropagation(barEl);
+
+    let lastRecording = null;
+    document.getElementById('replay-record').addEventListener('click', () => {
+      if (replayRecording) return;
+      if (activeRecording) {
+        lastRecording = stopRecording();
+      } else {
+        startRecording();
+      }
+      updateReplayControls();
+    });
+    document.getElementById('replay-export').addEventListener('click', () => {
+      const recording = activeRecording || replayRecording || lastRecording;
+      if (recording && recording.frames.length > 0) exportRecording(recording);
+    });
+    document.getElementById('replay-select').addEventListener('focus', refreshRecordingList);
+    document.getElementById('replay-select').addEventListener('change', async (e) => {
+      const id = parseInt(e.target.value);
+      if (!id) return;
+      const recording = await loadRecording(id);
+      if (recording.frames.length > 0) startReplay(recording);
+    });
+    document.getElementById('replay-file').addEventListener('change', async (e) => {
+      const file = e.target.files[0];
+      if (!file) return;
+      try {
+        startReplay(parseRecordingFile(await file.text()));
+      } catch (err) {
+        alert("Could not load recording: " + err.message);
+      }
+      e.target.value = "";
+    });
+    document.getElementById('replay-live').addEventListener('click', () => {
+      if (replayRecording) stopReplay();
+    });
+    document.getElementById('replay-play').addEventListener('click', () => {
+      virtualClock.playing = !virtualClock.playing;
+      updateReplayControls();
+    });
+    document.getElementById('replay-speed').addEventListener('change', (e) => {
+      virtualClock.speed = parseFloat(e.target.value) || 1;
+    });
+    document.getElementById('replay-scrubber').addEventListener('input', (e) => {
+      if (!replayRecording) return;
+      virtualClock.time = parseFloat(e.target.value);
+      syncReplayFrame();
+      updateReplayControls();
+    });
+    refreshRecordingList();
+    updateReplayControls();
+  }
+
+  // Fill the stored recordings dropdown.
+  async function refreshRecordingList() {
+    const selectEl = document.getElementById('replay-select');
+    if (!selectEl) return;
+    const recordings = await listRecordings();
+    selectEl.innerHTML = `<option value="">Recordings…</option>` + recordings.map(r =>
+      `<option value="${r.id}">${escapeHtml(r.name)}</option>`
+    ).join("");
+  }
+
+  // Reflect recording/replay state in the control bar.
+  function updateReplayControls() {
+    const recordEl = document.getElementById('replay-record');
+    if (!recordEl) return;
+    recordEl.innerHTML = activeRecording ? "&#9632; Stop" : "&#9679; Rec";
+    recordEl.classList.toggle('recording', !!activeRecording);
+    document.getElementById('replay-transport').style.display = replayRecording ? 'flex' : 'none';
+    document.getElementById('replay-live').style.display = replayRecording ? 'inline-block' : 'none';
+    if (replayRecording) {
+      const frames = replayRecording.frames;
+      const scrubberEl = document.getElementById('replay-scrubber');
+      scrubberEl.min = frames[0].t;
+      scrubberEl.max = frames[frames.length - 1].t;
+      scrubberEl.value = virtualClock.time;
+      document.getElementById('replay-play').innerHTML = virtualClock.playing ? "&#10074;&#10074;" : "&#9654;";
+      document.getElementById('replay-time').textContent = new Date(virtualClock.time * 1000).toLocaleTimeString();
+    }
+  }
+  // --- End of feed recording and replay ---
+
+  // --- Asynchronous scheduling helpers ---
+  function scheduleAsync(fn) {
+    if (window.requestIdleCallback) {
+      requestIdleCallback(fn);
+    } else {
+      setTimeout(fn, 50);
+    }
+  }
+
+  let updateMarkersScheduled = false;
+  function scheduleUpdateTrainMarkerPositions() {
+    if (!updateMarkersScheduled) {
+      updateMarkersScheduled = true;
+      scheduleAsync(() => {
+        updateTrainMarkerPositions();
+        updateMarkersScheduled = false;
+      });
+    }
+  }
+
+  // Build the tripData a train marker animates with, from a trip's routeId and stop time updates.
+  // Returns null when the train is not currently between two known stops.
+  // An existing tripData can be passed back in to advance it; it keeps its key (in feedModel.trips
+  // and trainMarkers), direction, headsign and detour.
+  function buildTripData(trip, nowSec, key = trip.key) {
+    const segment = getTripSegment(trip, nowSec, stopsMap);
+    if (!segment) return null;
+    const { updates, passedStop, nextStop } = segment;
+    const scheduleState = trip.scheduleState !== undefined ? trip.scheduleState : getTripScheduleState(trip);
+    let delay = null;
+    if (scheduleState === 'scheduled') {
+      // Delay at the next stop, or at the stop just passed when the next one is not in the schedule.
+      const scheduledNext = getScheduledTime(trip, nextStop.stopId);
+      const scheduledPassed = getScheduledTime(trip, passedStop.stopId);
+      if (scheduledNext !== null) delay = nextStop.arrival - scheduledNext;
+      else if (scheduledPassed !== null) delay = passedStop.arrival - scheduledPassed;
+    }
+    return {
+      key: key,
+      tripId: trip.tripId,
+      passedCoord: [stopsMap[passedStop.stopId].lat, stopsMap[passedStop.stopId].lon],
+      nextCoord: [stopsMap[nextStop.stopId].lat, stopsMap[nextStop.stopId].lon],
+      departureTime: passedStop.arrival,
+      arrivalTime: nextStop.arrival,
+      routeId: trip.routeId,
+      shapeId: getTripShapeId(trip),
+      detour: trip.detour || null,
+      nextStationName: stopsMap[nextStop.stopId].name,
+      updates: updates,
+      passedStopId: passedStop.stopId,
+      nextStopId: nextStop.stopId,
+      direction: trip.direction !== undefined ? trip.direction : getTripDirection(trip),
+      headsign: trip.headsign !== undefined ? trip.headsign : getTripHeadsign(trip),
+      trainColor: getRouteColor(trip.routeId),
+      feed: trip.feed,
+      startDate: trip.startDate,
+      scheduleRelationship: trip.scheduleRelationship,
+      scheduleState: scheduleState,
+      delay: delay
+    };
+  }
+
+  // Helper: outline of a train marker. Late and early trains get a colored ring,
+  // trains missing from the schedule a dashed black one. Trains from stale feeds or with an
+  // uncertain position are drawn faint, possible ghost trains hollow.
+  function getTrainRingStyle(td) {
+    const stale = isTripStale(td);
+    const delayState = td.delay !== null ? classifyDelay(td.delay) : 'onTime';
+    let ring = { color: td.trainColor, weight: 3, dashArray: null };
+    if (stale) {
+      ring = { color: staleColor, weight: 3, dashArray: null };
+    } else if (td.scheduleState === 'unscheduled') {
+      ring = { color: delayColors.unscheduled, weight: 3, dashArray: "3 3" };
+    } else if (delayState !== 'onTime') {
+      ring = { color: delayColors[delayState], weight: 5, dashArray: null };
+    }
+    let opacity = stale ? 0.5 : 1;
+    let fillOpacity = stale || td.confidence === 'low' ? 0.5 : 1;
+    if (td.confidence === 'stuck') {
+      fillOpacity = 0;
+      ring.dashArray = "2 4";
+    }
+    const fade = getTrainFade(td);
+    return Object.assign(ring, { opacity: opacity * fade, fillOpacity: fillOpacity * fade });
+  }
+
+  // Helper: full style of a train marker.
+  function getTrainMarkerStyle(td) {
+    return Object.assign({ fillColor: getTrainFillColor(td) }, getTrainRingStyle(td));
+  }
+
+  // Helper: the train popup's line about the schedule, e.g. "Scheduled 8:42, expected 8:47 · 5 min late".
+  function buildTrainScheduleHTML(td) {
+    let text = "";
+    if (td.scheduleState === 'unscheduled') {
+      text = "Not in the schedule";
+    } else if (td.delay !== null) {
+      const scheduled = td.arrivalTime - td.delay;
+      text = classifyDelay(td.delay) === 'onTime'
+        ? `Scheduled ${formatClockTime(scheduled)} · on time`
+        : `Scheduled ${formatClockTime(scheduled)}, expected ${formatClockTime(td.arrivalTime)} · ${formatDelay(td.delay)}`;
+    }
+    return text ? `<div style="font-size:2em; margin-bottom:10px;">${text}</div>` : "";
+  }
+
+  // Helper: the train popup's crowding, e.g. "Standing room only (85%)", with a strip of its
+  // carriages (front first) when the feed reports them one by one. Empty when the feed says nothing.
+  function buildTrainOccupancyHTML(td) {
+    const occupancy = getTrainOccupancy(td.tripId);
+    if (!occupancy) return "";
+    const percentage = occupancy.percentage !== null && !occupancy.label.includes("%") ? ` (${occupancy.percentage}%)` : "";
+    const color = occupancy.level ? OCCUPANCY_COLORS[occupancy.level] : OCCUPANCY_UNLIT_COLOR;
+    let carriagesHTML = "";
+    if (occupancy.carriages.length > 0) {
+      const cars = occupancy.carriages.map((carriage, i) => {
+        const label = carriage.label || String(i + 1);
+        const text = carriage.occupancy ? carriage.occupancy.label : "No data";
+        const carColor = carriage.occupancy && carriage.occupancy.level ? OCCUPANCY_COLORS[carriage.occupancy.level] : OCCUPANCY_UNLIT_COLOR;
+        return `<div title="${escapeHtml(`Car ${label}: ${text}`)}" style="flex:1; background:${carColor}; color:#fff; text-align:center; padding:2px 0; border-radius:3px;">${escapeHtml(label)}</div>`;
+      }).join("");
+      carriagesHTML = `<div style="display:flex; align-items:center; gap:3px; font-size:0.6em; margin-top:6px;"><span style="color:#666; margin-right:4px;">Front</span>${cars}</div>`;
+    }
+    return `<div style="font-size:2em; margin-bottom:10px;">
+        <span style="display:inline-block; width:0.8em; height:0.8em; border-radius:2px; background:${color}; margin-right:6px;"></span>${escapeHtml(occupancy.label)}${percentage}
+        ${carriagesHTML}
+      </div>`;
+  }
+
+  // Helper: short label shown when hovering a train, e.g. "↑ 1 to Van Cortlandt Park-242 St".
+  function getTrainTooltip(td) {
+    const arrow = td.direction ? directionArrows[td.direction] + " " : "";
+    return `${arrow}${escapeHtml(getRouteLabel(td.routeId))} to ${escapeHtml(td.headsign || td.nextStationName)}`;
+  }
+
+  // Function to build the train popup content.
+  function buildTrainPopupHTML(td, nowSec) {
+    const timeStr = getRemainingTime(td.arrivalTime);
+    const sortedUpdates = td.updates;
+    let currentIdx = sortedUpdates.findIndex(u => u.arrival > nowSec) - 1;
+    if (currentIdx < 0) currentIdx = 0;
+    const startIdx = Math.max(0, currentIdx - 2);
+    const endIdx = Math.min(sortedUpdates.length - 1, currentIdx + 2);
+    let stationListHtml = '<div style="display:flex; flex-direction:column; gap:4px;">';
+    for (let i = startIdx; i <= endIdx; i++) {
+      const stopId = sortedUpdates[i].stopId;
+      const stationName = stopsMap[stopId] ? stopsMap[stopId].name : stopId;
+      if (i === currentIdx) {
+        stationListHtml += `<div style="background:#e0f7fa; padding:4px 8px; border-radius:4px; font-weight:bold; color:#00796b;">${stationName}</div>`;
+      } else {
+        stationListHtml += `<div style="padding:4px 8px;">${stationName}</div>`;
+      }
+    }
+    stationListHtml += '</div>';
+    const directionHTML = td.direction ? `${directionArrows[td.direction]} ${directionLabels[td.direction]} · ` : "";
+    return `
+      <div style="font-family: 'Arial', sans-serif; background:#fdfdfd; padding:12px; width: 450px; border-radius:8px;">
+        <div style="font-size:3em; font-weight:bold; margin-bottom:6px;">${escapeHtml(getRouteLabel(td.routeId))} train to ${escapeHtml(td.headsign || td.nextStationName)}</div>
+        <div style="font-size:2em; margin-bottom:10px;">${directionHTML}Next stop ${td.nextStationName}</div>
+        <div style="font-size:2em; margin-bottom:10px;">Arriving in ${timeStr}</div>
+        ${buildTrainScheduleHTML(td)}
+        ${buildTrainOccupancyHTML(td)}
+        ${buildTrainConfidenceHTML(td, nowSec)}
+        <div style="font-size:2em; margin-bottom:10px;">Current Stop: ${stopsMap[td.passedStopId].name}</div>
+        <div style="border-top:1px solid #ddd; margin:8px 0;"></div>
+        <div style="font-size:2em; line-height:1.4;">
+          ${stationListHtml}
+        </div>
+        <button class="follow-btn" style="font-size:2em;" data-trip-key="${escapeHtml(td.key)}">Follow this train</button>
+      </div>
+    `;
+  }
+
+  // --- Trip lifecycle ---
+  // Markers are placed by interpolating predictions, so they are only as good as the feed.
+  // For each trip we remember the stop it is heading for and the first arrival predicted there:
+  //   tripProgress[key] = { nextStopId, firstArrival, since }   (key as in feedModel.trips)
+  // A train whose arrival there has slid later by TRIP_SLIDE_SECONDS, or that is overdue at it, is
+  // drawn as uncertain; one that has also made no progress for TRIP_STUCK_SECONDS as a possible
+  // ghost (hollow). Trains that end their trip, or leave the feed heading for their last stop,
+  // fade out over TRIP_FADE_SECONDS; any other train that can no longer be placed is removed.
+  const TRIP_SLIDE_SECONDS = 120;
+  const TRIP_OVERDUE_SECONDS = 90;
+  const TRIP_STUCK_SECONDS = 900;
+  const TRIP_FADE_SECONDS = 60;
+  let tripProgress = {};
+
+  // Remember when a trip started heading for its current next stop.
+  function trackTripProgress(td) {
+    const progress = tripProgress[td.key];
+    if (!progress || progress.nextStopId !== td.nextStopId) {
+      tripProgress[td.key] = { nextStopId: td.nextStopId, firstArrival: td.arrivalTime, since: currentTimeSec };
+    }
+  }
+
+  // Helper: seconds the prediction at the train's next stop has slid since it started heading there.
+  function getPredictionSlide(td) {
+    const progress = tripProgress[td.key];
+    return progress && progress.nextStopId === td.nextStopId ? td.arrivalTime - progress.firstArrival : 0;
+  }
+
+  // Helper: 'normal', 'low' or 'stuck' confidence in a train's position at nowSec.
+  function getPositionConfidence(td, nowSec) {
+    const progress = tripProgress[td.key];
+    const sliding = getPredictionSlide(td) > TRIP_SLIDE_SECONDS;
+    if (sliding && progress && nowSec - progress.since > TRIP_STUCK_SECONDS) return 'stuck';
+    if (sliding || nowSec - td.arrivalTime > TRIP_OVERDUE_SECONDS) return 'low';
+    return 'normal';
+  }
+
+  // Helper: 1 for a visible train, down to 0 at the end of its fade-out.
+  function getTrainFade(td) {
+    if (!td.fadeStart) return 1;
+    return Math.max(0, Math.min(1, 1 - (currentTimeSec - td.fadeStart) / TRIP_FADE_SECONDS));
+  }
+
+  // Helper: true when a train is heading for the last stop of its trip.
+  function isHeadingForLastStop(td) {
+    return td.updates.length > 0 && td.updates[td.updates.length - 1].stopId === td.nextStopId;
+  }
+
+  // Helper: the popup line explaining an uncertain position, or "".
+  function buildTrainConfidenceHTML(td, nowSec) {
+    const progress = tripProgress[td.key];
+    const slideMinutes = Math.round(getPredictionSlide(td) / 60);
+    let text = "";
+    if (td.fadeStart) {
+      text = "This trip has ended";
+    } else if (td.confidence === 'stuck') {
+      text = `Possible ghost train: no progress for ${Math.round((nowSec - progress.since) / 60)} min while its arrival at ${escapeHtml(td.nextStationName)} slid ${slideMinutes} min`;
+    } else if (td.confidence === 'low') {
+      text = nowSec - td.arrivalTime > TRIP_OVERDUE_SECONDS
+        ? `Position uncertain: expected at ${escapeHtml(td.nextStationName)} ${Math.round((nowSec - td.arrivalTime) / 60)} min ago`
+        : `Position uncertain: its arrival at ${escapeHtml(td.nextStationName)} has slid ${slideMinutes} min`;
+    }
+    return text ? `<div style="font-size:2em; margin-bottom:10px; color:#c62828;">${text}</div>` : "";
+  }
+
+  // Helper: a trip with the stops its marker already passed put back in front of its updates,
+  // since feeds drop stops once a train has left them.
+  function withPassedStops(trip, td) {
+    const listed = new Set(trip.updates.map(u => u.stopId));
+    const arrivals = trip.updates.filter(u => u.arrival).map(u => u.arrival);
+    const firstArrival = arrivals.length ? Math.min(...arrivals) : Infinity;
+    const passed = td.updates.filter(u => !listed.has(u.stopId) && u.arrival < firstArrival);
+    return Object.assign({}, trip, { updates: passed.concat(trip.updates) });
+  }
+
+  // Start fading a train out; it is removed once the fade is over.
+  function fadeOutTrain(marker) {
+    if (!marker.tripData.fadeStart) {
+      marker.tripData.fadeStart = currentTimeSec;
+    }
+  }
+
+  // A trip left the feed: let a train reaching its last stop fade out, remove any other.
+  function retireTrip(key) {
+    const marker = trainMarkers[key];
+    if (marker && isHeadingForLastStop(marker.tripData) && !isTripStale(marker.tripData)) {
+      fadeOutTrain(marker);
+    } else {
+      removeTrainMarker(key);
+    }
+  }
+  // --- End of trip lifecycle ---
+
+  // --- Function to update train marker positions (throttled) ---
+  let lastTrainUpdate = 0;
+  function updateTrainMarkerPositions() {
+    const now = performance.now();
+    if (now - lastTrainUpdate < (trainRenderer ? TRAIN_FRAME_MS_CANVAS : TRAIN_FRAME_MS_SVG)) return;
+    lastTrainUpdate = now;
+    const nowSec = currentTimeSec;
+    const newRadius = getTrainTapRadius(map.getZoom());
+    const resize = newRadius !== trainMarkerRadius;
+    trainMarkerRadius = newRadius;
+    const faded = [];
+    trainMarkersLayer.eachLayer(marker => {
+      let td = marker.tripData;
+      if (resize) marker.setRadius(newRadius);
+      // Trains from stale feeds stay where they were last known.
+      if (td && isTripStale(td)) return;
+      // Move on to the next pair of stops once the train has reached its next stop.
+      if (td && nowSec >= td.arrivalTime && !td.fadeStart) {
+        const advanced = buildTripData(td, nowSec);
+        if (advanced) {
+          td = advanced;
+          marker.tripData = advanced;
+          trackTripProgress(advanced);
+          marker.setStyle(getTrainMarkerStyle(advanced));
+        } else if (isHeadingForLastStop(td)) {
+          fadeOutTrain(marker);
+        }
+      }
+      if (td && td.fadeStart) {
+        if (getTrainFade(td) === 0) {
+          faded.push(td.key);
+          return;
+        }
+        marker.setStyle(getTrainMarkerStyle(td));
+      } else if (td) {
+        const confidence = getPositionConfidence(td, nowSec);
+        if (confidence !== td.confidence) {
+          td.confidence = confidence;
+          marker.setStyle(getTrainMarkerStyle(td));
+        }
+      }
+      if (td && td.arrivalTime > td.departureTime) {
+        placeTrainMarker(marker, td, getTrainFraction(td, nowSec));
+        // Popup content is only built for the train whose popup is open.
+        if (marker.isPopupOpen()) marker.getPopup().update();
+      }
+    });
+    faded.forEach(removeTrainMarker);
+    spreadOverlappingTrains(newRadius);
+    raiseTrainMarkers();
+    if (followedTripId) {
+      keepFollowedTrainInView();
+    }
+  }
+
+  // --- Interaction and Animation Throttling ---
+  let isMapInteracting = false;
+  map.on('movestart', () => { isMapInteracting = true; });
+  map.on('moveend', () => { 
+    isMapInteracting = false; 
+    const currentZoom = map.getZoom();
+    scheduleAsync(() => {
+      polylineLayers.forEach(layer => {
+        layer.setStyle({ weight: getPolylineWeight(currentZoom) });
+      });
+      headwayLayer.eachLayer(layer => {
+        layer.setStyle({ weight: getPolylineWeight(currentZoom) + 2 });
+      });
+      detourLayer.eachLayer(layer => {
+        layer.setStyle({ weight: getPolylineWeight(currentZoom) });
+      });
+    });
+    scheduleUpdateTrainMarkerPositions();
+    writeViewState();
+  });
+
+  // Debounce helper for less critical updates
+  function debounce(func, wait) {
+    let timeout;
+    return function(...args) {
+      clearTimeout(timeout);
+      timeout = setTimeout(() => func.apply(this, args), wait);
+    };
+  }
+
+  function animate() {
+    if (!isMapInteracting) {
+      // Canvas trains are cheap enough to move in the animation frame itself.
+      if (trainRenderer) {
+        updateTrainMarkerPositions();
+      } else {
+        scheduleUpdateTrainMarkerPositions();
+      }
+    }
+    requestAnimationFrame(animate);
+  }
+  requestAnimationFrame(animate);
+
+  // --- Feed worker ---
+  // Realtime feeds are fetched and decoded in feedWorker.js, which schedules each feed on its own
+  // and posts a diff when one changed (or just the feeds' health when none did).
+  let feedWorker = null;
+  function startFeedWorker() {
+    if (!feedWorker) {
+      feedWorker = new Worker('feedWorker.js', { type: 'module' });
+      feedWorker.onmessage = (event) => {
+        // Live diffs are ignored while a recording is being replayed.
+        if (replayRecording) return;
+        if (event.data.health) updateFeedHealth(event.data.health);
+        if (event.data.type === 'diff') {
+          applyFeedDiff(event.data);
+          recordFeedDiff(event.data);
+          recordPredictions(event.data);
+        }
+      };
+    }
+    feedWorker.postMessage({
+      type: 'start',
+      endpoints: getFeedEndpoints(),
+      headers: config.headers,
+      proxied: !!config.proxy,
+      interval: config.pollInterval,
+      maxInterval: config.maxPollInterval,
+      paused: document.hidden
+    });
+  }
+
+  function stopFeedWorker() {
+    if (feedWorker) {
+      feedWorker.postMessage({ type: 'stop' });
+    }
+  }
+
+  // Stop polling while the tab is hidden; poll every feed again as soon as it is visible.
+  document.addEventListener('visibilitychange', () => {
+    if (feedWorker && !replayRecording) {
+      feedWorker.postMessage({ type: document.hidden ? 'pause' : 'resume' });
+    }
+  });
+
+  // Load the config and stops, then start the feed worker.
+  config = await loadConfig();
+  trainRenderer = createTrainRenderer();
+  await loadStops();
+  const shapesLoaded = loadRouteShapes();
+  // Stop-to-track measures need both stops and shapes; resolve them once.
+  shapesLoaded.then(buildStopMeasures);
+  createReplayControls();
+  createPlannerControls();
+  createStationSearch();
+  createLineFilterControls();
+  createHeadwayControls();
+  createAccuracyControls();
+  createFeedHealthIndicator();
+  restoreViewState();
+  window.addEventListener('hashchange', restoreViewState);
+  startFeedWorker();
+
+  // Adjust station marker sizes when zoom changes.
+  map.on('zoomend', debounce(() => {
+    const currentZoom = map.getZoom();
     if (currentZoom < 14) {
       Object.keys(markerMap).forEach(stopId => {
         if (map.hasLayer(markerMap[stopId])) {
@@ -603,18 +4125,15 @@ document.addEventListener('DOMContentLoaded', async function() {
       });
       hideFixedPopup();
     } else {
-      updateFeed();
-      Object.keys(markerMap).forEach(stopId => {
-        if (!map.hasLayer(markerMap[stopId])) {
-          markerMap[stopId].addTo(map);
-        }
-      });
+      updateStationMarkers(true);
+      Object.values(markerMap).forEach(syncStationMarkerVisibility);
     }
   }, 200));
 
   // Hide popup and unselect highlighted station when map is clicked.
   map.on('click', () => {
     hideFixedPopup();
+    hideRouteAlertsPanel();
     if (highlightedMarker) {
       const normalIcon = createSvgIcon(
         highlightedMarker.stopId,
@@ -627,268 +4146,237 @@ document.addEventListener('DOMContentLoaded', async function() {
     }
   });
 
-  // Function to fetch and process realtime feeds.
-  async function updateFeed() {
-    try {
-      const endpoints = [
-        'https://api-endpoint.mta.info/Dataservice/mtagtfsfeeds/nyct%2Fgtfs-ace',
-        'https://api-endpoint.mta.info/Dataservice/mtagtfsfeeds/nyct%2Fgtfs-g',
-        'https://api-endpoint.mta.info/Dataservice/mtagtfsfeeds/nyct%2Fgtfs-bdfm',
-        'https://api-endpoint.mta.info/Dataservice/mtagtfsfeeds/nyct%2Fgtfs-jz',
-        'https://api-endpoint.mta.info/Dataservice/mtagtfsfeeds/nyct%2Fgtfs-nqrw',
-        'https://api-endpoint.mta.info/Dataservice/mtagtfsfeeds/nyct%2Fgtfs-l',
-        'https://api-endpoint.mta.info/Dataservice/mtagtfsfeeds/nyct%2Fgtfs',
-        'https://api-endpoint.mta.info/Dataservice/mtagtfsfeeds/nyct%2Fgtfs-si'
-      ];
-      const root = await protobuf.load("gtfs-realtime.proto");
-      const FeedMessage = root.lookupType("transit_realtime.FeedMessage");
-      const feedPromises = endpoints.map(async endpoint => {
-        try {
-          const response = await fetch(endpoint);
-          if (!response.ok) {
-            return null;
-          }
-          const buffer = await response.arrayBuffer();
-          const message = FeedMessage.decode(new Uint8Array(buffer));
-          return FeedMessage.toObject(message, {
-            enums: String,
-            longs: String,
-            defaults: true,
-          });
-        } catch (e) {
-          return null;
+  // Apply a diff posted by feedWorker.js to feedModel and update the map incrementally.
+  function applyFeedDiff(diff) {
+    const previousVehicles = vehiclesByTrip;
+    FEED_COLLECTIONS.forEach(name => {
+      Object.assign(feedModel[name], diff[name].upserts);
+      diff[name].removed.forEach(key => { delete feedModel[name][key]; });
+    });
+    rebuildFeedIndexes();
+    const changed = name => Object.keys(diff[name].upserts).length > 0 || diff[name].removed.length > 0;
+    if (changed('shapes')) resetDetourPaths();
+    const alertsChanged = changed('alerts');
+    if (alertsChanged) {
+      updateRouteAlertStyles();
+    }
+    updateStationMarkers(alertsChanged);
+    if (isPlannerOpen() && Object.keys(diff.trips.upserts).length + diff.trips.removed.length > 0) {
+      runPlanner();
+    }
+
+    // --- Update train markers for trips that changed or disappeared ---
+    Object.keys(diff.trips.upserts).forEach(key => updateTrainForTrip(key, feedModel.trips[key]));
+    diff.trips.removed.forEach(retireTrip);
+    // Trains whose trip didn't change but whose vehicle did: new occupancy, maybe a new status.
+    new Set(Object.keys(previousVehicles).concat(Object.keys(vehiclesByTrip))).forEach(tripId => {
+      if (previousVehicles[tripId] === vehiclesByTrip[tripId] || diff.trips.upserts[tripId] || !trainMarkers[tripId]) return;
+      updateTrainVehicle(trainMarkers[tripId]);
+    });
+    if (changed('trips') || changed('modifications') || changed('shapes')) updateDetourLayer();
+    raiseTrainMarkers();
+    updateFollowedTrip();
+    scheduleHeadwayUpdate();
+  }
+
+  // Rebuild feedStops, feedArrivals, vehiclesByTrip and alertsMap from the normalized feed model.
+  function rebuildFeedIndexes() {
+    feedStops = {};
+    feedArrivals = {};
+    Object.values(feedModel.trips).forEach(trip => {
+      const line = trip.routeId;
+      const direction = getTripDirection(trip);
+      const headsign = getTripHeadsign(trip);
+      const scheduleState = getTripScheduleState(trip);
+      const stale = isTripStale(trip);
+      if (scheduleState === 'canceled') {
+        // Canceled trips only appear on station boards, labelled as such.
+        getCanceledArrivals(trip).forEach(a => {
+          if (!feedArrivals[a.stopId]) feedArrivals[a.stopId] = [];
+          feedArrivals[a.stopId].push({ line, arrival: a.arrival, direction, headsign: a.headsign, tripId: trip.tripId, scheduled: a.scheduled, scheduleState, stale });
+        });
+        return;
+      }
+      trip.updates.forEach(u => {
+        if (!feedStops[u.stopId]) feedStops[u.stopId] = new Set();
+        feedStops[u.stopId].add(line);
+        if (u.arrival) {
+          if (!feedArrivals[u.stopId]) feedArrivals[u.stopId] = [];
+          const scheduled = scheduleState === 'scheduled' ? getScheduledTime(trip, u.stopId) : null;
+          feedArrivals[u.stopId].push({ line, arrival: u.arrival, direction, headsign, tripId: trip.tripId, scheduled, scheduleState, stale });
         }
       });
-      const feeds = await Promise.all(feedPromises);
-      let combinedEntities = [];
-      feeds.forEach(feed => {
-        if (feed && feed.entity) {
-          combinedEntities = combinedEntities.concat(feed.entity);
+      // Stops a detour skips stay on their boards, at the time the train would have been there.
+      if (trip.detour) {
+        trip.detour.notServed.forEach(stop => {
+          const arrival = stop.arrival || getScheduledTime(trip, stop.stopId);
+          if (!arrival) return;
+          if (!feedArrivals[stop.stopId]) feedArrivals[stop.stopId] = [];
+          feedArrivals[stop.stopId].push({ line, arrival, direction, headsign, tripId: trip.tripId, scheduled: null, scheduleState: 'notServed', stale });
+        });
+      }
+    });
+    Object.values(feedModel.vehicles).forEach(vehicle => {
+      if (!vehicle.stopId) return;
+      if (!feedStops[vehicle.stopId]) feedStops[vehicle.stopId] = new Set();
+      feedStops[vehicle.stopId].add(vehicle.routeId);
+    });
+    vehiclesByTrip = getVehiclesByTrip(feedModel);
+    alertsMap = {};
+    Object.values(feedModel.alerts).forEach(collectAlert);
+  }
+
+  // Helper: lines serving each station complex, merged from every platform seen in the feed.
+  function getComplexLines() {
+    const complexLines = {};
+    Object.keys(feedStops).forEach(stopId => {
+      if (!stopsMap[stopId]) return;
+      const complexId = getComplexId(stopId);
+      if (!complexLines[complexId]) complexLines[complexId] = new Set();
+      feedStops[stopId].forEach(line => complexLines[complexId].add(line));
+    });
+    return complexLines;
+  }
+
+  // Highlight a station complex's marker and open its board in the fixed popup.
+  function selectStation(complexId) {
+    const marker = markerMap[complexId];
+    const linesSet = marker ? marker.linesSet : new Set();
+    if (highlightedMarker && highlightedMarker !== marker) {
+      const prevIcon = createSvgIcon(highlightedMarker.stopId, highlightedMarker.linesSet, getScaleForZoom(map.getZoom()), false);
+      highlightedMarker.setIcon(prevIcon);
+    }
+    highlightedMarker = marker || null;
+    if (marker) {
+      marker.setIcon(createSvgIcon(complexId, linesSet, getScaleForZoom(map.getZoom()), true));
+    }
+    const linesArray = sortRoutes(linesSet);
+    const borderColor = getRouteColor(linesArray[0]);
+    const name = complexInfo[complexId] ? complexInfo[complexId].name : complexId;
+    window.currentPopupStopId = complexId;
+    window.currentPopupLines = linesSet;
+    showFixedPopup(complexId, name, linesSet, borderColor);
+    writeViewState();
+  }
+
+  // Create or update one marker per station complex (only when zoom >= 14).
+  // Icons are redrawn when a station's lines change, or for every station when forceIcons is set.
+  function updateStationMarkers(forceIcons = false) {
+    const currentZoom = map.getZoom();
+    if (currentZoom >= 14) {
+      const scale = getScaleForZoom(currentZoom);
+      const complexLines = getComplexLines();
+      Object.keys(complexLines).forEach(complexId => {
+        if (complexInfo[complexId]) {
+          const { lat, lon } = complexInfo[complexId];
+          const linesSet = complexLines[complexId];
+          const linesKey = Array.from(linesSet).sort().join(",");
+          if (complexId === window.currentPopupStopId) {
+            window.currentPopupLines = linesSet;
+          }
+          if (markerMap[complexId]) {
+            const marker = markerMap[complexId];
+            marker.linesSet = linesSet;
+            if (forceIcons || marker.linesKey !== linesKey) {
+              marker.linesKey = linesKey;
+              let isHighlighted = (highlightedMarker && highlightedMarker.stopId === complexId);
+              marker.setIcon(createSvgIcon(complexId, linesSet, scale, isHighlighted));
+            }
+            syncStationMarkerVisibility(marker);
+          } else {
+            // A station opened before its marker existed (e.g. from the URL) is drawn highlighted.
+            const isSelected = complexId === window.currentPopupStopId && !highlightedMarker;
+            const icon = createSvgIcon(complexId, linesSet, scale, isSelected);
+            const marker = L.marker([lat, lon], { icon: icon });
+            marker.stopId = complexId;
+            marker.linesSet = linesSet;
+            marker.linesKey = linesKey;
+            marker.on('click', () => selectStation(complexId));
+            markerMap[complexId] = marker;
+            if (isSelected) highlightedMarker = marker;
+            syncStationMarkerVisibility(marker);
+          }
         }
       });
-      let feedStops = {};
-      feedTimes = {};
-      combinedEntities.forEach(entity => {
-        if (entity.tripUpdate && entity.tripUpdate.stopTimeUpdate) {
-          let line = String(entity.tripUpdate.trip && entity.tripUpdate.trip.routeId || "Unknown")
-                      .trim().toUpperCase().replace(/\s+/g, "");
-          entity.tripUpdate.stopTimeUpdate.forEach(stu => {
-            if (stu.stopId) {
-              if (!feedStops[stu.stopId]) feedStops[stu.stopId] = new Set();
-              feedStops[stu.stopId].add(line);
-              if (stu.arrival && stu.arrival.time) {
-                const arrivalEpoch = parseInt(stu.arrival.time);
-                if (!feedTimes[stu.stopId]) feedTimes[stu.stopId] = {};
-                if (!feedTimes[stu.stopId][line]) feedTimes[stu.stopId][line] = [];
-                feedTimes[stu.stopId][line].push(arrivalEpoch);
-              }
-            }
-          });
-        } else if (entity.vehicle && entity.vehicle.stopId) {
-          let line = String(entity.vehicle.trip && entity.vehicle.trip.routeId || "Unknown")
-                      .trim().toUpperCase().replace(/\s+/g, "");
-          const stopId = entity.vehicle.stopId;
-          if (!feedStops[stopId]) feedStops[stopId] = new Set();
-          feedStops[stopId].add(line);
+    } else {
+      Object.keys(markerMap).forEach(stopId => {
+        if (map.hasLayer(markerMap[stopId])) {
+          map.removeLayer(markerMap[stopId]);
         }
       });
+      hideFixedPopup();
+    }
+  }
 
-      // Update station markers if zoom >= 15.
-      const currentZoom = map.getZoom();
-      if (currentZoom >= 14) {
-        Object.keys(feedStops).forEach(stopId => {
-          if (stopsMap[stopId]) {
-            const { lat, lon, name, parent_station } = stopsMap[stopId];
-            const linesSet = feedStops[stopId];
-            const scale = getScaleForZoom(currentZoom);
-            if (markerMap[stopId]) {
-              markerMap[stopId].linesSet = linesSet;
-              let isHighlighted = (highlightedMarker && highlightedMarker.stopId === stopId);
-              markerMap[stopId].setIcon(createSvgIcon(stopId, linesSet, scale, isHighlighted));
-            } else {
-              const icon = createSvgIcon(stopId, linesSet, scale, false);
-              const marker = L.marker([lat, lon], { icon: icon }).addTo(map);
-              marker.stopId = stopId;
-              marker.linesSet = linesSet;
-              marker.on('click', () => {
-                const previousStationId = lastClickedStationId;
-                const destinationStationId = parent_station ? parent_station : stopId;
-                const clickedTrainTime = getFirstTrainTime(stopId);
-                if (destinationStationId && destinationStationId !== stopId) {
-                  const destTrainTime = getFirstTrainTime(destinationStationId);
-                }
-                if (previousStationId && previousStationId !== stopId) {
-                  const previousTrainTime = getFirstTrainTime(previousStationId);
-                }
-                lastClickedStationId = stopId;
-                if (highlightedMarker && highlightedMarker !== marker) {
-                  const prevIcon = createSvgIcon(highlightedMarker.stopId, highlightedMarker.linesSet, getScaleForZoom(map.getZoom()), false);
-                  highlightedMarker.setIcon(prevIcon);
-                }
-                highlightedMarker = marker;
-                const highlightedIcon = createSvgIcon(stopId, linesSet, getScaleForZoom(map.getZoom()), true);
-                marker.setIcon(highlightedIcon);
-                const linesArray = Array.from(linesSet).sort();
-                const borderColor = lineColors[linesArray[0]] || "#000000";
-                window.currentPopupStopId = stopId;
-                window.currentPopupLines = linesSet;
-                showFixedPopup(stopId, name, linesSet, borderColor);
-              });
-              markerMap[stopId] = marker;
-            }
-          }
-        });
+  // Create or update the train marker for one trip of the feed model, keyed like feedModel.trips
+  // (trips given only by their modified_trip have no trip_id).
+  function updateTrainForTrip(key, trip) {
+    if (trip.scheduleRelationship === "CANCELED") {
+      removeTrainMarker(key);
+      return;
+    }
+    const nowSec = currentTimeSec;
+    const marker = trainMarkers[key];
+    let tripData = buildTripData(trip, nowSec, key);
+    if (!tripData && marker) {
+      tripData = buildTripData(withPassedStops(trip, marker.tripData), nowSec, key);
+    }
+    if (!tripData) {
+      // The train can no longer be placed: fade it out if it finished its trip, else drop it.
+      const finished = trip.updates.every(u => !u.arrival || u.arrival <= nowSec);
+      if (marker && finished && isHeadingForLastStop(marker.tripData)) {
+        fadeOutTrain(marker);
       } else {
-        Object.keys(markerMap).forEach(stopId => {
-          if (map.hasLayer(markerMap[stopId])) {
-            map.removeLayer(markerMap[stopId]);
-          }
-        });
-        hideFixedPopup();
-      }
-
-      // --- Update train markers based on trip progress ---
-      currentTrainIds.clear();
-      combinedEntities.forEach(entity => {
-        if (entity.tripUpdate && entity.tripUpdate.stopTimeUpdate) {
-          const updates = entity.tripUpdate.stopTimeUpdate.filter(u => u.arrival && u.arrival.time);
-          if (updates.length < 2) return;
-          const nowSec = currentTimeSec;
-          let passedStop = null, nextStop = null;
-          updates.forEach(u => {
-            const arrivalTime = parseInt(u.arrival.time);
-            if (arrivalTime <= nowSec) {
-              if (!passedStop || arrivalTime > parseInt(passedStop.arrival.time)) {
-                passedStop = u;
-              }
-            } else {
-              if (!nextStop || arrivalTime < parseInt(nextStop.arrival.time)) {
-                nextStop = u;
-              }
-            }
-          });
-          if (passedStop && nextStop && stopsMap[passedStop.stopId] && stopsMap[nextStop.stopId]) {
-            const departureTime = parseInt(passedStop.arrival.time);
-            const arrivalTime = parseInt(nextStop.arrival.time);
-            if (arrivalTime <= departureTime) return;
-            let fraction = (nowSec - departureTime) / (arrivalTime - departureTime);
-            fraction = Math.max(0, Math.min(1, fraction));
-
-            const routeId = entity.tripUpdate.trip && entity.tripUpdate.trip.routeId 
-                              ? entity.tripUpdate.trip.routeId.toUpperCase().trim() 
-                              : "Unknown";
-            let trainCoord;
-            if (disableTurf && routeLines[routeId] && routeLines[routeId].cumDistances) {
-              const lineFeature = routeLines[routeId];
-              const latLonCoords = lineFeature.latLonCoords;
-              const cumDist = lineFeature.cumDistances;
-              const passedCoord = [stopsMap[passedStop.stopId].lat, stopsMap[passedStop.stopId].lon];
-              const nextCoord = [stopsMap[nextStop.stopId].lat, stopsMap[nextStop.stopId].lon];
-              const startDistance = getClosestDistanceOnPolyline(latLonCoords, cumDist, passedCoord);
-              const endDistance = getClosestDistanceOnPolyline(latLonCoords, cumDist, nextCoord);
-              const targetDistance = startDistance + fraction * (endDistance - startDistance);
-              trainCoord = getPointAlongPolyline(latLonCoords, cumDist, targetDistance);
-            } else if (!disableTurf && routeLines[routeId]) {
-              const line = routeLines[routeId];
-              const ptPassed = turf.point([stopsMap[passedStop.stopId].lon, stopsMap[passedStop.stopId].lat]);
-              const ptNext = turf.point([stopsMap[nextStop.stopId].lon, stopsMap[nextStop.stopId].lat]);
-              const snappedPassed = turf.nearestPointOnLine(line, ptPassed, { units: 'kilometers' });
-              const snappedNext = turf.nearestPointOnLine(line, ptNext, { units: 'kilometers' });
-              let d1 = snappedPassed.properties.location;
-              let d2 = snappedNext.properties.location;
-              if (d1 > d2) [d1, d2] = [d2, d1];
-              const dCurrent = d1 + fraction * (d2 - d1);
-              const trainPoint = turf.along(line, dCurrent, { units: 'kilometers' });
-              trainCoord = [trainPoint.geometry.coordinates[1], trainPoint.geometry.coordinates[0]];
-            } else {
-              const passedCoord = [stopsMap[passedStop.stopId].lat, stopsMap[passedStop.stopId].lon];
-              const nextCoord = [stopsMap[nextStop.stopId].lat, stopsMap[nextStop.stopId].lon];
-              trainCoord = interpolateCoords(passedCoord, nextCoord, fraction);
-            }
-            
-            const timeStr = getRemainingTime(arrivalTime);
-            const nextStationName = stopsMap[nextStop.stopId].name;
-            const tripId = entity.tripUpdate.trip && entity.tripUpdate.trip.tripId ? entity.tripUpdate.trip.tripId : null;
-            if (!tripId) return;
-            currentTrainIds.add(tripId);
-            const trainColor = lineColors[routeId] || "#0000FF";
-            let newRadius = getTrainMarkerRadius(map.getZoom());
-            // Increase clickable area on mobile devices
-            if (isMobile) {
-              newRadius *= 1.5;
-            }
-            
-            const sortedUpdates = updates.slice().sort((a, b) => parseInt(a.arrival.time) - parseInt(b.arrival.time));
-            let currentIdx = sortedUpdates.findIndex(u => parseInt(u.arrival.time) > nowSec) - 1;
-            if (currentIdx < 0) currentIdx = 0;
-            const startIdx = Math.max(0, currentIdx - 2);
-            const endIdx = Math.min(sortedUpdates.length - 1, currentIdx + 2);
-            let stationListHtml = '<div style="display:flex; flex-direction:column; gap:4px;">';
-            for (let i = startIdx; i <= endIdx; i++) {
-              const stopId = sortedUpdates[i].stopId;
-              const stationName = stopsMap[stopId] ? stopsMap[stopId].name : stopId;
-              if (i === currentIdx) {
-                stationListHtml += `<div style="background:#e0f7fa; padding:4px 8px; border-radius:4px; font-weight:bold; color:#00796b;">${stationName}</div>`;
-              } else {
-                stationListHtml += `<div style="padding:4px 8px;">${stationName}</div>`;
-              }
-            }
-            stationListHtml += '</div>';
-            
-            const popupHTML = `
-              <div style="font-family: 'Arial', sans-serif; background:#fdfdfd; padding:12px; border-radius:8px; box-shadow:0 2px 6px rgba(0,0,0,0.2);">
-                <div style="font-size:20px; font-weight:bold; margin-bottom:6px;">Train going to ${nextStationName}</div>
-                <div style="font-size:16px; margin-bottom:10px;">Arriving in ${timeStr}</div>
-                <div style="font-size:16px; margin-bottom:10px;">Current Stop: ${stopsMap[passedStop.stopId].name}</div>
-                <div style="border-top:1px solid #ddd; margin:8px 0;"></div>
-                <div style="font-size:16px; line-height:1.4;">
-                  ${stationListHtml}
-                </div>
-              </div>
-            `;
-            
-            if (trainMarkers[tripId]) {
-              trainMarkers[tripId].tripData = {
-                passedCoord: [stopsMap[passedStop.stopId].lat, stopsMap[passedStop.stopId].lon],
-                nextCoord: [stopsMap[nextStop.stopId].lat, stopsMap[nextStop.stopId].lon],
-                departureTime: departureTime,
-                arrivalTime: arrivalTime,
-                routeId: routeId,
-                nextStationName: nextStationName,
-                updates: sortedUpdates,
-                passedStopId: passedStop.stopId,
-                trainColor: trainColor
-              };
-              trainMarkers[tripId].setLatLng(trainCoord);
-              trainMarkers[tripId].setRadius(newRadius);
-              trainMarkers[tripId].setPopupContent(popupHTML);
-            } else {
-              const newMarker = L.circleMarker(trainCoord, {
-                radius: newRadius,
-                color: trainColor,
-                fillColor: trainColor,
-                fillOpacity: 1
-              }).bindPopup(popupHTML);
-              newMarker.tripData = {
-                passedCoord: [stopsMap[passedStop.stopId].lat, stopsMap[passedStop.stopId].lon],
-                nextCoord: [stopsMap[nextStop.stopId].lat, stopsMap[nextStop.stopId].lon],
-                departureTime: departureTime,
-                arrivalTime: arrivalTime,
-                routeId: routeId,
-                nextStationName: nextStationName,
-                updates: sortedUpdates,
-                passedStopId: passedStop.stopId,
-                trainColor: trainColor
-              };
-              trainMarkers[tripId] = newMarker;
-              trainMarkersLayer.addLayer(newMarker);
-            }
-          }
+        removeTrainMarker(key);
+      }
+      return;
+    }
+    trackTripProgress(tripData);
+    tripData.confidence = getPositionConfidence(tripData, nowSec);
+    const fraction = getTrainFraction(tripData, nowSec);
+    if (trainMarkers[key]) {
+      trainMarkers[key].tripData = tripData;
+      startTrainCorrection(trainMarkers[key],
+        computeTrainCoord(tripData.routeId, tripData.passedStopId, tripData.nextStopId, fraction, tripData.shapeId));
+      placeTrainMarker(trainMarkers[key], tripData, fraction);
+      trainMarkers[key].setRadius(getTrainTapRadius(map.getZoom()));
+      if (trainMarkers[key].isPopupOpen()) trainMarkers[key].getPopup().update();
+      trainMarkers[key].setTooltipContent(getTrainTooltip(tripData));
+      trainMarkers[key].setStyle(getTrainMarkerStyle(tripData));
+      trainMarkers[key].setOccupancyLevel(getTrainOccupancyLevel(tripData.tripId));
+    } else {
+      const newMarker = new TrainMarker(
+        computeTrainCoord(tripData.routeId, tripData.passedStopId, tripData.nextStopId, fraction, tripData.shapeId),
+        getTrainMarkerOptions(tripData)
+      )
+        .setHeading(computeTrainHeading(tripData.routeId, tripData.passedStopId, tripData.nextStopId, fraction, tripData.shapeId))
+        .bindPopup(layer => buildTrainPopupHTML(layer.tripData, currentTimeSec))
+        .bindTooltip(getTrainTooltip(tripData), { direction: 'top' });
+      newMarker.tripData = tripData;
+      newMarker.on('popupopen', () => {
+        selectedTripId = key;
+        writeViewState();
+      });
+      newMarker.on('popupclose', () => {
+        if (selectedTripId === key) {
+          selectedTripId = null;
+          writeViewState();
         }
-    });
-      trainMarkersLayer.bringToFront();
-    } catch (err) {
-      // Error handling omitted
+      });
+      trainMarkers[key] = newMarker;
+      syncTrainMarkerVisibility(newMarker);
+      if (key === pendingTripId) {
+        openPendingTrip(newMarker);
+      }
+    }
+  }
+
+  // Remove the marker of a trip that is no longer in the feed.
+  function removeTrainMarker(key) {
+    if (trainMarkers[key]) {
+      trainMarkersLayer.removeLayer(trainMarkers[key]);
+      delete trainMarkers[key];
     }
+    delete tripProgress[key];
   }
 });
@@ -0,0 +1,166 @@
+#!/usr/bin/env node
+// server.js
+// Local stand-in for the MTA realtime API, so the map can be developed and tested offline.
+//
+//   node server.js [--port 8080] [--dir feeds] [--step 30]
+//     Serves the map from this directory and recorded feeds on the MTA URL paths:
+//       /Dataservice/mtagtfsfeeds/nyct%2Fgtfs-ace  =>  <dir>/nyct/gtfs-ace.pb
+//     If <dir>/nyct/gtfs-ace/ is a directory of .pb files instead, they are played back
+//     in name order, advancing one file every --step seconds (and looping).
+//     Then open http://localhost:8080/?base=/Dataservice/mtagtfsfeeds/
+//
+//   node server.js capture [--dir feeds] [--api-key KEY] [--count 1] [--step 30]
+//     Downloads the live feeds into <dir>. With --count > 1, takes that many snapshots
+//     --step seconds apart into one directory per feed, ready to be played back.
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = __dirname;
+const FEED_PREFIX = '/Dataservice/mtagtfsfeeds/';
+const LIVE_BASE_URL = 'https://api-endpoint.mta.info/Dataservice/mtagtfsfeeds/';
+const FEED_PATHS = [
+  'nyct%2Fgtfs-ace',
+  'nyct%2Fgtfs-g',
+  'nyct%2Fgtfs-bdfm',
+  'nyct%2Fgtfs-jz',
+  'nyct%2Fgtfs-nqrw',
+  'nyct%2Fgtfs-l',
+  'nyct%2Fgtfs',
+  'nyct%2Fgtfs-si',
+  'camsys%2Fsubway-alerts'
+];
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json',
+  '.geojson': 'application/geo+json',
+  '.proto': 'text/plain; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.pb': 'application/x-protobuf',
+  '.zip': 'application/zip'
+};
+
+// Parse "--name value" pairs after an optional command.
+function parseArgs(argv) {
+  const options = { command: 'serve', port: 8080, dir: 'feeds', step: 30, count: 1, apiKey: process.env.MTA_API_KEY || '' };
+  let i = 0;
+  if (argv[0] && !argv[0].startsWith('--')) {
+    options.command = argv[0];
+    i = 1;
+  }
+  for (; i < argv.length; i += 2) {
+    const name = argv[i].replace(/^--/, '').replace(/-([a-z])/g, (m, c) => c.toUpperCase());
+    const value = argv[i + 1];
+    options[name] = typeof options[name] === 'number' ? Number(value) : value;
+  }
+  options.dir = path.resolve(ROOT, options.dir);
+  return options;
+}
+
+// Map a feed path ("nyct%2Fgtfs-ace") to its recording on disk: a .pb file or a directory of them.
+function getFeedFile(feedDir, feedPath, step) {
+  const relative = decodeURIComponent(feedPath);
+  const base = path.resolve(feedDir, relative);
+  if (!base.startsWith(feedDir + path.sep)) return null;
+  if (fs.existsSync(base + '.pb')) return base + '.pb';
+  if (fs.existsSync(base) && fs.statSync(base).isDirectory()) {
+    const files = fs.readdirSync(base).filter(name => name.endsWith('.pb')).sort();
+    if (files.length === 0) return null;
+    const idx = Math.floor(Date.now() / 1000 / step) % files.length;
+    return path.join(base, files[idx]);
+  }
+  return null;
+}
+
+// Send a file, or 304 Not Modified when the client already has this version of it.
+function sendFile(req, res, file) {
+  const lastModified = fs.statSync(file).mtime;
+  lastModified.setMilliseconds(0);
+  const since = Date.parse(req.headers['if-modified-since'] || '');
+  const headers = {
+    'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream',
+    'Cache-Control': 'no-cache',
+    'Last-Modified': lastModified.toUTCString()
+  };
+  if (!isNaN(since) && lastModified.getTime() <= since) {
+    res.writeHead(304, headers);
+    res.end();
+    return;
+  }
+  res.writeHead(200, headers);
+  fs.createReadStream(file).pipe(res);
+}
+
+function sendNotFound(res) {
+  res.writeHead(404, { 'Content-Type': 'text/plain' });
+  res.end('Not found');
+}
+
+function serve(options) {
+  const server = http.createServer((req, res) => {
+    // The map may be served from elsewhere and send an x-api-key header.
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Headers', '*');
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+    const urlPath = req.url.split('?')[0];
+    if (urlPath.startsWith(FEED_PREFIX)) {
+      const file = getFeedFile(options.dir, urlPath.slice(FEED_PREFIX.length), options.step);
+      file ? sendFile(req, res, file) : sendNotFound(res);
+      return;
+    }
+    const file = path.resolve(ROOT, '.' + decodeURIComponent(urlPath === '/' ? '/index.html' : urlPath));
+    if (!file.startsWith(ROOT + path.sep) || !fs.existsSync(file) || !fs.statSync(file).isFile()) {
+      sendNotFound(res);
+      return;
+    }
+    sendFile(req, res, file);
+  });
+  server.listen(options.port, () => {
+    console.log(`Serving the map and recorded feeds from ${options.dir}`);
+    console.log(`Open http://localhost:${options.port}/?base=${FEED_PREFIX}`);
+  });
+}
+
+// Download every live feed once (or --count times) into the feed directory.
+async function capture(options) {
+  for (let n = 0; n < options.count; n++) {
+    await Promise.all(FEED_PATHS.map(async feedPath => {
+      const relative = decodeURIComponent(feedPath);
+      const target = options.count > 1
+        ? path.join(options.dir, relative, String(n).padStart(4, '0') + '.pb')
+        : path.join(options.dir, relative + '.pb');
+      try {
+        const response = await fetch(LIVE_BASE_URL + feedPath, {
+          headers: options.apiKey ? { 'x-api-key': options.apiKey } : {}
+        });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, Buffer.from(await response.arrayBuffer()));
+        console.log(`Saved ${path.relative(ROOT, target)}`);
+      } catch (error) {
+        console.error(`Failed to capture ${feedPath}: ${error.message}`);
+      }
+    }));
+    if (n < options.count - 1) {
+      await new Promise(resolve => setTimeout(resolve, options.step * 1000));
+    }
+  }
+}
+
+const options = parseArgs(process.argv.slice(2));
+if (options.command === 'capture') {
+  capture(options);
+} else if (options.command === 'serve') {
+  serve(options);
+} else {
+  console.error(`Unknown command "${options.command}". Use "serve" (default) or "capture".`);
+  process.exit(1);
+}
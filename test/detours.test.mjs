@@ -0,0 +1,125 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { decodePolyline, findTripModifications, applyModificationsToUpdates, applyTripModifications } from '../lib/detours.mjs';
+import { createFeedModel, decodeFeed } from '../lib/feed.mjs';
+import { FEED_TIMESTAMP, loadSchema, loadFixtureFeed } from './fixtures/index.mjs';
+
+// A weekend reroute of the fixture's third downtown 1 train: it skips 125 St and 126 St and
+// calls at a replacement stop instead, on a shape of its own.
+const detour = {
+  id: 'detour:1',
+  selectedTrips: [{ tripIds: ['AFA25GEN-1092-Weekday-00_045000_1..S03R'], shapeId: 'detour-shape' }],
+  startTimes: [],
+  serviceDates: ['20251009'],
+  modifications: [{
+    startStop: { stopSequence: null, stopId: '125S' },
+    endStop: { stopSequence: null, stopId: '126S' },
+    replacementStops: [{ stopId: 'R125S', travelTime: 90 }],
+    alertId: 'lmm:planned_work:1'
+  }]
+};
+
+test('decodePolyline decodes the reference polyline', () => {
+  assert.deepEqual(decodePolyline('_p~iF~ps|U_ulLnnqC_mqNvxq`@'), [[38.5, -120.2], [40.7, -120.95], [43.252, -126.453]]);
+  assert.deepEqual(decodePolyline(''), []);
+});
+
+test('findTripModifications matches NYCT trip_ids to the static ones selected', async () => {
+  const { model } = await loadFixtureFeed();
+  model.modifications['detour:1'] = detour;
+  const match = findTripModifications(model, model.trips['045000_1..S03R']);
+  assert.equal(match.tripModifications, detour);
+  assert.equal(match.shapeId, 'detour-shape');
+  assert.equal(findTripModifications(model, model.trips['043650_1..S03R']), null);
+  // Another service date is not affected.
+  assert.equal(findTripModifications(model, Object.assign({}, model.trips['045000_1..S03R'], { startDate: '20251010' })), null);
+});
+
+test('applyModificationsToUpdates replaces the span and times the replacement stops', () => {
+  const updates = [
+    { stopId: '124S', arrival: 100, departure: 110 },
+    { stopId: '125S', arrival: 200, departure: 200 },
+    { stopId: '126S', arrival: 300, departure: 300 },
+    { stopId: '127S', arrival: 400, departure: 400 }
+  ];
+  const { updates: modified, notServed } = applyModificationsToUpdates(updates, detour.modifications);
+  assert.deepEqual(modified, [
+    { stopId: '124S', arrival: 100, departure: 110 },
+    { stopId: 'R125S', arrival: 190, departure: 190 },
+    { stopId: '127S', arrival: 400, departure: 400 }
+  ]);
+  assert.deepEqual(notServed, [{ stopId: '125S', arrival: 200 }, { stopId: '126S', arrival: 300 }]);
+  // Updates that already predict the modified trip are kept.
+  const again = applyModificationsToUpdates(modified, detour.modifications);
+  assert.deepEqual(again.updates, modified);
+  assert.deepEqual(again.notServed, [{ stopId: '125S', arrival: null }, { stopId: '126S', arrival: null }]);
+});
+
+test('applyModificationsToUpdates reports every stop of a span as not served', () => {
+  const replacementStops = [{ stopId: 'R125S', travelTime: 50 }];
+  const updates = [
+    { stopId: '124S', arrival: 100, departure: 100 },
+    { stopId: '125S', arrival: 200, departure: 200 },
+    { stopId: '126S', arrival: 300, departure: 300 },
+    { stopId: '127S', arrival: 400, departure: 400 }
+  ];
+  // Already replaced, with the span's stops still listed.
+  const listed = updates.concat([{ stopId: 'R125S', arrival: 450, departure: 450 }]);
+  const span = { startStop: { stopSequence: null, stopId: '125S' }, endStop: { stopSequence: null, stopId: '127S' }, replacementStops, alertId: null };
+  const replaced = applyModificationsToUpdates(listed, [span]);
+  assert.deepEqual(replaced.updates.map(u => u.stopId), ['124S', 'R125S']);
+  assert.deepEqual(replaced.notServed, [{ stopId: '125S', arrival: 200 }, { stopId: '126S', arrival: 300 }, { stopId: '127S', arrival: 400 }]);
+  // Without an end stop only the start stop is replaced.
+  const single = applyModificationsToUpdates(updates, [Object.assign({}, span, { endStop: null })]);
+  assert.deepEqual(single.updates.map(u => [u.stopId, u.arrival]), [['124S', 100], ['R125S', 150], ['126S', 300], ['127S', 400]]);
+  assert.deepEqual(single.notServed, [{ stopId: '125S', arrival: 200 }]);
+});
+
+test('applyTripModifications detours only the selected trips', async () => {
+  const { model } = await loadFixtureFeed();
+  assert.equal(applyTripModifications(model), model);
+  model.modifications['detour:1'] = detour;
+  const detoured = applyTripModifications(model);
+  const trip = detoured.trips['045000_1..S03R'];
+  assert.deepEqual(trip.updates.map(u => u.stopId), ['123S', '124S', 'R125S', '127S', '142S']);
+  assert.equal(trip.updates[2].arrival, FEED_TIMESTAMP + 480 + 90);
+  assert.deepEqual(trip.detour, {
+    modificationsId: 'detour:1',
+    shapeId: 'detour-shape',
+    notServed: [{ stopId: '125S', arrival: FEED_TIMESTAMP + 560 }, { stopId: '126S', arrival: FEED_TIMESTAMP + 640 }],
+    alertIds: ['lmm:planned_work:1']
+  });
+  assert.equal(detoured.trips['043650_1..S03R'], model.trips['043650_1..S03R']);
+  assert.equal(model.trips['045000_1..S03R'].detour, undefined);
+  assert.deepEqual(Object.keys(createFeedModel()), Object.keys(detoured));
+});
+
+test('trips given only by their modified_trip are detoured too', async () => {
+  const schema = await loadSchema();
+  const bytes = schema.FeedMessage.encode(schema.FeedMessage.fromObject({
+    header: { gtfsRealtimeVersion: '2.0', timestamp: FEED_TIMESTAMP },
+    entity: [{
+      id: 'modified:1',
+      tripUpdate: {
+        trip: { modifiedTrip: { modificationsId: 'detour:1', affectedTripId: 'AFA25GEN-1092-Weekday-00_045000_1..S03R', startDate: '20251009' } },
+        stopTimeUpdate: [
+          { stopId: '124S', arrival: { time: FEED_TIMESTAMP + 480 } },
+          { stopId: '125S', arrival: { time: FEED_TIMESTAMP + 560 } },
+          { stopId: '126S', arrival: { time: FEED_TIMESTAMP + 640 } },
+          { stopId: '127S', arrival: { time: FEED_TIMESTAMP + 700 } }
+        ]
+      }
+    }]
+  })).finish();
+  const { model } = decodeFeed(schema, bytes);
+  const key = 'detour:1:AFA25GEN-1092-Weekday-00_045000_1..S03R';
+  assert.deepEqual(Object.keys(model.trips), [key]);
+  assert.equal(model.trips[key].tripId, null);
+  assert.equal(model.trips[key].routeId, '1');
+  assert.equal(model.trips[key].startDate, '20251009');
+  model.modifications['detour:1'] = detour;
+  const trip = applyTripModifications(model).trips[key];
+  assert.deepEqual(trip.updates.map(u => u.stopId), ['124S', 'R125S', '127S']);
+  assert.equal(trip.detour.modificationsId, 'detour:1');
+  assert.equal(trip.detour.shapeId, 'detour-shape');
+});
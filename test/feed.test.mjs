@@ -0,0 +1,111 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readHeaderTimestamp, decodeFeed, mergeFeedModels, getVehiclesByTrip } from '../lib/feed.mjs';
+import { FEED_TIMESTAMP, loadSchema, readFixtureFeed, loadFixtureFeed } from './fixtures/index.mjs';
+
+test('readHeaderTimestamp reads the header without decoding the feed', async () => {
+  assert.equal(readHeaderTimestamp(await loadSchema(), readFixtureFeed()), FEED_TIMESTAMP);
+});
+
+test('decodeFeed normalizes trips, vehicles and alerts', async () => {
+  const { timestamp, model } = await loadFixtureFeed();
+  assert.equal(timestamp, FEED_TIMESTAMP);
+  assert.deepEqual(Object.keys(model.trips).sort(), ['043650_1..S03R', '044100_1..N03R', '045000_1..S03R']);
+  const trip = model.trips['043650_1..S03R'];
+  assert.equal(trip.routeId, '1');
+  assert.equal(trip.startDate, '20251009');
+  assert.equal(trip.scheduleRelationship, 'SCHEDULED');
+  assert.deepEqual(trip.updates[0], { stopId: '124S', arrival: FEED_TIMESTAMP - 60, departure: FEED_TIMESTAMP - 60 });
+  assert.deepEqual(model.vehicles['000001'], {
+    tripId: '043650_1..S03R', routeId: '1', stopId: '125S', currentStatus: 'IN_TRANSIT_TO', timestamp: FEED_TIMESTAMP - 20,
+    occupancyStatus: null, occupancyPercentage: null, carriages: []
+  });
+  const alert = model.alerts['lmm:planned_work:1'];
+  assert.equal(alert.header, 'Downtown 1 trains run express from 96 St to Chambers St');
+  assert.deepEqual(alert.informedEntity, [{ routeId: '1', stopId: null }]);
+});
+
+test('decodeFeed rejects bytes that are not a feed', async () => {
+  const schema = await loadSchema();
+  assert.throws(() => decodeFeed(schema, new Uint8Array([0x0a, 0xff, 0xff, 0xff])));
+});
+
+test('mergeFeedModels lets later feeds win', () => {
+  const merged = mergeFeedModels([
+    { trips: { a: 1 }, vehicles: {}, alerts: { x: 1 } },
+    { trips: { a: 2, b: 3 }, vehicles: { v: 1 }, alerts: {} }
+  ]);
+  assert.deepEqual(merged, { trips: { a: 2, b: 3 }, vehicles: { v: 1 }, alerts: { x: 1 }, modifications: {}, shapes: {} });
+});
+
+test('decodeFeed normalizes trip modifications and shapes', async () => {
+  const schema = await loadSchema();
+  const bytes = schema.FeedMessage.encode(schema.FeedMessage.fromObject({
+    header: { gtfsRealtimeVersion: '2.0', timestamp: FEED_TIMESTAMP },
+    entity: [
+      {
+        id: 'detour:1',
+        tripModifications: {
+          selectedTrips: [{ tripIds: ['AFA25GEN-1092-Weekday-00_045000_1..S03R'], shapeId: 'detour-shape' }],
+          serviceDates: ['20251009'],
+          modifications: [{
+            startStopSelector: { stopId: '125S' },
+            endStopSelector: { stopId: '126S' },
+            replacementStops: [{ stopId: '125S', travelTimeToStop: 80 }],
+            serviceAlertId: 'lmm:planned_work:1'
+          }]
+        }
+      },
+      { id: 'shape:1', shape: { shapeId: 'detour-shape', encodedPolyline: '_p~iF~ps|U_ulLnnqC' } }
+    ]
+  })).finish();
+  const { model } = decodeFeed(schema, bytes);
+  assert.deepEqual(model.modifications['detour:1'], {
+    id: 'detour:1',
+    selectedTrips: [{ tripIds: ['AFA25GEN-1092-Weekday-00_045000_1..S03R'], shapeId: 'detour-shape' }],
+    startTimes: [],
+    serviceDates: ['20251009'],
+    modifications: [{
+      startStop: { stopSequence: null, stopId: '125S' },
+      endStop: { stopSequence: null, stopId: '126S' },
+      replacementStops: [{ stopId: '125S', travelTime: 80 }],
+      alertId: 'lmm:planned_work:1'
+    }]
+  });
+  assert.deepEqual(model.shapes['detour-shape'], { shapeId: 'detour-shape', coords: [[38.5, -120.2], [40.7, -120.95]] });
+});
+
+test('decodeFeed keeps the occupancy a vehicle reports, and only that', async () => {
+  const schema = await loadSchema();
+  const carriage = (sequence, occupancyStatus, occupancyPercentage) => ({ id: 'car' + sequence, label: String(sequence), carriageSequence: sequence, occupancyStatus, occupancyPercentage });
+  const bytes = schema.FeedMessage.encode(schema.FeedMessage.fromObject({
+    header: { gtfsRealtimeVersion: '2.0', timestamp: FEED_TIMESTAMP },
+    entity: [
+      {
+        id: 'v1',
+        vehicle: {
+          trip: { tripId: '043650_1..S03R', routeId: '1' },
+          stopId: '125S',
+          occupancyStatus: 'STANDING_ROOM_ONLY',
+          occupancyPercentage: 85,
+          multiCarriageDetails: [carriage(1, 'FEW_SEATS_AVAILABLE', 60), carriage(2, 'NO_DATA_AVAILABLE', -1), carriage(3, 'EMPTY')]
+        }
+      },
+      { id: 'v2', vehicle: { trip: { tripId: '044100_1..N03R' }, multiCarriageDetails: [carriage(1, 'FULL'), carriage(3, 'FULL')] } }
+    ]
+  })).finish();
+  const { model } = decodeFeed(schema, bytes);
+  const vehicle = model.vehicles.v1;
+  assert.equal(vehicle.currentStatus, null);
+  assert.equal(vehicle.occupancyStatus, 'STANDING_ROOM_ONLY');
+  assert.equal(vehicle.occupancyPercentage, 85);
+  assert.deepEqual(vehicle.carriages, [
+    { id: 'car1', label: '1', occupancyStatus: 'FEW_SEATS_AVAILABLE', occupancyPercentage: 60 },
+    { id: 'car2', label: '2', occupancyStatus: null, occupancyPercentage: null },
+    { id: 'car3', label: '3', occupancyStatus: 'EMPTY', occupancyPercentage: null }
+  ]);
+  // Carriages out of sequence are dropped, and an absent occupancy_status is not EMPTY.
+  assert.equal(model.vehicles.v2.occupancyStatus, null);
+  assert.deepEqual(model.vehicles.v2.carriages, []);
+  assert.equal(getVehiclesByTrip(model)['043650_1..S03R'], vehicle);
+});
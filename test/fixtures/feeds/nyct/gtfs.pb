@@ -0,0 +1,19 @@
+
+
+1.0
+043650_1..S03R
+'
+043650_1..S03R07:16:3020251009*1"124S"125S"126S"127S"128S"142S
+044100_1..N03R
+'
+044100_1..N03R07:21:0020251009*1"128N"127N"126N"125N"124N"123N"101N
+045000_1..S03R
+'
+045000_1..S03R07:30:0020251009*1"123S"124S"125S"126S"127S"142S7
+000001"-
+
+043650_1..S03R20251009*1 (:125Sj
+lmm:planned_work:1*T
+ӝ*1R?
+=
+7Downtown 1 trains run express from 96 St to Chambers Sten
\ No newline at end of file
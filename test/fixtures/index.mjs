@@ -0,0 +1,35 @@
+// test/fixtures/index.mjs
+// Paths to the recorded fixtures and helpers to load them (see build-fixtures.mjs).
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { fileURLToPath } from 'url';
+import protobuf from 'protobufjs';
+import { loadFeedSchema, decodeFeed } from '../../lib/feed.mjs';
+import { loadStops } from '../../lib/stops.mjs';
+
+const require = createRequire(import.meta.url);
+const GtfsStatic = require('../../gtfsStatic.js');
+
+const DIR = path.dirname(fileURLToPath(import.meta.url));
+export const ROOT = path.join(DIR, '..', '..');
+export const FEED_PATH = path.join(DIR, 'feeds', 'nyct', 'gtfs.pb');
+export const GTFS_DIR = path.join(DIR, 'gtfs');
+export const FEED_TIMESTAMP = 1760000000;
+
+export function loadSchema() {
+  return loadFeedSchema(protobuf, path.join(ROOT, 'gtfs-realtime.proto'));
+}
+
+export function readFixtureFeed() {
+  return new Uint8Array(fs.readFileSync(FEED_PATH));
+}
+
+// The fixture feed decoded: { timestamp, model }.
+export async function loadFixtureFeed() {
+  return decodeFeed(await loadSchema(), readFixtureFeed());
+}
+
+export function loadFixtureStops() {
+  return loadStops(GtfsStatic, GTFS_DIR);
+}
@@ -0,0 +1,35 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { getDistance, computeCumulativeDistances, getPointAlongPolyline, getClosestDistanceOnPolyline, getBearing } from '../lib/geometry.mjs';
+
+// Three points due north of each other on a meridian, about 1.11 km apart.
+const line = [[40.70, -74.0], [40.71, -74.0], [40.72, -74.0]];
+
+test('getDistance measures along the great circle', () => {
+  assert.ok(Math.abs(getDistance(line[0], line[1]) - 1112) < 1);
+  assert.equal(getDistance(line[0], line[0]), 0);
+});
+
+test('getPointAlongPolyline interpolates within a segment and clamps to the ends', () => {
+  const cumDist = computeCumulativeDistances(line);
+  assert.equal(cumDist.length, 3);
+  const middle = getPointAlongPolyline(line, cumDist, cumDist[1] + (cumDist[2] - cumDist[1]) / 2);
+  assert.ok(Math.abs(middle[0] - 40.715) < 1e-9);
+  assert.equal(middle[1], -74.0);
+  assert.deepEqual(getPointAlongPolyline(line, cumDist, -5), line[0]);
+  assert.deepEqual(getPointAlongPolyline(line, cumDist, cumDist[2] + 5), line[2]);
+});
+
+test('getClosestDistanceOnPolyline projects a point onto the line', () => {
+  const cumDist = computeCumulativeDistances(line);
+  const measure = getClosestDistanceOnPolyline(line, cumDist, [40.705, -73.999]);
+  assert.ok(Math.abs(measure - cumDist[1] / 2) < 1);
+});
+
+test('getBearing is measured clockwise from north', () => {
+  assert.ok(Math.abs(getBearing(line[0], line[1])) < 1e-9);
+  assert.ok(Math.abs(getBearing(line[1], line[0]) - 180) < 1e-9);
+  assert.ok(Math.abs(getBearing([40.7, -74.0], [40.7, -73.99]) - 90) < 0.01);
+  assert.ok(Math.abs(getBearing([40.7, -74.0], [40.7, -74.01]) - 270) < 0.01);
+  assert.equal(getBearing(line[0], line[0]), null);
+});
@@ -0,0 +1,31 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { describeOccupancy, getVehicleOccupancy } from '../lib/occupancy.mjs';
+
+test('describeOccupancy prefers the status and falls back to the percentage', () => {
+  assert.deepEqual(describeOccupancy({ occupancyStatus: 'STANDING_ROOM_ONLY', occupancyPercentage: 85 }),
+    { level: 3, label: 'Standing room only', percentage: 85 });
+  assert.deepEqual(describeOccupancy({ occupancyStatus: null, occupancyPercentage: 30 }), { level: 1, label: '30% full', percentage: 30 });
+  assert.deepEqual(describeOccupancy({ occupancyStatus: null, occupancyPercentage: 120 }), { level: 4, label: '120% full', percentage: 120 });
+  assert.equal(describeOccupancy({ occupancyStatus: 'NOT_BOARDABLE', occupancyPercentage: null }).level, null);
+  assert.equal(describeOccupancy({ occupancyStatus: null, occupancyPercentage: null }), null);
+});
+
+test('getVehicleOccupancy falls back to the fullest carriage', () => {
+  const carriages = [
+    { label: '1', occupancyStatus: 'MANY_SEATS_AVAILABLE', occupancyPercentage: null },
+    { label: '2', occupancyStatus: null, occupancyPercentage: null },
+    { label: '3', occupancyStatus: 'CRUSHED_STANDING_ROOM_ONLY', occupancyPercentage: null }
+  ];
+  const occupancy = getVehicleOccupancy({ occupancyStatus: null, occupancyPercentage: null, carriages });
+  assert.equal(occupancy.level, 4);
+  assert.equal(occupancy.label, 'Crushed standing room only');
+  assert.deepEqual(occupancy.carriages.map(c => c.occupancy && c.occupancy.level), [1, null, 4]);
+});
+
+test('vehicles without occupancy data have none', () => {
+  assert.equal(getVehicleOccupancy(null), null);
+  assert.equal(getVehicleOccupancy({ occupancyStatus: null, occupancyPercentage: null, carriages: [] }), null);
+  const occupancy = getVehicleOccupancy({ occupancyStatus: 'FULL', occupancyPercentage: null, carriages: [] });
+  assert.deepEqual(occupancy, { level: 4, label: 'Full', percentage: null, carriages: [] });
+});
@@ -0,0 +1,56 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { getTripProgress, getTripSegment, estimateTrainPosition, correctFractionForVehicle } from '../lib/position.mjs';
+import { FEED_TIMESTAMP, loadFixtureFeed, loadFixtureStops } from './fixtures/index.mjs';
+
+test('getTripProgress finds the last passed and the next stop', async () => {
+  const { model } = await loadFixtureFeed();
+  const { passedStop, nextStop } = getTripProgress(model.trips['044100_1..N03R'].updates, FEED_TIMESTAMP);
+  assert.equal(passedStop.stopId, '127N');
+  assert.equal(nextStop.stopId, '126N');
+});
+
+test('estimateTrainPosition interpolates between the two stops', async () => {
+  const { model } = await loadFixtureFeed();
+  const { stopsMap } = await loadFixtureStops();
+  const position = estimateTrainPosition(model.trips['043650_1..S03R'], FEED_TIMESTAMP, stopsMap);
+  assert.equal(position.passedStop.stopId, '124S');
+  assert.equal(position.nextStop.stopId, '125S');
+  assert.ok(Math.abs(position.fraction - 2 / 3) < 1e-9);
+  const [lat, lon] = position.coord;
+  assert.ok(lat < stopsMap['124S'].lat && lat > stopsMap['125S'].lat);
+  assert.ok(Math.abs(lat - (40.77344 + (40.768247 - 40.77344) * 2 / 3)) < 1e-9);
+  assert.ok(lon < -73.98);
+});
+
+test('trains that have not started or have finished have no position', async () => {
+  const { model } = await loadFixtureFeed();
+  const { stopsMap } = await loadFixtureStops();
+  assert.equal(getTripSegment(model.trips['045000_1..S03R'], FEED_TIMESTAMP, stopsMap), null);
+  assert.equal(estimateTrainPosition(model.trips['043650_1..S03R'], FEED_TIMESTAMP + 1300, stopsMap), null);
+});
+
+test('stops missing from stops.txt leave the train unplaced', async () => {
+  const trip = { tripId: 't', routeId: '1', updates: [
+    { stopId: '124S', arrival: 100 }, { stopId: 'X99S', arrival: 200 }
+  ] };
+  const { stopsMap } = await loadFixtureStops();
+  assert.equal(estimateTrainPosition(trip, 150, stopsMap), null);
+});
+
+test('a reported current_status corrects the interpolated fraction', async () => {
+  const { model } = await loadFixtureFeed();
+  const { stopsMap } = await loadFixtureStops();
+  const trip = model.trips['043650_1..S03R'];
+  const vehicle = model.vehicles['000001'];
+  // In transit to the next stop, as predicted.
+  assert.ok(Math.abs(estimateTrainPosition(trip, FEED_TIMESTAMP, stopsMap, vehicle).fraction - 2 / 3) < 1e-9);
+  const stopped = Object.assign({}, vehicle, { currentStatus: 'STOPPED_AT' });
+  assert.equal(estimateTrainPosition(trip, FEED_TIMESTAMP, stopsMap, stopped).fraction, 1);
+  assert.equal(estimateTrainPosition(trip, FEED_TIMESTAMP, stopsMap, Object.assign({}, stopped, { stopId: '124S' })).fraction, 0);
+  assert.equal(correctFractionForVehicle(0.5, '124S', '125S', Object.assign({}, vehicle, { currentStatus: 'INCOMING_AT' }), FEED_TIMESTAMP), 0.9);
+  // Outdated reports and reports from elsewhere are ignored.
+  assert.equal(correctFractionForVehicle(0.5, '124S', '125S', stopped, FEED_TIMESTAMP + 600), 0.5);
+  assert.equal(correctFractionForVehicle(0.5, '124S', '125S', Object.assign({}, stopped, { stopId: '127S' }), FEED_TIMESTAMP), 0.5);
+  assert.equal(correctFractionForVehicle(0.5, '124S', '125S', null, FEED_TIMESTAMP), 0.5);
+});
@@ -0,0 +1,48 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveRouteId, createRouteRegistry, getRoute, applyGtfsRoutes, compareRoutes, UNKNOWN_ROUTE_COLOR } from '../lib/routes.mjs';
+
+test('resolveRouteId normalizes spellings from feeds, GTFS static and shapes', () => {
+  assert.equal(resolveRouteId(' 6x '), '6X');
+  assert.equal(resolveRouteId('Air'), 'AIR');
+  assert.equal(resolveRouteId('S'), 'GS');
+  assert.equal(resolveRouteId('SIR'), 'SI');
+  assert.equal(resolveRouteId('f s'), 'FS');
+});
+
+test('resolveRouteId trims and upper-cases route ids before resolving aliases', () => {
+  assert.equal(resolveRouteId('6x'), '6X');
+  assert.equal(resolveRouteId('\t a \n'), 'A');
+  assert.equal(resolveRouteId(' s '), 'GS');
+  assert.equal(getRoute(createRouteRegistry(), ' 6x ').id, '6X');
+});
+
+test('express variants and shuttles have their own bullet, colour and shapes', () => {
+  const registry = createRouteRegistry();
+  assert.deepEqual(
+    Object.assign({}, getRoute(registry, '6X')),
+    { id: '6X', bullet: '6', color: '#00933C', express: true, textColor: '#FFFFFF', shapes: ['6'], known: true }
+  );
+  assert.equal(getRoute(registry, 'GS').bullet, 'S');
+  assert.equal(getRoute(registry, 'H').color, '#808183');
+  assert.deepEqual(getRoute(registry, 'W').shapes, ['N', 'R']);
+  assert.equal(getRoute(registry, 'N').textColor, '#000000');
+});
+
+test('unknown routes are added with a fallback colour', () => {
+  const registry = createRouteRegistry();
+  const route = getRoute(registry, 'qq');
+  assert.equal(route.id, 'QQ');
+  assert.equal(route.bullet, 'QQ');
+  assert.equal(route.color, UNKNOWN_ROUTE_COLOR);
+  assert.equal(route.known, false);
+  assert.equal(getRoute(registry, 'QQ'), route);
+});
+
+test('routes.txt colours replace the built-in ones and routes sort in bullet order', () => {
+  const registry = createRouteRegistry();
+  applyGtfsRoutes(registry, { SI: { id: 'SI', color: '#0039A6', textColor: null } });
+  assert.equal(getRoute(registry, 'SI').color, '#0039A6');
+  assert.deepEqual(['L', 'GS', '6X', 'A', '6', 'X9'].sort((a, b) => compareRoutes(registry, a, b)), ['6', '6X', 'GS', 'A', 'L', 'X9']);
+  assert.equal(createRouteRegistry().routes.SI.color, '#6CBE45');
+});
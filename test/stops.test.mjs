@@ -0,0 +1,25 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { findStations, getStationStops, getStopDirection } from '../lib/stops.mjs';
+import { loadFixtureStops } from './fixtures/index.mjs';
+
+test('loadStops reads stops.txt into stopsMap and stationChildren', async () => {
+  const { stopsMap, stationChildren } = await loadFixtureStops();
+  assert.deepEqual(stopsMap['127N'], { lat: 40.75529, lon: -73.987495, name: 'Times Sq-42 St', parent_station: '127' });
+  assert.deepEqual(getStationStops(stationChildren, '127').sort(), ['127', '127N', '127S']);
+});
+
+test('findStations matches stop_ids, exact names and parts of names', async () => {
+  const { stopsMap } = await loadFixtureStops();
+  assert.deepEqual(findStations(stopsMap, '125S'), ['125']);
+  assert.deepEqual(findStations(stopsMap, 'times sq-42 st'), ['127']);
+  assert.deepEqual(findStations(stopsMap, 'Lincoln'), ['124']);
+  assert.deepEqual(findStations(stopsMap, '2 St'), ['123', '127', '101']);
+  assert.deepEqual(findStations(stopsMap, 'Grand Central'), []);
+});
+
+test('getStopDirection reads the platform suffix', () => {
+  assert.equal(getStopDirection('127N'), 'N');
+  assert.equal(getStopDirection('127S'), 'S');
+  assert.equal(getStopDirection('127'), null);
+});
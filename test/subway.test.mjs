@@ -0,0 +1,51 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import path from 'path';
+import { promisify } from 'util';
+import { ROOT, FEED_PATH, GTFS_DIR, FEED_TIMESTAMP } from './fixtures/index.mjs';
+
+const run = promisify(execFile);
+const SUBWAY = path.join(ROOT, 'bin', 'subway.mjs');
+
+function subway(...args) {
+  return run(process.execPath, [SUBWAY, ...args, '--feed', FEED_PATH, '--gtfs', GTFS_DIR]);
+}
+
+test('subway arrivals lists the next trains by direction at the recorded time', async () => {
+  const { stdout } = await subway('arrivals', '59 St-Columbus Circle');
+  assert.deepEqual(stdout.trim().split('\n'), [
+    '59 St-Columbus Circle (125) at 4:53:20 AM',
+    'Uptown',
+    '  1  Van Cortlandt Park-242 St  2 min 50 sec',
+    'Downtown',
+    '  1  South Ferry                0 min 30 sec',
+    '  1  South Ferry                9 min 20 sec'
+  ]);
+});
+
+test('subway arrivals takes a stop_id, --at and --limit', async () => {
+  const { stdout } = await subway('arrivals', '124N', '--at', String(FEED_TIMESTAMP + 100), '--limit', '1');
+  assert.match(stdout, /^66 St-Lincoln Center \(124\) at 4:55:00 AM\n/);
+  assert.match(stdout, /Uptown\n {2}1 {2}Van Cortlandt Park-242 St {2}2 min 20 sec\n/);
+  assert.equal(stdout.match(/South Ferry/g).length, 1);
+});
+
+test('subway positions places every train of the line', async () => {
+  const { stdout } = await subway('positions', '1');
+  const lines = stdout.trim().split('\n');
+  assert.equal(lines[0], '1 trains at 4:53:20 AM');
+  assert.match(lines[1], /Uptown +to Van Cortlandt Park-242 St +044100_1\.\.N03R +Times Sq-42 St -> 50 St \(11%\), next stop in 1 min 20 sec/);
+  assert.match(lines[2], /Downtown +to South Ferry +043650_1\.\.S03R +66 St-Lincoln Center -> 59 St-Columbus Circle \(67%\)/);
+  assert.match(lines[3], /045000_1\.\.S03R +not started, at 72 St in 6 min 40 sec/);
+});
+
+test('subway reports ambiguous stations and unreadable feeds', async () => {
+  await assert.rejects(subway('arrivals', 'St'), error => {
+    assert.equal(error.code, 1);
+    assert.match(error.stderr, /Several stations match "St"/);
+    return true;
+  });
+  await assert.rejects(run(process.execPath, [SUBWAY, 'arrivals', '127', '--feed', GTFS_DIR + '/stops.txt', '--gtfs', GTFS_DIR]),
+    error => /not a GTFS-realtime feed/.test(error.stderr));
+});
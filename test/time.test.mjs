@@ -0,0 +1,18 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { formatTimeString, formatTimeDetailed } from '../lib/time.mjs';
+
+test('formatTimeString pads seconds and signs times in the past', () => {
+  assert.equal(formatTimeString(0), '0 min 00 sec');
+  assert.equal(formatTimeString(65), '1 min 05 sec');
+  assert.equal(formatTimeString(600.9), '10 min 00 sec');
+  assert.equal(formatTimeString(-75), '-1 min 15 sec');
+});
+
+test('formatTimeDetailed shows seconds under five minutes and hours over an hour', () => {
+  assert.equal(formatTimeDetailed(90 * 1000), '1 min 30 sec');
+  assert.equal(formatTimeDetailed(4 * 60 * 1000 + 5000), '4 min 05 sec');
+  assert.equal(formatTimeDetailed(12 * 60 * 1000 + 30000), '12 min');
+  assert.equal(formatTimeDetailed((2 * 3600 + 15 * 60) * 1000), '2 hrs 15 min');
+  assert.equal(formatTimeDetailed(-30 * 1000), '-0 min 30 sec');
+});